@@ -1,4 +1,6 @@
 // Configuration constants for the Lambda-style server
+const path = require('path');
+
 module.exports = {
   // Server configuration
   PORT: process.env.PORT || 3000,
@@ -10,6 +12,124 @@ module.exports = {
   // Request configuration
   REQUEST_TIMEOUT: 15000,
   MAX_RETRIES: 3,
+  MAX_REDIRECTS: 5,
+  RETRY_AFTER_MAX: 30000, // longest Retry-After (ms) honored inside a request
+  MAX_RESPONSE_BYTES: parseInt(process.env.MAX_RESPONSE_BYTES, 10) || 2 * 1024 * 1024, // 2 MB
+  // Default for the deprecated legacyStatus flag (/execute answers with the target's status code)
+  EXTRACTOR_LEGACY_STATUS: process.env.EXTRACTOR_LEGACY_STATUS === 'true',
+  // Bytes read from PDFs and media files for their metadata (PDF info often sits at the end)
+  FILE_PROBE_BYTES: {
+    pdf: 10 * 1024 * 1024,
+    image: 1024 * 1024,
+    audio: 1024 * 1024,
+    video: 2 * 1024 * 1024
+  },
+  
+  // Per-host circuit breaker (consecutive failed extractions before failing fast)
+  CIRCUIT_FAILURE_THRESHOLD: parseInt(process.env.CIRCUIT_FAILURE_THRESHOLD, 10) || 5,
+  CIRCUIT_OPEN_MS: parseInt(process.env.CIRCUIT_OPEN_MS, 10) || 30 * 1000,
+  
+  // Outbound rate limit per host (token bucket)
+  OUTBOUND_RATE_PER_SECOND: parseFloat(process.env.OUTBOUND_RATE_PER_SECOND) || 2,
+  OUTBOUND_BURST: parseInt(process.env.OUTBOUND_BURST, 10) || 5,
+  OUTBOUND_MAX_WAIT: 5000, // ms a request may queue for a token before failing
+  
+  // /execute access: metadata mode (GET, nothing forwarded) is public and rate limited per IP;
+  // proxy mode (other methods, custom headers or a body) needs a login and has a daily quota
+  EXECUTE_PUBLIC_RATE_LIMIT: parseInt(process.env.EXECUTE_PUBLIC_RATE_LIMIT, 10) || 60, // URLs fetched per window per IP, all extraction routes (a full batch must fit)
+  EXECUTE_PUBLIC_RATE_WINDOW: 60 * 1000,
+  PROXY_DAILY_QUOTA: parseInt(process.env.PROXY_DAILY_QUOTA, 10) || 200, // proxied calls per user per 24h
+  PROXY_ALLOWED_METHODS: (process.env.PROXY_ALLOWED_METHODS || 'GET,HEAD,POST')
+    .split(',').map(m => m.trim().toUpperCase()).filter(Boolean),
+  // Headers a caller may forward; cookie and authorization are only forwarded when listed here
+  PROXY_ALLOWED_HEADERS: (process.env.PROXY_ALLOWED_HEADERS ||
+    'accept,accept-language,content-type,if-none-match,if-modified-since,referer,user-agent')
+    .split(',').map(h => h.trim().toLowerCase()).filter(Boolean),
+  PROXY_MAX_BODY_BYTES: parseInt(process.env.PROXY_MAX_BODY_BYTES, 10) || 64 * 1024,
+  PROXY_AUDIT_RETENTION: 90 * 24 * 60 * 60, // seconds audit entries are kept
+
+  // Batch extraction
+  BATCH_MAX_URLS: 50,
+  BATCH_CONCURRENCY: 5,
+  BATCH_MAX_CONCURRENCY: 10,
+  BATCH_HOST_DELAY: 500, // ms between requests to the same host
+  
+  // Asynchronous extraction jobs
+  JOB_CONCURRENCY: parseInt(process.env.JOB_CONCURRENCY, 10) || 2,
+  JOB_POLL_INTERVAL: 1000, // ms between queue polls when idle
+  JOB_LOCK_TIMEOUT: 2 * 60 * 1000, // running jobs older than this are reclaimed
+  JOB_MAX_RUNS: 3,
+  JOB_RETENTION: 7 * 24 * 60 * 60, // seconds finished jobs are kept
+  JOB_WEBHOOK_SECRET: process.env.JOB_WEBHOOK_SECRET,
+  JOB_WEBHOOK_TIMEOUT: 10000,
+  JOB_WEBHOOK_MAX_ATTEMPTS: 3,
+  
+  // Image proxy and thumbnails
+  IMAGE_PROXY_SECRET: process.env.IMAGE_PROXY_SECRET, // see utils/imageProxy.js when unset
+  IMAGE_CACHE_DIR: process.env.IMAGE_CACHE_DIR || path.join(__dirname, '..', 'cache', 'images'),
+  IMAGE_MAX_BYTES: 10 * 1024 * 1024, // 10 MB source images
+  IMAGE_MAX_PIXELS: 40 * 1000 * 1000, // refuse decompression bombs
+  IMAGE_CACHE_MAX_AGE: 7 * 24 * 60 * 60, // seconds, for Cache-Control
+  IMAGE_CACHE_TTL: (parseInt(process.env.IMAGE_CACHE_TTL_DAYS, 10) || 30) * 24 * 60 * 60, // seconds a thumbnail is kept since last served
+  IMAGE_CACHE_MAX_BYTES: (parseInt(process.env.IMAGE_CACHE_MAX_MB, 10) || 512) * 1024 * 1024, // least recently served go first beyond this
+  IMAGE_CACHE_SWEEP_INTERVAL: 60 * 60 * 1000, // ms between cache sweeps
+  PUBLIC_BASE_URL: (process.env.PUBLIC_BASE_URL || '').replace(/\/$/, ''), // prefix for proxied image and share URLs (never taken from the Host header)
+  // name: [width, height, fit] (fit "cover" crops to the box, "inside" keeps the aspect ratio)
+  THUMBNAIL_SIZES: {
+    icon: [64, 64, 'cover'],
+    small: [320, 320, 'inside'],
+    medium: [640, 640, 'inside'],
+    large: [1200, 1200, 'inside']
+  },
+  
+  // Preview image selection
+  MAX_IMAGE_CANDIDATES: 10, // candidates returned with the extraction
+  IMAGE_CHECK_LIMIT: 6, // top candidates HEAD-checked per page
+  IMAGE_CHECK_CONCURRENCY: 3,
+  IMAGE_CHECK_TIMEOUT: 4000,
+  IMAGE_MIN_BYTES: 1024, // smaller files are pixels, spacers and icons
+  
+  // Shared metadata cache (seconds)
+  METADATA_CACHE_TTL: parseInt(process.env.METADATA_CACHE_TTL, 10) || 24 * 60 * 60,
+  METADATA_CACHE_STALE_TTL: parseInt(process.env.METADATA_CACHE_STALE_TTL, 10) || 7 * 24 * 60 * 60,
+  METADATA_CACHE_LRU_SIZE: 500,
+  
+  // Outbound request guard (comma-separated host lists; subdomains match too)
+  OUTBOUND_ALLOWED_HOSTS: (process.env.OUTBOUND_ALLOWED_HOSTS || '')
+    .split(',').map(h => h.trim().toLowerCase()).filter(Boolean),
+  OUTBOUND_DENIED_HOSTS: (process.env.OUTBOUND_DENIED_HOSTS || '')
+    .split(',').map(h => h.trim().toLowerCase()).filter(Boolean),
+  
+  // Per-domain fetch profiles (see config/fetchProfiles.js)
+  FETCH_PROFILES_TTL: 60 * 1000, // ms between reloads of admin overrides
+  
+  // Link classification
+  LINK_TYPES: ['social', 'product', 'news', 'video', 'portfolio', 'blog', 'education', 'forum', 'other'],
+  CLASSIFIER_MIN_SCORE: 2, // below this the link is classified as 'other'
+  CLASSIFIER_RULES_TTL: 60 * 1000, // ms between reloads of admin domain rules
+  
+  // Bulk link operations (POST /api/links/bulk)
+  LINKS_BULK_OPERATIONS: [
+    'addTags', 'removeTags', 'setLinkType', 'archive', 'unarchive',
+    'delete', 'restore', 'favorite', 'unfavorite', 'moveToCollection'
+  ],
+  LINKS_BULK_MAX: 500, // links one request may touch, by IDs or by filter
+  
+  // Trash (soft-deleted links)
+  TRASH_RETENTION: (parseInt(process.env.TRASH_RETENTION_DAYS, 10) || 30) * 24 * 60 * 60, // seconds before purge
+  TRASH_PURGE_INTERVAL: 60 * 60 * 1000, // ms between scheduled purges
+  TRASH_PURGE_BATCH: 200, // links purged per query
+  
+  // Collections
+  COLLECTION_MAX_DEPTH: 5, // levels of nesting, top-level collections included
+  COLLECTION_MAX_LINKS_PER_REQUEST: 100, // link IDs accepted by one add/reorder call
+  COLLECTION_ROLES: ['viewer', 'editor', 'owner'], // lowest to highest; each includes the ones before it
+  COLLECTION_INVITATION_TTL: 14 * 24 * 60 * 60, // seconds an invitation can be accepted
+  
+  // Public shares of links and collections
+  SHARE_SLUG_BYTES: 16, // random bytes in a share slug (22 base64url characters)
+  SHARE_PASSWORD_MIN_LENGTH: 4,
+  SHARE_MAX_LINKS: 500, // links shown on a shared collection
   
   // AI Models
   OPENAI_MODEL: process.env.OPENAI_MODEL || 'gpt-4o-mini',
@@ -30,7 +150,25 @@ module.exports = {
     SERVER_RUNNING: 'Enhanced Lambda-style server running on port',
     HEALTH_CHECK: 'Server is healthy and ready to handle requests',
     MISSING_URL: 'URL parameter is required',
+    MISSING_URLS: 'urls must be a non-empty array',
+    INVALID_URL: 'Invalid URL',
     INVALID_METHOD: 'Invalid HTTP method',
-    REQUEST_FAILED: 'Failed to fetch data after retries'
+    REQUEST_FAILED: 'Failed to fetch data after retries',
+    URL_BLOCKED: 'Target URL is not allowed',
+    INVALID_IMAGE_SIGNATURE: 'Invalid or missing image signature',
+    INVALID_IMAGE_SIZE: 'Invalid thumbnail size',
+    IMAGE_FETCH_FAILED: 'Failed to fetch image',
+    NO_READABLE_CONTENT: 'No readable content found at this URL',
+    JOB_NOT_FOUND: 'Job not found',
+    JOBS_UNAVAILABLE: 'Job queue is unavailable; try again later',
+    WEBHOOKS_DISABLED: 'Webhook callbacks are not configured on this server',
+    CIRCUIT_OPEN: 'Target host is failing; requests are paused',
+    OUTBOUND_RATE_LIMITED: 'Too many requests to the target host; try again shortly',
+    EXECUTE_RATE_LIMITED: 'Too many extraction requests, please try again later',
+    PROXY_AUTH_REQUIRED: 'Sign in to send custom methods, headers or bodies through the extractor',
+    PROXY_METHOD_NOT_ALLOWED: 'HTTP method is not allowed in proxy mode',
+    PROXY_BODY_TOO_LARGE: 'Request body is too large to forward',
+    PROXY_QUOTA_EXCEEDED: 'Daily proxy quota exceeded',
+    PROXY_QUOTA_UNAVAILABLE: 'Proxy quota could not be checked; try again later'
   }
 };
\ No newline at end of file
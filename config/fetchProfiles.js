@@ -0,0 +1,50 @@
+// Per-domain fetch profiles for the URL extractor
+// A domain also matches its subdomains; the most specific domain wins.
+// Admin overrides stored in MongoDB (FetchProfile) are applied on top.
+const { REQUEST_TIMEOUT, MAX_RETRIES } = require('./constants');
+
+module.exports = {
+  // Used for every host, and as the base every domain profile extends
+  default: {
+    timeout: REQUEST_TIMEOUT,
+    maxRetries: MAX_RETRIES,
+    backoff: {
+      baseDelay: 1000,
+      maxDelay: 10000
+    },
+    retryableStatuses: [408, 425, 429, 500, 502, 503, 504],
+    userAgent: null, // null rotates USER_AGENTS
+    headers: {}
+  },
+
+  domains: {
+    // Consent walls replace the page in the EU without these cookies
+    'youtube.com': {
+      headers: { Cookie: 'CONSENT=YES+cb; SOCS=CAI' }
+    },
+    'google.com': {
+      headers: { Cookie: 'CONSENT=YES+cb; SOCS=CAI' }
+    },
+    // Slow product pages that vary content by language
+    'amazon.com': {
+      timeout: 25000,
+      headers: { 'Accept-Language': 'en-US,en;q=0.9' }
+    },
+    'amazon.in': {
+      timeout: 25000,
+      headers: { 'Accept-Language': 'en-IN,en;q=0.9' }
+    },
+    'flipkart.com': {
+      timeout: 25000
+    },
+    // Rate limits aggressively; back off longer and don't hammer it
+    'reddit.com': {
+      maxRetries: 2,
+      backoff: { baseDelay: 3000, maxDelay: 15000 }
+    },
+    'linkedin.com': {
+      maxRetries: 1,
+      retryableStatuses: [500, 502, 503, 504]
+    }
+  }
+};
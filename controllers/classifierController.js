@@ -0,0 +1,246 @@
+const mongoose = require('mongoose');
+const DomainRule = require('../models/DomainRule');
+const { classifyLink, loadDomainRules, clearDomainRulesCache } = require('../utils/linkClassifier');
+
+/**
+ * Classifier Controller - Admin management of link classification domain rules
+ */
+class ClassifierController {
+
+  /**
+   * List domain rules
+   * GET /api/classifier/rules
+   */
+  async getRules(req, res) {
+    try {
+      const { domain, linkType, isActive } = req.query;
+
+      const filter = {};
+      if (domain) filter.domain = domain.toLowerCase().replace(/^www\./, '');
+      if (linkType) filter.linkType = linkType;
+      if (isActive !== undefined) filter.isActive = isActive === 'true';
+
+      const rules = await DomainRule.find(filter).sort({ domain: 1, pathPrefix: 1 });
+
+      res.status(200).json({
+        success: true,
+        message: 'Domain rules retrieved successfully',
+        data: rules
+      });
+
+    } catch (error) {
+      console.error('❌ Error fetching domain rules:', error.message);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch domain rules',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Create a domain rule
+   * POST /api/classifier/rules
+   */
+  async createRule(req, res) {
+    try {
+      const { domain, pathPrefix, linkType, weight, notes, isActive } = req.body;
+
+      if (!domain || !linkType) {
+        return res.status(400).json({
+          success: false,
+          message: 'Domain and link type are required'
+        });
+      }
+
+      const rule = await DomainRule.create({
+        domain: domain.toLowerCase().replace(/^www\./, ''),
+        pathPrefix,
+        linkType,
+        weight,
+        notes,
+        isActive,
+        createdBy: req.user.id
+      });
+      clearDomainRulesCache();
+
+      res.status(201).json({
+        success: true,
+        message: 'Domain rule created successfully',
+        data: rule
+      });
+
+    } catch (error) {
+      console.error('❌ Error creating domain rule:', error.message);
+
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation error',
+          errors: Object.values(error.errors).map(err => err.message)
+        });
+      }
+
+      if (error.code === 11000) {
+        return res.status(409).json({
+          success: false,
+          message: 'A rule for this domain, path and link type already exists'
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to create domain rule',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Update a domain rule
+   * PUT /api/classifier/rules/:id
+   */
+  async updateRule(req, res) {
+    try {
+      const { id } = req.params;
+
+      if (!mongoose.Types.ObjectId.isValid(id)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid rule ID format'
+        });
+      }
+
+      const updateData = {};
+      for (const field of ['domain', 'pathPrefix', 'linkType', 'weight', 'notes', 'isActive']) {
+        if (req.body[field] !== undefined) updateData[field] = req.body[field];
+      }
+      if (typeof updateData.domain === 'string') {
+        updateData.domain = updateData.domain.toLowerCase().replace(/^www\./, '');
+      }
+
+      const rule = await DomainRule.findByIdAndUpdate(
+        id,
+        { $set: updateData },
+        { new: true, runValidators: true }
+      );
+
+      if (!rule) {
+        return res.status(404).json({
+          success: false,
+          message: 'Domain rule not found'
+        });
+      }
+      clearDomainRulesCache();
+
+      res.status(200).json({
+        success: true,
+        message: 'Domain rule updated successfully',
+        data: rule
+      });
+
+    } catch (error) {
+      console.error('❌ Error updating domain rule:', error.message);
+
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation error',
+          errors: Object.values(error.errors).map(err => err.message)
+        });
+      }
+
+      if (error.code === 11000) {
+        return res.status(409).json({
+          success: false,
+          message: 'A rule for this domain, path and link type already exists'
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to update domain rule',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Delete a domain rule
+   * DELETE /api/classifier/rules/:id
+   */
+  async deleteRule(req, res) {
+    try {
+      const { id } = req.params;
+
+      if (!mongoose.Types.ObjectId.isValid(id)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid rule ID format'
+        });
+      }
+
+      const rule = await DomainRule.findByIdAndDelete(id);
+      if (!rule) {
+        return res.status(404).json({
+          success: false,
+          message: 'Domain rule not found'
+        });
+      }
+      clearDomainRulesCache();
+
+      res.status(200).json({
+        success: true,
+        message: 'Domain rule deleted successfully',
+        data: { id }
+      });
+
+    } catch (error) {
+      console.error('❌ Error deleting domain rule:', error.message);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to delete domain rule',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Classify a URL with the current rules without fetching it
+   * POST /api/classifier/preview
+   */
+  async previewClassification(req, res) {
+    try {
+      const { url, title, description, keywords, ogType, schemaTypes } = req.body;
+
+      if (!url) {
+        return res.status(400).json({
+          success: false,
+          message: 'URL is required'
+        });
+      }
+
+      clearDomainRulesCache();
+      const classification = classifyLink(
+        { url, title, description, keywords, ogType, schemaTypes: [].concat(schemaTypes || []) },
+        { domainRules: await loadDomainRules() }
+      );
+
+      res.status(200).json({
+        success: true,
+        message: 'URL classified successfully',
+        data: classification
+      });
+
+    } catch (error) {
+      console.error('❌ Error previewing classification:', error.message);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to classify URL',
+        error: error.message
+      });
+    }
+  }
+}
+
+module.exports = new ClassifierController();
@@ -0,0 +1,482 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const CollectionMember = require('../models/CollectionMember');
+const CollectionInvitation = require('../models/CollectionInvitation');
+const CollectionActivity = require('../models/CollectionActivity');
+const { sendEmail } = require('../utils/emailService');
+const { escapeHtml } = require('../utils/sharePage');
+const { COLLECTION_ROLES } = require('../config/constants');
+
+const EMAIL_REGEX = /^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/;
+const PHONE_REGEX = /^[\+]?[1-9][\d]{0,15}$/;
+
+/**
+ * Tell the invitee about an invitation (best effort; the invitation stands either way)
+ * Phone invitations are only logged until SMS delivery is wired up.
+ * @param {object} invitation - CollectionInvitation document
+ * @param {object} collection - Collection document
+ * @param {object} inviter - { fullName }
+ */
+const notifyInvitee = async (invitation, collection, inviter) => {
+  const acceptUrl = `${process.env.CLIENT_URL}/collections/invitations`;
+
+  if (invitation.identifierType === 'phone') {
+    console.log(`📱 Collection invitation for ${invitation.identifier}: "${collection.name}" (${invitation.role})`);
+    return;
+  }
+
+  try {
+    await sendEmail({
+      to: invitation.identifier,
+      subject: `${inviter.fullName} invited you to "${collection.name}"`,
+      text: `${inviter.fullName} invited you to collaborate on the collection "${collection.name}" as ${invitation.role}. Sign in with this email to accept: ${acceptUrl}`,
+      html: `<p>${escapeHtml(inviter.fullName)} invited you to collaborate on the collection <strong>${escapeHtml(collection.name)}</strong> as ${invitation.role}.</p>
+        <p><a href="${acceptUrl}">Sign in with this email to accept</a></p>`
+    });
+  } catch (error) {
+    console.error('❌ Failed to send collection invitation email:', error.message);
+  }
+};
+
+/**
+ * Collection Members Controller - Invitations and roles on collaborative collections
+ * Routes on one collection run after requireCollectionRole (req.collection, req.collectionRole)
+ */
+class CollectionMembersController {
+
+  /**
+   * Get the creator and members of a collection
+   * GET /api/collections/:id/members
+   */
+  async getMembers(req, res) {
+    try {
+      const { collection } = req;
+
+      const creator = await User.findById(collection.userId).select('fullName identifier avatar');
+      const members = await CollectionMember.find({ collectionId: collection._id })
+        .populate('userId', 'fullName identifier avatar')
+        .sort({ joinedAt: 1 });
+
+      res.json({
+        success: true,
+        data: [
+          { user: creator, role: 'owner', isCreator: true, joinedAt: collection.createdAt },
+          ...members.map(member => ({
+            user: member.userId,
+            role: member.role,
+            isCreator: false,
+            invitedBy: member.invitedBy,
+            joinedAt: member.joinedAt
+          }))
+        ],
+        count: members.length + 1
+      });
+
+    } catch (error) {
+      console.error('❌ Error getting collection members:', error.message);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to get collection members',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Invite someone by email or phone number
+   * POST /api/collections/:id/invitations
+   */
+  async inviteMember(req, res) {
+    try {
+      const { collection } = req;
+      const userId = req.user.id;
+      const { role = 'viewer' } = req.body;
+      const identifier = String(req.body.identifier || '').toLowerCase().trim();
+
+      const identifierType = EMAIL_REGEX.test(identifier) ? 'email' : (PHONE_REGEX.test(identifier) ? 'phone' : null);
+      if (!identifierType) {
+        return res.status(400).json({
+          success: false,
+          message: 'Please enter a valid email address or phone number'
+        });
+      }
+
+      if (!COLLECTION_ROLES.includes(role)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Role must be viewer, editor or owner',
+          validRoles: COLLECTION_ROLES
+        });
+      }
+
+      // Already has access?
+      const invitee = await User.findOne({ identifier });
+      if (invitee && await CollectionMember.getRole(collection, invitee._id)) {
+        return res.status(409).json({
+          success: false,
+          message: 'This person is already a member of the collection'
+        });
+      }
+
+      const pending = await CollectionInvitation.findOne({
+        collectionId: collection._id,
+        identifier,
+        status: 'pending',
+        expiresAt: { $gt: new Date() }
+      });
+      if (pending) {
+        return res.status(409).json({
+          success: false,
+          message: 'This person already has a pending invitation',
+          data: pending
+        });
+      }
+
+      const invitation = await CollectionInvitation.create({
+        collectionId: collection._id,
+        identifier,
+        identifierType,
+        role,
+        invitedBy: userId
+      });
+
+      const inviter = await User.findById(userId).select('fullName');
+      await notifyInvitee(invitation, collection, inviter || { fullName: 'Someone' });
+      await CollectionActivity.record(collection._id, userId, 'member_invited', { identifier, role });
+
+      console.log('✅ Collection invitation created:', invitation._id);
+
+      res.status(201).json({
+        success: true,
+        message: 'Invitation sent successfully',
+        data: invitation
+      });
+
+    } catch (error) {
+      console.error('❌ Error inviting collection member:', error.message);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to send invitation',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Get the pending invitations of a collection
+   * GET /api/collections/:id/invitations
+   */
+  async getInvitations(req, res) {
+    try {
+      const { collection } = req;
+      const { status = 'pending' } = req.query;
+
+      const invitations = await CollectionInvitation.find({ collectionId: collection._id, status })
+        .populate('invitedBy', 'fullName identifier')
+        .sort({ createdAt: -1 });
+
+      res.json({
+        success: true,
+        data: invitations,
+        count: invitations.length
+      });
+
+    } catch (error) {
+      console.error('❌ Error getting collection invitations:', error.message);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to get invitations',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Revoke a pending invitation
+   * DELETE /api/collections/:id/invitations/:invitationId
+   */
+  async revokeInvitation(req, res) {
+    try {
+      const { collection } = req;
+      const { invitationId } = req.params;
+
+      if (!mongoose.Types.ObjectId.isValid(invitationId)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid invitation ID'
+        });
+      }
+
+      const invitation = await CollectionInvitation.findOneAndUpdate(
+        { _id: invitationId, collectionId: collection._id, status: 'pending' },
+        { status: 'revoked', respondedAt: new Date() },
+        { new: true }
+      );
+
+      if (!invitation) {
+        return res.status(404).json({
+          success: false,
+          message: 'Invitation not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Invitation revoked successfully'
+      });
+
+    } catch (error) {
+      console.error('❌ Error revoking invitation:', error.message);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to revoke invitation',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Change a member's role
+   * PUT /api/collections/:id/members/:userId
+   */
+  async updateMemberRole(req, res) {
+    try {
+      const { collection } = req;
+      const { userId: memberId } = req.params;
+      const { role } = req.body;
+
+      if (!mongoose.Types.ObjectId.isValid(memberId)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid user ID'
+        });
+      }
+
+      if (!COLLECTION_ROLES.includes(role)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Role must be viewer, editor or owner',
+          validRoles: COLLECTION_ROLES
+        });
+      }
+
+      if (String(memberId) === String(collection.userId)) {
+        return res.status(400).json({
+          success: false,
+          message: 'The creator of a collection is always an owner'
+        });
+      }
+
+      const member = await CollectionMember.findOne({ collectionId: collection._id, userId: memberId });
+      if (!member) {
+        return res.status(404).json({
+          success: false,
+          message: 'Member not found'
+        });
+      }
+
+      const previousRole = member.role;
+      member.role = role;
+      await member.save();
+
+      if (previousRole !== role) {
+        await CollectionActivity.record(collection._id, req.user.id, 'member_role_changed', {
+          memberId,
+          from: previousRole,
+          to: role
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Member role updated successfully',
+        data: member
+      });
+
+    } catch (error) {
+      console.error('❌ Error updating member role:', error.message);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to update member role',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Remove a member (owners can remove anyone but the creator; members can leave)
+   * DELETE /api/collections/:id/members/:userId
+   */
+  async removeMember(req, res) {
+    try {
+      const { collection, collectionRole } = req;
+      const { userId: memberId } = req.params;
+      const userId = req.user.id;
+
+      if (!mongoose.Types.ObjectId.isValid(memberId)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid user ID'
+        });
+      }
+
+      const leaving = String(memberId) === String(userId);
+      if (!leaving && collectionRole !== 'owner') {
+        return res.status(403).json({
+          success: false,
+          message: 'This action requires the owner role on this collection.',
+          role: collectionRole
+        });
+      }
+
+      if (String(memberId) === String(collection.userId)) {
+        return res.status(400).json({
+          success: false,
+          message: 'The creator of a collection cannot be removed'
+        });
+      }
+
+      const removed = await CollectionMember.findOneAndDelete({ collectionId: collection._id, userId: memberId });
+      if (!removed) {
+        return res.status(404).json({
+          success: false,
+          message: 'Member not found'
+        });
+      }
+
+      await CollectionActivity.record(collection._id, userId, 'member_removed', { memberId, left: leaving });
+
+      res.json({
+        success: true,
+        message: leaving ? 'You left the collection' : 'Member removed successfully'
+      });
+
+    } catch (error) {
+      console.error('❌ Error removing member:', error.message);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to remove member',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Get the invitations addressed to the signed-in user's email or phone number
+   * GET /api/collections/invitations
+   */
+  async getMyInvitations(req, res) {
+    try {
+      const user = await User.findById(req.user.id).select('identifier');
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          message: 'User not found'
+        });
+      }
+
+      const invitations = await CollectionInvitation.findPendingFor(user.identifier)
+        .populate('collectionId', 'name description coverImage')
+        .populate('invitedBy', 'fullName identifier');
+
+      res.json({
+        success: true,
+        // Invitations to collections deleted since are dropped
+        data: invitations.filter(invitation => invitation.collectionId),
+        count: invitations.length
+      });
+
+    } catch (error) {
+      console.error('❌ Error getting invitations:', error.message);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to get invitations',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Accept or decline an invitation
+   * POST /api/collections/invitations/:invitationId/accept
+   * POST /api/collections/invitations/:invitationId/decline
+   */
+  async respondToInvitation(req, res) {
+    try {
+      const { invitationId } = req.params;
+      const userId = req.user.id;
+      const accept = req.path.endsWith('/accept');
+
+      if (!mongoose.Types.ObjectId.isValid(invitationId)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid invitation ID'
+        });
+      }
+
+      const user = await User.findById(userId).select('identifier');
+      const invitation = await CollectionInvitation.findOne({
+        _id: invitationId,
+        identifier: user?.identifier,
+        status: 'pending'
+      }).populate('collectionId');
+
+      if (!invitation || !invitation.collectionId || !invitation.collectionId.isActive) {
+        return res.status(404).json({
+          success: false,
+          message: 'Invitation not found'
+        });
+      }
+
+      if (invitation.expiresAt <= new Date()) {
+        return res.status(410).json({
+          success: false,
+          message: 'This invitation has expired'
+        });
+      }
+
+      invitation.status = accept ? 'accepted' : 'declined';
+      invitation.respondedAt = new Date();
+      await invitation.save();
+
+      if (!accept) {
+        return res.json({
+          success: true,
+          message: 'Invitation declined'
+        });
+      }
+
+      const collection = invitation.collectionId;
+      let member = null;
+      if (String(collection.userId) !== String(userId)) {
+        member = await CollectionMember.findOneAndUpdate(
+          { collectionId: collection._id, userId },
+          { $setOnInsert: { role: invitation.role, invitedBy: invitation.invitedBy, joinedAt: new Date() } },
+          { new: true, upsert: true }
+        );
+        await CollectionActivity.record(collection._id, userId, 'member_joined', { role: member.role });
+      }
+
+      console.log('✅ Collection invitation accepted:', invitation._id);
+
+      res.json({
+        success: true,
+        message: 'Invitation accepted',
+        data: {
+          collection: { _id: collection._id, name: collection.name },
+          role: member ? member.role : 'owner'
+        }
+      });
+
+    } catch (error) {
+      console.error('❌ Error responding to invitation:', error.message);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to respond to invitation',
+        error: error.message
+      });
+    }
+  }
+}
+
+module.exports = new CollectionMembersController();
@@ -0,0 +1,884 @@
+const Collection = require('../models/Collection');
+const CollectionLink = require('../models/CollectionLink');
+const CollectionMember = require('../models/CollectionMember');
+const CollectionInvitation = require('../models/CollectionInvitation');
+const CollectionActivity = require('../models/CollectionActivity');
+const Link = require('../models/Links');
+const mongoose = require('mongoose');
+const { COLLECTION_MAX_DEPTH, COLLECTION_MAX_LINKS_PER_REQUEST } = require('../config/constants');
+
+// Shared display fields collaborators may change through a collection (notes stay private to the link's owner)
+const EDITABLE_LINK_FIELDS = ['title', 'description', 'linkType', 'tags'];
+
+/**
+ * Number of levels in a collection's subtree (a collection without children has height 1)
+ * @param {string} userId
+ * @param {string} collectionId
+ * @returns {Promise<number>}
+ */
+const getSubtreeHeight = async (userId, collectionId) => {
+  let height = 1;
+  let parents = [collectionId];
+
+  for (;;) {
+    const children = await Collection.find({ userId, parentId: { $in: parents }, isActive: true }).select('_id');
+    if (!children.length) return height;
+    height += 1;
+    parents = children.map(child => child._id);
+  }
+};
+
+/**
+ * Check that a collection can be placed under a parent
+ * @param {string} userId
+ * @param {string|null} parentId - New parent (null for top level)
+ * @param {string|null} collectionId - Collection being moved (null when creating)
+ * @returns {Promise<string|null>} Error message, or null when the move is allowed
+ */
+const validateParent = async (userId, parentId, collectionId = null) => {
+  if (!parentId) return null;
+
+  if (!mongoose.Types.ObjectId.isValid(parentId)) {
+    return 'Invalid parent collection ID';
+  }
+
+  const parent = await Collection.findOwned(userId, parentId);
+  if (!parent) {
+    return 'Parent collection not found';
+  }
+
+  if (collectionId) {
+    const descendants = await Collection.findDescendantIds(userId, collectionId);
+    if (String(parentId) === String(collectionId) || descendants.some(id => String(id) === String(parentId))) {
+      return 'A collection cannot be moved inside itself';
+    }
+  }
+
+  const height = collectionId ? await getSubtreeHeight(userId, collectionId) : 1;
+  if (await Collection.getDepth(userId, parentId) + height > COLLECTION_MAX_DEPTH) {
+    return `Collections can be nested at most ${COLLECTION_MAX_DEPTH} levels deep`;
+  }
+
+  return null;
+};
+
+/**
+ * Count the links in each collection
+ * @param {Array} collectionIds
+ * @returns {Promise<Map<string, number>>}
+ */
+const countLinks = async (collectionIds) => {
+  const counts = await CollectionLink.aggregate([
+    { $match: { collectionId: { $in: collectionIds } } },
+    {
+      $lookup: {
+        from: 'links',
+        localField: 'linkId',
+        foreignField: '_id',
+        as: 'link'
+      }
+    },
+    // Soft-deleted links stay members but aren't counted
+    { $match: { 'link.isActive': true } },
+    { $group: { _id: '$collectionId', count: { $sum: 1 } } }
+  ]);
+
+  return new Map(counts.map(({ _id, count }) => [String(_id), count]));
+};
+
+/**
+ * Client view of a collection with its link count
+ * @param {object} collection - Collection document
+ * @param {Map<string, number>} counts - From countLinks
+ * @returns {object}
+ */
+const withLinkCount = (collection, counts) => ({
+  ...collection.toJSON(),
+  linkCount: counts.get(String(collection._id)) || 0
+});
+
+/**
+ * Nest a flat list of collections under their parents
+ * @param {Array<object>} collections - From withLinkCount
+ * @returns {Array<object>} Top-level collections with `children`
+ */
+const buildTree = (collections) => {
+  const byId = new Map(collections.map(collection => [String(collection._id), { ...collection, children: [] }]));
+  const roots = [];
+
+  for (const collection of byId.values()) {
+    const parent = collection.parentId ? byId.get(String(collection.parentId)) : null;
+    (parent ? parent.children : roots).push(collection);
+  }
+
+  return roots;
+};
+
+/**
+ * Validate a list of IDs from the request body
+ * @param {any} ids
+ * @param {string} field - Field name for error messages
+ * @returns {string|null} Error message, or null when valid
+ */
+const validateIdList = (ids, field) => {
+  if (!Array.isArray(ids) || ids.length === 0) {
+    return `${field} must be a non-empty array`;
+  }
+  if (ids.length > COLLECTION_MAX_LINKS_PER_REQUEST) {
+    return `${field} cannot contain more than ${COLLECTION_MAX_LINKS_PER_REQUEST} IDs`;
+  }
+  if (!ids.every(id => mongoose.Types.ObjectId.isValid(id))) {
+    return `${field} contains an invalid ID`;
+  }
+  return null;
+};
+
+/**
+ * Collections Controller - Folders/boards that organize a user's saved links
+ * Routes on one collection run after requireCollectionRole, which loads it into
+ * req.collection for the creator and for members with a high enough role
+ */
+class CollectionsController {
+
+  /**
+   * Create a collection
+   * POST /api/collections
+   */
+  async createCollection(req, res) {
+    try {
+      const { name, description, coverImage, parentId = null } = req.body;
+      const userId = req.user.id;
+
+      if (!name || !name.trim()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Collection name is required'
+        });
+      }
+
+      const parentError = await validateParent(userId, parentId);
+      if (parentError) {
+        return res.status(400).json({
+          success: false,
+          message: parentError
+        });
+      }
+
+      // New collections go after their siblings
+      const last = await Collection.findOne({ userId, parentId, isActive: true }).sort({ position: -1 });
+
+      const collection = await Collection.create({
+        userId,
+        name: name.trim(),
+        description: description?.trim(),
+        coverImage,
+        parentId,
+        position: last ? last.position + 1 : 0
+      });
+
+      console.log('✅ Collection created successfully:', collection._id);
+
+      res.status(201).json({
+        success: true,
+        message: 'Collection created successfully',
+        data: { ...collection.toJSON(), linkCount: 0 }
+      });
+
+    } catch (error) {
+      console.error('❌ Error creating collection:', error.message);
+
+      if (error.code === 11000) {
+        return res.status(409).json({
+          success: false,
+          message: 'A collection with this name already exists here'
+        });
+      }
+
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation error',
+          errors: Object.values(error.errors).map(err => err.message)
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to create collection',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Get the user's collections, as a flat sibling list or a tree
+   * (shared=true lists other people's collections the user is a member of)
+   * GET /api/collections
+   */
+  async getCollections(req, res) {
+    try {
+      const userId = req.user.id;
+      const { parentId, tree, shared } = req.query;
+
+      if (shared === 'true') {
+        const memberships = await CollectionMember.find({ userId });
+        const roles = new Map(memberships.map(member => [String(member.collectionId), member.role]));
+        const collections = await Collection.find({ _id: { $in: [...roles.keys()] }, isActive: true })
+          .populate('userId', 'fullName identifier')
+          .sort({ name: 1 });
+        const counts = await countLinks(collections.map(collection => collection._id));
+
+        return res.json({
+          success: true,
+          data: collections.map(collection => ({
+            ...withLinkCount(collection, counts),
+            role: roles.get(String(collection._id))
+          })),
+          count: collections.length
+        });
+      }
+
+      const filter = { userId, isActive: true };
+
+      // Without tree=true, list one level (top level unless parentId is given)
+      const asTree = tree === 'true';
+      if (!asTree) {
+        if (parentId && !mongoose.Types.ObjectId.isValid(parentId)) {
+          return res.status(400).json({
+            success: false,
+            message: 'Invalid parent collection ID'
+          });
+        }
+        filter.parentId = parentId || null;
+      }
+
+      const collections = await Collection.find(filter).sort({ position: 1, createdAt: 1 });
+      const counts = await countLinks(collections.map(collection => collection._id));
+      const data = collections.map(collection => withLinkCount(collection, counts));
+
+      res.json({
+        success: true,
+        data: asTree ? buildTree(data) : data,
+        count: collections.length
+      });
+
+    } catch (error) {
+      console.error('❌ Error getting collections:', error.message);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to get collections',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Get a collection with its sub-collections and path from the top level
+   * GET /api/collections/:id
+   */
+  async getCollectionById(req, res) {
+    try {
+      // Loaded by requireCollectionRole; the tree belongs to the creator, also for members
+      const { collection, collectionRole } = req;
+      const ownerId = collection.userId;
+
+      // Members only see the sub-collections and ancestors they have a role on themselves
+      const allChildren = await Collection.find({ userId: ownerId, parentId: collection._id, isActive: true }).sort({ position: 1, createdAt: 1 });
+      const visibleChildIds = new Set((await CollectionMember.filterAccessible(
+        collection, req.user.id, allChildren.map(child => child._id)
+      )).map(String));
+      const children = allChildren.filter(child => visibleChildIds.has(String(child._id)));
+      const counts = await countLinks([collection._id, ...children.map(child => child._id)]);
+
+      // Breadcrumb, top level first
+      const path = [];
+      let parentId = collection.parentId;
+      while (parentId) {
+        const parent = await Collection.findOwned(ownerId, parentId).select('name parentId');
+        if (!parent) break;
+        path.unshift(parent);
+        parentId = parent.parentId;
+      }
+      const visiblePathIds = new Set((await CollectionMember.filterAccessible(
+        collection, req.user.id, path.map(parent => parent._id)
+      )).map(String));
+
+      res.json({
+        success: true,
+        data: {
+          ...withLinkCount(collection, counts),
+          role: collectionRole,
+          children: children.map(child => withLinkCount(child, counts)),
+          path: path
+            .filter(parent => visiblePathIds.has(String(parent._id)))
+            .map(parent => ({ _id: parent._id, name: parent.name }))
+        }
+      });
+
+    } catch (error) {
+      console.error('❌ Error getting collection:', error.message);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to get collection',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Update a collection (name, description, cover image) or move it under another parent
+   * PUT /api/collections/:id
+   */
+  async updateCollection(req, res) {
+    try {
+      const { collection } = req;
+      const userId = req.user.id;
+      const ownerId = collection.userId;
+
+      const { name, description, coverImage, parentId } = req.body;
+      const previous = { name: collection.name, description: collection.description, coverImage: collection.coverImage };
+
+      if (name !== undefined) {
+        if (!name || !name.trim()) {
+          return res.status(400).json({
+            success: false,
+            message: 'Collection name is required'
+          });
+        }
+        collection.name = name.trim();
+      }
+      if (description !== undefined) collection.description = description?.trim();
+      if (coverImage !== undefined) collection.coverImage = coverImage;
+
+      // Moving: validate the new place and append to its siblings (only inside the creator's own tree)
+      if (parentId !== undefined && String(parentId || '') !== String(collection.parentId || '')) {
+        if (String(ownerId) !== String(userId)) {
+          return res.status(403).json({
+            success: false,
+            message: 'Only the creator of a collection can move it'
+          });
+        }
+
+        const parentError = await validateParent(ownerId, parentId, collection._id);
+        if (parentError) {
+          return res.status(400).json({
+            success: false,
+            message: parentError
+          });
+        }
+
+        const last = await Collection.findOne({ userId: ownerId, parentId: parentId || null, isActive: true }).sort({ position: -1 });
+        collection.parentId = parentId || null;
+        collection.position = last ? last.position + 1 : 0;
+      }
+
+      await collection.save();
+
+      const changed = Object.keys(previous).filter(field => req.body[field] !== undefined && collection[field] !== previous[field]);
+      if (changed.length) {
+        await CollectionActivity.record(collection._id, userId, 'collection_updated', { fields: changed });
+      }
+
+      console.log('✅ Collection updated successfully:', collection._id);
+
+      const counts = await countLinks([collection._id]);
+      res.json({
+        success: true,
+        message: 'Collection updated successfully',
+        data: withLinkCount(collection, counts)
+      });
+
+    } catch (error) {
+      console.error('❌ Error updating collection:', error.message);
+
+      if (error.code === 11000) {
+        return res.status(409).json({
+          success: false,
+          message: 'A collection with this name already exists here'
+        });
+      }
+
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation error',
+          errors: Object.values(error.errors).map(err => err.message)
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to update collection',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Delete a collection and its sub-collections (soft delete; the links themselves are kept)
+   * DELETE /api/collections/:id
+   */
+  async deleteCollection(req, res) {
+    try {
+      const { collection } = req;
+
+      // The delete cascades through the creator's whole subtree, so only the creator may do it
+      if (String(collection.userId) !== String(req.user.id)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Only the creator of a collection can delete it'
+        });
+      }
+
+      const collectionIds = [collection._id, ...await Collection.findDescendantIds(collection.userId, collection._id)];
+
+      await Collection.updateMany({ _id: { $in: collectionIds } }, { isActive: false });
+      await CollectionLink.deleteMany({ collectionId: { $in: collectionIds } });
+      await CollectionMember.deleteMany({ collectionId: { $in: collectionIds } });
+      await CollectionInvitation.updateMany(
+        { collectionId: { $in: collectionIds }, status: 'pending' },
+        { status: 'revoked', respondedAt: new Date() }
+      );
+
+      console.log('✅ Collection deleted successfully:', collection._id);
+
+      res.json({
+        success: true,
+        message: 'Collection deleted successfully',
+        deletedCount: collectionIds.length
+      });
+
+    } catch (error) {
+      console.error('❌ Error deleting collection:', error.message);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to delete collection',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Set the order of sibling collections
+   * PUT /api/collections/reorder
+   */
+  async reorderCollections(req, res) {
+    try {
+      const userId = req.user.id;
+      const { parentId = null, collectionIds } = req.body;
+
+      const idsError = validateIdList(collectionIds, 'collectionIds');
+      if (idsError) {
+        return res.status(400).json({
+          success: false,
+          message: idsError
+        });
+      }
+
+      if (parentId && !mongoose.Types.ObjectId.isValid(parentId)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid parent collection ID'
+        });
+      }
+
+      const siblings = await Collection.find({ userId, parentId, isActive: true }).sort({ position: 1, createdAt: 1 });
+      const siblingIds = new Set(siblings.map(sibling => String(sibling._id)));
+      if (!collectionIds.every(id => siblingIds.has(String(id)))) {
+        return res.status(400).json({
+          success: false,
+          message: 'collectionIds must all be collections under the same parent'
+        });
+      }
+
+      // Listed collections first, in the given order; the rest keep their relative order
+      const listed = [...new Set(collectionIds.map(String))];
+      const order = [...listed, ...siblings.map(sibling => String(sibling._id)).filter(id => !listed.includes(id))];
+
+      await Collection.bulkWrite(order.map((id, position) => ({
+        updateOne: { filter: { _id: id, userId }, update: { position } }
+      })));
+
+      res.json({
+        success: true,
+        message: 'Collections reordered successfully',
+        data: order
+      });
+
+    } catch (error) {
+      console.error('❌ Error reordering collections:', error.message);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to reorder collections',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Get the links in a collection in their manual order
+   * GET /api/collections/:id/links
+   */
+  async getCollectionLinks(req, res) {
+    try {
+      const { collection } = req;
+      const { page = 1, limit = 20 } = req.query;
+
+      // Order comes from the memberships; deleted links are skipped
+      // Links in a shared collection can belong to any member who added them
+      const memberships = await CollectionLink.find({ collectionId: collection._id }).sort({ position: 1, addedAt: 1 });
+      const links = await Link.find({ _id: { $in: memberships.map(m => m.linkId) }, isActive: true });
+      const linksById = new Map(links.map(link => [String(link._id), link]));
+      const ordered = memberships
+        .filter(membership => linksById.has(String(membership.linkId)))
+        .map(membership => ({
+          ...linksById.get(String(membership.linkId)).toJSONFor(req.user.id),
+          collectionPosition: membership.position,
+          addedBy: membership.userId,
+          addedAt: membership.addedAt
+        }));
+
+      const skip = (parseInt(page) - 1) * parseInt(limit);
+      const totalCount = ordered.length;
+      const totalPages = Math.ceil(totalCount / parseInt(limit));
+
+      res.json({
+        success: true,
+        data: ordered.slice(skip, skip + parseInt(limit)),
+        collection: { _id: collection._id, name: collection.name },
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages,
+          totalCount,
+          hasNext: parseInt(page) < totalPages,
+          hasPrev: parseInt(page) > 1,
+          limit: parseInt(limit)
+        }
+      });
+
+    } catch (error) {
+      console.error('❌ Error getting collection links:', error.message);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to get collection links',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Add links to a collection, at the end or at a position
+   * POST /api/collections/:id/links
+   */
+  async addLinks(req, res) {
+    try {
+      const { collection } = req;
+      const id = collection._id;
+      const userId = req.user.id;
+      const { linkIds, position } = req.body;
+
+      const idsError = validateIdList(linkIds, 'linkIds');
+      if (idsError) {
+        return res.status(400).json({
+          success: false,
+          message: idsError
+        });
+      }
+
+      // Members add their own links
+      const uniqueIds = [...new Set(linkIds.map(String))];
+      const links = await Link.find({ _id: { $in: uniqueIds }, userId, isActive: true }).select('_id title url');
+      const ownedIds = new Set(links.map(link => String(link._id)));
+      const existing = await CollectionLink.find({ collectionId: id, linkId: { $in: [...ownedIds] } }).select('linkId');
+      const existingIds = new Set(existing.map(membership => String(membership.linkId)));
+
+      const toAdd = uniqueIds.filter(linkId => ownedIds.has(linkId) && !existingIds.has(linkId));
+      const notFound = uniqueIds.filter(linkId => !ownedIds.has(linkId));
+
+      if (toAdd.length) {
+        // Inserting in the middle shifts the members from that position down
+        let start;
+        if (position !== undefined && position !== null && Number.isInteger(Number(position))) {
+          start = Math.max(0, Number(position));
+          await CollectionLink.updateMany(
+            { collectionId: id, position: { $gte: start } },
+            { $inc: { position: toAdd.length } }
+          );
+        } else {
+          start = await CollectionLink.nextPosition(id);
+        }
+
+        await CollectionLink.insertMany(toAdd.map((linkId, index) => ({
+          collectionId: id,
+          linkId,
+          userId,
+          position: start + index
+        })));
+
+        const linksById = new Map(links.map(link => [String(link._id), link]));
+        await Promise.all(toAdd.map(linkId => CollectionActivity.record(id, userId, 'link_added', {
+          linkId,
+          title: linksById.get(linkId).title || linksById.get(linkId).url
+        })));
+      }
+
+      console.log(`✅ Added ${toAdd.length} link(s) to collection:`, collection._id);
+
+      res.status(toAdd.length ? 201 : 200).json({
+        success: true,
+        message: toAdd.length ? 'Links added to collection successfully' : 'No new links to add',
+        data: {
+          added: toAdd,
+          alreadyInCollection: [...existingIds],
+          notFound
+        }
+      });
+
+    } catch (error) {
+      console.error('❌ Error adding links to collection:', error.message);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to add links to collection',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Remove a link from a collection (the link itself is kept)
+   * DELETE /api/collections/:id/links/:linkId
+   */
+  async removeLink(req, res) {
+    try {
+      const { collection } = req;
+      const { linkId } = req.params;
+      const userId = req.user.id;
+
+      if (!mongoose.Types.ObjectId.isValid(linkId)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid link ID'
+        });
+      }
+
+      const removed = await CollectionLink.findOneAndDelete({ collectionId: collection._id, linkId });
+      if (!removed) {
+        return res.status(404).json({
+          success: false,
+          message: 'Link is not in this collection'
+        });
+      }
+
+      const link = await Link.findById(linkId).select('title url');
+      await CollectionActivity.record(collection._id, userId, 'link_removed', {
+        linkId,
+        title: link ? link.title || link.url : null
+      });
+
+      console.log('✅ Link removed from collection:', collection._id);
+
+      res.json({
+        success: true,
+        message: 'Link removed from collection successfully'
+      });
+
+    } catch (error) {
+      console.error('❌ Error removing link from collection:', error.message);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to remove link from collection',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Set the manual order of links in a collection (after a drag and drop)
+   * PUT /api/collections/:id/links/reorder
+   */
+  async reorderLinks(req, res) {
+    try {
+      const { collection } = req;
+      const id = collection._id;
+      const userId = req.user.id;
+      const { linkIds } = req.body;
+
+      const idsError = validateIdList(linkIds, 'linkIds');
+      if (idsError) {
+        return res.status(400).json({
+          success: false,
+          message: idsError
+        });
+      }
+
+      const memberships = await CollectionLink.find({ collectionId: id }).sort({ position: 1, addedAt: 1 });
+      const memberIds = memberships.map(membership => String(membership.linkId));
+      if (!linkIds.every(linkId => memberIds.includes(String(linkId)))) {
+        return res.status(400).json({
+          success: false,
+          message: 'linkIds must all be links in this collection'
+        });
+      }
+
+      // Listed links first, in the given order; the rest keep their relative order
+      const listed = [...new Set(linkIds.map(String))];
+      const order = [...listed, ...memberIds.filter(linkId => !listed.includes(linkId))];
+
+      await CollectionLink.bulkWrite(order.map((linkId, position) => ({
+        updateOne: { filter: { collectionId: id, linkId }, update: { position } }
+      })));
+      await CollectionActivity.record(id, userId, 'links_reordered', { count: listed.length });
+
+      res.json({
+        success: true,
+        message: 'Links reordered successfully',
+        data: order
+      });
+
+    } catch (error) {
+      console.error('❌ Error reordering collection links:', error.message);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to reorder links',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Edit a link in a collection (members with the editor role can edit links other members added)
+   * PUT /api/collections/:id/links/:linkId
+   */
+  async updateCollectionLink(req, res) {
+    try {
+      const { collection } = req;
+      const { linkId } = req.params;
+      const userId = req.user.id;
+
+      if (!mongoose.Types.ObjectId.isValid(linkId)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid link ID'
+        });
+      }
+
+      const membership = await CollectionLink.findOne({ collectionId: collection._id, linkId });
+      if (!membership) {
+        return res.status(404).json({
+          success: false,
+          message: 'Link is not in this collection'
+        });
+      }
+
+      // Collaborators edit the descriptive fields only; the URL and owner stay as saved
+      const updateData = {};
+      for (const field of EDITABLE_LINK_FIELDS) {
+        if (req.body[field] !== undefined) updateData[field] = req.body[field];
+      }
+      if (updateData.tags) {
+        updateData.tags = updateData.tags.map(tag => tag.trim()).filter(tag => tag.length > 0);
+      }
+
+      if (!Object.keys(updateData).length) {
+        return res.status(400).json({
+          success: false,
+          message: `Nothing to update; editable fields are ${EDITABLE_LINK_FIELDS.join(', ')}`
+        });
+      }
+
+      const updatedLink = await Link.findOneAndUpdate(
+        { _id: linkId, isActive: true },
+        updateData,
+        { new: true, runValidators: true }
+      );
+
+      if (!updatedLink) {
+        return res.status(404).json({
+          success: false,
+          message: 'Link not found'
+        });
+      }
+
+      await CollectionActivity.record(collection._id, userId, 'link_edited', {
+        linkId,
+        title: updatedLink.title || updatedLink.url,
+        fields: Object.keys(updateData)
+      });
+
+      console.log('✅ Collection link updated successfully:', updatedLink._id);
+
+      res.json({
+        success: true,
+        message: 'Link updated successfully',
+        data: updatedLink.toJSONFor(userId)
+      });
+
+    } catch (error) {
+      console.error('❌ Error updating collection link:', error.message);
+
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation error',
+          errors: Object.values(error.errors).map(err => err.message)
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to update link',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Get the activity feed of a collection, newest first
+   * GET /api/collections/:id/activity
+   */
+  async getActivity(req, res) {
+    try {
+      const { collection } = req;
+      const { page = 1, limit = 20, action } = req.query;
+
+      const filter = { collectionId: collection._id };
+      if (action) {
+        filter.action = action;
+      }
+
+      const skip = (parseInt(page) - 1) * parseInt(limit);
+      const activity = await CollectionActivity.find(filter)
+        .populate('userId', 'fullName identifier')
+        .populate('linkId', 'url title')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit));
+
+      const totalCount = await CollectionActivity.countDocuments(filter);
+      const totalPages = Math.ceil(totalCount / parseInt(limit));
+
+      res.json({
+        success: true,
+        data: activity,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages,
+          totalCount,
+          hasNext: parseInt(page) < totalPages,
+          hasPrev: parseInt(page) > 1,
+          limit: parseInt(limit)
+        }
+      });
+
+    } catch (error) {
+      console.error('❌ Error getting collection activity:', error.message);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to get collection activity',
+        error: error.message
+      });
+    }
+  }
+}
+
+module.exports = new CollectionsController();
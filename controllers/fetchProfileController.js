@@ -0,0 +1,169 @@
+const mongoose = require('mongoose');
+const FetchProfile = require('../models/FetchProfile');
+const { resolveFetchProfile, clearFetchProfileCache } = require('../utils/fetchProfiles');
+
+// Fields an admin may set on an override
+const PROFILE_FIELDS = ['domain', 'headers', 'userAgent', 'timeout', 'maxRetries', 'backoff', 'retryableStatuses', 'notes', 'isActive'];
+
+/**
+ * Pick the editable profile fields from a request body
+ * @param {object} body
+ * @returns {object}
+ */
+const pickProfileFields = (body = {}) => {
+  const data = {};
+  for (const field of PROFILE_FIELDS) {
+    if (body[field] !== undefined) data[field] = body[field];
+  }
+  if (typeof data.domain === 'string') {
+    data.domain = data.domain.toLowerCase().replace(/^www\./, '');
+  }
+  return data;
+};
+
+/**
+ * Fetch Profile Controller - Admin overrides of per-domain fetch settings
+ */
+class FetchProfileController {
+
+  /**
+   * List fetch profile overrides
+   * GET /api/fetch-profiles
+   */
+  async getProfiles(req, res) {
+    try {
+      const profiles = await FetchProfile.find({}).sort({ domain: 1 });
+
+      res.status(200).json({
+        success: true,
+        message: 'Fetch profiles retrieved successfully',
+        data: profiles
+      });
+
+    } catch (error) {
+      console.error('❌ Error fetching fetch profiles:', error.message);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch fetch profiles',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Show the effective profile for a URL (defaults, config file and overrides merged)
+   * GET /api/fetch-profiles/resolve?url=
+   */
+  async resolveProfile(req, res) {
+    try {
+      const { url } = req.query;
+
+      if (!url) {
+        return res.status(400).json({
+          success: false,
+          message: 'URL is required'
+        });
+      }
+
+      clearFetchProfileCache();
+      const profile = await resolveFetchProfile(url);
+
+      res.status(200).json({
+        success: true,
+        message: 'Fetch profile resolved successfully',
+        data: profile
+      });
+
+    } catch (error) {
+      console.error('❌ Error resolving fetch profile:', error.message);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to resolve fetch profile',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Create or replace the override for a domain
+   * PUT /api/fetch-profiles/:domain
+   */
+  async upsertProfile(req, res) {
+    try {
+      const domain = req.params.domain.toLowerCase().replace(/^www\./, '');
+      const data = { ...pickProfileFields(req.body), domain, updatedBy: req.user.id };
+
+      const profile = await FetchProfile.findOneAndReplace(
+        { domain },
+        data,
+        { new: true, upsert: true, runValidators: true }
+      );
+      clearFetchProfileCache();
+
+      res.status(200).json({
+        success: true,
+        message: 'Fetch profile saved successfully',
+        data: profile
+      });
+
+    } catch (error) {
+      console.error('❌ Error saving fetch profile:', error.message);
+
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation error',
+          errors: Object.values(error.errors).map(err => err.message)
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to save fetch profile',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Delete the override for a domain (the config file profile applies again)
+   * DELETE /api/fetch-profiles/:id
+   */
+  async deleteProfile(req, res) {
+    try {
+      const { id } = req.params;
+
+      if (!mongoose.Types.ObjectId.isValid(id)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid profile ID format'
+        });
+      }
+
+      const profile = await FetchProfile.findByIdAndDelete(id);
+      if (!profile) {
+        return res.status(404).json({
+          success: false,
+          message: 'Fetch profile not found'
+        });
+      }
+      clearFetchProfileCache();
+
+      res.status(200).json({
+        success: true,
+        message: 'Fetch profile deleted successfully',
+        data: { id }
+      });
+
+    } catch (error) {
+      console.error('❌ Error deleting fetch profile:', error.message);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to delete fetch profile',
+        error: error.message
+      });
+    }
+  }
+}
+
+module.exports = new FetchProfileController();
@@ -1,7 +1,30 @@
-const cheerio = require('cheerio');
 const lambdaController = require('./lambdaController');
 const { GEMINI_MODEL, MESSAGES } = require('../config/constants');
 const { getGeminiModel } = require('../utils/geminiClient');
+const { BlockedUrlError } = require('../utils/urlGuard');
+const { CircuitOpenError } = require('../utils/circuitBreaker');
+const { OutboundRateLimitError } = require('../utils/tokenBucket');
+const { describeFetchError } = require('../utils/retryPolicy');
+
+/**
+ * Answer a page that couldn't be fetched for summarize/analyze the way the
+ * extractor routes do: blocked URLs, paused or throttled hosts, then 502/504
+ * with an `upstream` block for unreachable and timed-out targets
+ * @param {object} res - Express response object
+ * @param {Error} error - Error thrown by extractUrl
+ * @param {string} url - Requested URL
+ */
+const sendExtractionError = (res, error, url) => {
+  if (error instanceof BlockedUrlError) {
+    return res.status(403).json({ success: false, message: MESSAGES.URL_BLOCKED, code: error.code, reason: error.reason });
+  }
+  if (error instanceof CircuitOpenError || error instanceof OutboundRateLimitError) {
+    res.set('Retry-After', String(Math.ceil(error.retryAfter / 1000)));
+    return res.status(error.statusCode).json({ success: false, message: error instanceof CircuitOpenError ? MESSAGES.CIRCUIT_OPEN : MESSAGES.OUTBOUND_RATE_LIMITED, code: error.code, host: error.host });
+  }
+  const { status, kind, upstream } = describeFetchError(error);
+  return res.status(status).json({ success: false, message: MESSAGES.REQUEST_FAILED, error: error.message, kind, upstream, url });
+};
 
 class GeminiController {
   async generate(req, res) {
@@ -38,23 +61,26 @@ class GeminiController {
 
   async summarizeUrl(req, res) {
     try {
-      const { url } = req.body;
+      const { url, fresh } = req.body;
       if (!url) {
         return res.status(400).json({ success: false, message: MESSAGES.MISSING_URL });
       }
-      const result = await lambdaController.executeWithRetry(url, 'GET');
-      let contentText = '';
-      if (typeof result.data === 'string') {
-        const $ = cheerio.load(result.data);
-        contentText = $('body').text().replace(/\s+/g, ' ').trim();
-      } else if (typeof result.data === 'object') {
-        contentText = JSON.stringify(result.data);
+      let extraction;
+      try {
+        extraction = await lambdaController.extractUrl(url, 'GET', {}, null, {
+          fresh: fresh === true || fresh === 'true'
+        });
+      } catch (error) {
+        console.error('Gemini summarizeUrl fetch error:', error.message);
+        return sendExtractionError(res, error, url);
       }
-      const prompt = `Summarize the following webpage content in 5-7 bullet points. Focus on primary purpose, key features, and any calls-to-action.\n\nURL: ${url}\n\nContent:\n${contentText.slice(0, 12000)}`;
+      // contentText is the readable main content (no navigation, banners or footers)
+      const { result, data, contentText, cache } = extraction;
+      const prompt = `Summarize the following webpage content in 5-7 bullet points. Focus on primary purpose, key features, and any calls-to-action.\n\nURL: ${url}\nTitle: ${data?.title || ''}\n\nContent:\n${contentText.slice(0, 12000)}`;
       const model = getGeminiModel(GEMINI_MODEL);
       const aiResult = await model.generateContent(prompt);
       const summary = aiResult?.response?.text?.() || aiResult?.response?.text || '';
-      return res.status(200).json({ success: true, data: { url, model: GEMINI_MODEL, status: result.status, summary } });
+      return res.status(200).json({ success: true, data: { url, model: GEMINI_MODEL, status: result.status, summary, cache } });
     } catch (error) {
       console.error('Gemini summarizeUrl error:', error.message);
       return res.status(500).json({ success: false, message: 'Failed to summarize URL', error: error.message });
@@ -63,26 +89,28 @@ class GeminiController {
 
   async analyzeUrl(req, res) {
     try {
-      const { url, prompt } = req.body;
+      const { url, prompt, fresh } = req.body;
       if (!url) {
         return res.status(400).json({ success: false, message: MESSAGES.MISSING_URL });
       }
       if (!prompt) {
         return res.status(400).json({ success: false, message: 'Missing required parameter: prompt' });
       }
-      const result = await lambdaController.executeWithRetry(url, 'GET');
-      let contentText = '';
-      if (typeof result.data === 'string') {
-        const $ = cheerio.load(result.data);
-        contentText = $('body').text().replace(/\s+/g, ' ').trim();
-      } else if (typeof result.data === 'object') {
-        contentText = JSON.stringify(result.data);
+      let extraction;
+      try {
+        extraction = await lambdaController.extractUrl(url, 'GET', {}, null, {
+          fresh: fresh === true || fresh === 'true'
+        });
+      } catch (error) {
+        console.error('Gemini analyzeUrl fetch error:', error.message);
+        return sendExtractionError(res, error, url);
       }
-      const combinedPrompt = `${prompt}\n\nURL: ${url}\nContent:\n${contentText.slice(0, 12000)}`;
+      const { data, contentText, cache } = extraction;
+      const combinedPrompt = `${prompt}\n\nURL: ${url}\nTitle: ${data?.title || ''}\nContent:\n${contentText.slice(0, 12000)}`;
       const model = getGeminiModel(GEMINI_MODEL);
       const aiResult = await model.generateContent(combinedPrompt);
       const output = aiResult?.response?.text?.() || aiResult?.response?.text || '';
-      return res.status(200).json({ success: true, data: { url, model: GEMINI_MODEL, output } });
+      return res.status(200).json({ success: true, data: { url, model: GEMINI_MODEL, output, cache } });
     } catch (error) {
       console.error('Gemini analyzeUrl error:', error.message);
       return res.status(500).json({ success: false, message: 'Failed to analyze URL', error: error.message });
@@ -0,0 +1,75 @@
+const { MESSAGES, THUMBNAIL_SIZES, IMAGE_CACHE_MAX_AGE } = require('../config/constants');
+const { verifyImageSignature, getThumbnail, ImageProxyError } = require('../utils/imageProxy');
+const { BlockedUrlError } = require('../utils/urlGuard');
+
+/**
+ * Image Controller - Serves resized link preview images
+ * Proxy URLs are built by utils/imageProxy.js and signed, so they can be used
+ * directly in <img> tags without authentication.
+ */
+class ImageController {
+
+  /**
+   * Serve a cached thumbnail of a remote image
+   * GET /api/images/proxy?url=...&size=...&sig=...
+   * @param {object} req - Express request object
+   * @param {object} res - Express response object
+   */
+  async proxyImage(req, res) {
+    const { url, size = 'medium', sig, fallback } = req.query;
+
+    if (!url || typeof url !== 'string') {
+      return res.status(400).json({ success: false, message: MESSAGES.MISSING_URL });
+    }
+
+    if (!THUMBNAIL_SIZES[size]) {
+      return res.status(400).json({
+        success: false,
+        message: MESSAGES.INVALID_IMAGE_SIZE,
+        sizes: Object.keys(THUMBNAIL_SIZES)
+      });
+    }
+
+    if (!verifyImageSignature(url, size, sig)) {
+      return res.status(403).json({ success: false, message: MESSAGES.INVALID_IMAGE_SIGNATURE });
+    }
+
+    try {
+      const thumbnail = await getThumbnail(url, size);
+
+      res.set({
+        'Content-Type': thumbnail.contentType,
+        'Cache-Control': `public, max-age=${IMAGE_CACHE_MAX_AGE}, immutable`,
+        ETag: thumbnail.etag,
+        'X-Cache': thumbnail.cached ? 'HIT' : 'MISS',
+        // Previews are embedded by other origins (web app, extensions)
+        'Cross-Origin-Resource-Policy': 'cross-origin'
+      });
+
+      if (req.headers['if-none-match'] === thumbnail.etag) {
+        return res.status(304).end();
+      }
+
+      res.send(thumbnail.buffer);
+
+    } catch (error) {
+      console.error(`❌ Image proxy failed for ${url}:`, error.message);
+
+      // Redirecting hands the viewer's IP to the original host, so only on request;
+      // clients otherwise fall back to the original URL stored next to the proxied one
+      if (fallback === 'true' && !(error instanceof BlockedUrlError)) {
+        return res.redirect(302, url);
+      }
+
+      const status = error instanceof BlockedUrlError ? 403
+        : (error instanceof ImageProxyError ? error.statusCode : 502);
+      res.status(status).json({
+        success: false,
+        message: error instanceof BlockedUrlError ? MESSAGES.URL_BLOCKED : MESSAGES.IMAGE_FETCH_FAILED,
+        error: error.message
+      });
+    }
+  }
+}
+
+module.exports = new ImageController();
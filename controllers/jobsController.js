@@ -0,0 +1,137 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const ExtractionJob = require('../models/ExtractionJob');
+const { MESSAGES, JOB_WEBHOOK_SECRET } = require('../config/constants');
+const { formatLambdaResponse, getHostKey } = require('../utils/helpers');
+const { assertHostAllowed, BlockedUrlError } = require('../utils/urlGuard');
+const { wakeExtractionWorker } = require('../utils/extractionWorker');
+
+/**
+ * Jobs Controller - Asynchronous URL extraction
+ * Jobs are stored in MongoDB and processed by the extraction worker
+ */
+class JobsController {
+
+  /**
+   * Queue an extraction job
+   * POST /api/url-extractor/jobs
+   * @param {object} req - Express request object
+   * @param {object} res - Express response object
+   */
+  async createJob(req, res) {
+    try {
+      const { url, fresh, callbackUrl } = req.body || {};
+
+      if (!url) {
+        return res.status(400).json(
+          formatLambdaResponse(400, { error: MESSAGES.MISSING_URL })
+        );
+      }
+
+      if (typeof url !== 'string' || !getHostKey(url.trim())) {
+        return res.status(400).json(
+          formatLambdaResponse(400, { error: MESSAGES.INVALID_URL, url })
+        );
+      }
+
+      if (callbackUrl) {
+        if (!JOB_WEBHOOK_SECRET) {
+          return res.status(400).json(
+            formatLambdaResponse(400, { error: MESSAGES.WEBHOOKS_DISABLED })
+          );
+        }
+        if (typeof callbackUrl !== 'string' || !getHostKey(callbackUrl.trim())) {
+          return res.status(400).json(
+            formatLambdaResponse(400, { error: MESSAGES.INVALID_URL, callbackUrl })
+          );
+        }
+        // Reject obviously internal callbacks now; delivery re-checks DNS
+        assertHostAllowed(callbackUrl.trim());
+      }
+
+      if (mongoose.connection.readyState !== 1) {
+        return res.status(503).json(
+          formatLambdaResponse(503, { error: MESSAGES.JOBS_UNAVAILABLE })
+        );
+      }
+
+      const job = await ExtractionJob.create({
+        jobId: crypto.randomUUID(),
+        url: url.trim(),
+        options: { fresh: fresh === true || fresh === 'true' },
+        callbackUrl: callbackUrl ? callbackUrl.trim() : undefined,
+        callback: { status: callbackUrl ? 'pending' : 'none' }
+      });
+      wakeExtractionWorker();
+
+      console.log(`\n🧾 Queued extraction job ${job.jobId} for: ${job.url}`);
+
+      const baseUrl = `${req.protocol}://${req.get('host')}${req.baseUrl}`;
+      res.status(202).json({
+        success: true,
+        data: {
+          ...job.toPublicJSON(),
+          statusUrl: `${baseUrl}/jobs/${job.jobId}`
+        },
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('❌ Failed to queue extraction job:', error.message);
+
+      if (error instanceof BlockedUrlError) {
+        return res.status(403).json(
+          formatLambdaResponse(403, {
+            error: MESSAGES.URL_BLOCKED,
+            code: error.code,
+            reason: error.reason,
+            details: error.message,
+            callbackUrl: req.body?.callbackUrl
+          })
+        );
+      }
+
+      res.status(500).json(
+        formatLambdaResponse(500, {
+          error: 'Failed to queue extraction job',
+          details: error.message
+        })
+      );
+    }
+  }
+
+  /**
+   * Get a job's status and, once finished, its result
+   * GET /api/url-extractor/jobs/:id
+   * @param {object} req - Express request object
+   * @param {object} res - Express response object
+   */
+  async getJob(req, res) {
+    try {
+      const job = await ExtractionJob.findOne({ jobId: req.params.id });
+
+      if (!job) {
+        return res.status(404).json(
+          formatLambdaResponse(404, { error: MESSAGES.JOB_NOT_FOUND })
+        );
+      }
+
+      res.status(200).json({
+        success: true,
+        data: job.toPublicJSON(),
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('❌ Failed to fetch extraction job:', error.message);
+      res.status(500).json(
+        formatLambdaResponse(500, {
+          error: 'Failed to fetch extraction job',
+          details: error.message
+        })
+      );
+    }
+  }
+}
+
+module.exports = new JobsController();
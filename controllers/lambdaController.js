@@ -1,5 +1,14 @@
 const axios = require('axios');
-const { MAX_RETRIES, REQUEST_TIMEOUT, MESSAGES } = require('../config/constants');
+const {
+  MAX_REDIRECTS,
+  REQUEST_TIMEOUT,
+  BATCH_MAX_URLS,
+  BATCH_CONCURRENCY,
+  BATCH_MAX_CONCURRENCY,
+  BATCH_HOST_DELAY,
+  EXTRACTOR_LEGACY_STATUS,
+  MESSAGES
+} = require('../config/constants');
 const { 
   sleep, 
   getRandomUserAgent, 
@@ -9,15 +18,90 @@ const {
   extractImages,
   extractMetadata,
   isHtmlContent,
-  classifyLinkType,
+  mapWithConcurrency,
+  getHostKey,
+  extractTextContent
+} = require('../utils/helpers');
+const { assertUrlAllowed, guardedLookup, BlockedUrlError } = require('../utils/urlGuard');
+const {
   fetchPlatformMetadata,
   needsPlatformFallback,
   mergeMetadata
-} = require('../utils/helpers');
+} = require('../utils/platformAdapters');
+const { readResponseBody, decodeBody, getMediaType } = require('../utils/responseBody');
+const { extractFileMetadata } = require('../utils/fileMetadata');
+const { detectCharset } = require('../utils/charset');
+const { startTimer, mark, summarizeTimer } = require('../utils/fetchTimings');
+const { recordOverride } = require('../utils/extractionTrace');
+const { buildProxiedImages } = require('../utils/imageProxy');
+const { rankImageCandidates } = require('../utils/imageCandidates');
+const { classifyLink, loadDomainRules } = require('../utils/linkClassifier');
+const { extractReadableContent } = require('../utils/readability');
+const { resolveFetchProfile } = require('../utils/fetchProfiles');
+const { classifyStatus, classifyError, describeFetchError, getRetryAfterDelay } = require('../utils/retryPolicy');
+const { CircuitOpenError, assertCircuitClosed, recordOutcome, getCircuitStates } = require('../utils/circuitBreaker');
+const { OutboundRateLimitError, acquireToken } = require('../utils/tokenBucket');
+const {
+  isFresh,
+  getCachedEntry,
+  setCachedEntry,
+  refreshCachedEntry,
+  getRevalidationHeaders,
+  describeCache
+} = require('../utils/metadataCache');
+const ProxyAuditLog = require('../models/ProxyAuditLog');
+
+// Upstream response headers worth passing on to clients
+const UPSTREAM_HEADERS = [
+  'content-type', 'content-length', 'content-language', 'content-disposition', 'last-modified', 'etag',
+  'cache-control', 'expires', 'retry-after', 'x-robots-tag', 'server'
+];
+
+/**
+ * Describe the target's response for the `upstream` block of extractor responses
+ * @param {number} status - Target's HTTP status
+ * @param {string} statusText
+ * @param {object} headers - Target's response headers (empty for cache hits)
+ * @returns {{status: number, statusText: string, ok: boolean, kind: string, headers: object}}
+ */
+const describeUpstream = (status, statusText, headers = {}) => ({
+  status,
+  statusText: statusText || null,
+  ok: status >= 200 && status < 300,
+  kind: classifyStatus(status).kind,
+  headers: Object.fromEntries(UPSTREAM_HEADERS.filter(name => headers[name] !== undefined).map(name => [name, headers[name]]))
+});
+
+/**
+ * Whether the caller wants the pre-`upstream` contract (target's status code as ours)
+ * @param {object} req - Express request object
+ * @returns {boolean}
+ */
+const wantsLegacyStatus = (req) => {
+  const flag = req.body?.legacyStatus ?? req.query?.legacyStatus;
+  return flag === undefined ? EXTRACTOR_LEGACY_STATUS : flag === true || flag === 'true';
+};
+
+/**
+ * Record the outcome of a proxy-mode call on the audit entry reserved by proxyAccess
+ * (metadata mode isn't audited). Written in the background; a failed write is logged,
+ * never surfaced to the caller.
+ * @param {object} req - Express request object with req.proxy from proxyAccess
+ * @param {object} details - { upstreamStatus, outcome, startedAt }
+ */
+const auditProxyCall = (req, { upstreamStatus, outcome, startedAt }) => {
+  if (!req.proxy || !req.proxy.auditId) return;
+
+  ProxyAuditLog.updateOne(
+    { _id: req.proxy.auditId },
+    { $set: { upstreamStatus, outcome, durationMs: Date.now() - startedAt } }
+  ).catch(error => console.error('❌ Failed to write proxy audit log:', error.message));
+};
 
 /**
  * Lambda-style request executor with retry logic and bot detection avoidance
  */
+
 class LambdaController {
   
   /**
@@ -26,12 +110,19 @@ class LambdaController {
    * @param {object} res - Express response object
    */
   async executeRequest(req, res) {
+    const startedAt = Date.now();
     try {
       // Extract parameters from both body and query
-      const { url, method = 'GET', headers: customHeaders = {}, data } = {
+      const { url, data, fresh, debug } = {
         ...req.query,
         ...req.body
       };
+      const legacyStatus = wantsLegacyStatus(req);
+
+      // Only proxy mode (signed in, see middleware/executeAccess.js) forwards a method, headers and body
+      const { proxy } = req;
+      const method = proxy ? proxy.method : 'GET';
+      const customHeaders = proxy ? proxy.headers : {};
 
       // Validate required parameters
       if (!url) {
@@ -50,167 +141,806 @@ class LambdaController {
 
       console.log(`\n🚀 Executing ${method.toUpperCase()} request to: ${url}`);
 
-      // Execute request with retry logic
-      const result = await this.executeWithRetry(url, method, customHeaders, data);
-      
-      // Extract metadata (images, title, description) if response is HTML
-      let metadata = null;
-      if (isHtmlContent(result) && typeof result.data === 'string') {
-        console.log('🖼️  Extracting metadata from HTML content...');
-        metadata = extractMetadata(result.data, url);
-        console.log('📸 Images found:', {
-          logo: metadata.images.logo ? '✅' : '❌',
-          ogImage: metadata.images.ogImage ? '✅' : '❌',
-          favicon: metadata.images.favicon ? '✅' : '❌',
-          appleTouchIcon: metadata.images.appleTouchIcon ? '✅' : '❌'
-        });
-        console.log('📝 Content found:', {
-          title: metadata.title ? '✅' : '❌',
-          description: metadata.description ? '✅' : '❌'
-        });
+      const { result, data: responseData, cache } = await this.extractUrl(url, method, customHeaders, proxy ? data : null, {
+        fresh: fresh === true || fresh === 'true',
+        // Explain where each field came from and time every stage
+        debug: debug === true || debug === 'true'
+      });
+
+      // Our status says whether we could process the request; the target's goes in `upstream`
+      const upstream = describeUpstream(result.status, result.statusText, result.headers);
+      res.set('X-Upstream-Status', String(result.status));
+      if (legacyStatus) res.set('Deprecation', 'true');
+      auditProxyCall(req, { upstreamStatus: result.status, outcome: upstream.kind, startedAt });
 
-        // Platform-aware fallback: use oEmbed when content looks generic/missing
-        if (needsPlatformFallback(url, metadata)) {
-          console.log('🔁 Using platform oEmbed fallback for richer metadata...');
-          const platformMeta = await fetchPlatformMetadata(url);
-          if (platformMeta) {
-            metadata = mergeMetadata(metadata, platformMeta, url);
-          } else {
-            console.log('⚠️  Platform fallback unavailable or failed.');
+      // Return direct JSON response instead of Lambda format for better API usability
+      res.status(legacyStatus ? result.status : 200).json({
+        success: upstream.ok,
+        data: responseData,
+        upstream,
+        cache,
+        ...(proxy && {
+          proxy: {
+            forwardedHeaders: proxy.forwardedHeaders,
+            strippedHeaders: proxy.strippedHeaders,
+            quota: proxy.quota
           }
-        }
+        }),
+        attempt: result.attempt,
+        attempts: result.attempts || [],
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('❌ Request execution failed:', error.message);
+      auditProxyCall(req, { upstreamStatus: null, outcome: classifyError(error).kind, startedAt });
+
+      if (error instanceof BlockedUrlError) {
+        return res.status(403).json(
+          formatLambdaResponse(403, {
+            error: MESSAGES.URL_BLOCKED,
+            code: error.code,
+            reason: error.reason,
+            details: error.message,
+            url: req.body?.url || req.query?.url
+          })
+        );
+      }
+
+      // Failing fast for a paused host, or our own outbound limit for it was hit
+      if (error instanceof CircuitOpenError || error instanceof OutboundRateLimitError) {
+        res.set('Retry-After', String(Math.ceil(error.retryAfter / 1000)));
+        return res.status(error.statusCode).json(
+          formatLambdaResponse(error.statusCode, {
+            error: error instanceof CircuitOpenError ? MESSAGES.CIRCUIT_OPEN : MESSAGES.OUTBOUND_RATE_LIMITED,
+            code: error.code,
+            host: error.host,
+            retryAfter: error.retryAfter,
+            url: req.body?.url || req.query?.url
+          })
+        );
       }
       
-      // Classify link type based on URL and extracted content
-      const linkType = classifyLinkType(
-        url,
-        metadata?.title || '',
-        metadata?.description || '',
-        isHtmlContent(result) ? result.data : ''
+      // The target couldn't be reached: 502, or 504 when it timed out (legacy clients get 500)
+      const { status, kind, upstream } = describeFetchError(error, wantsLegacyStatus(req));
+      res.status(status).json(
+        formatLambdaResponse(status, {
+          error: MESSAGES.REQUEST_FAILED,
+          details: error.message,
+          kind,
+          upstream,
+          attempts: error.attempts || [],
+          url: req.body?.url || req.query?.url
+        })
       );
-      console.log('🔍 Link classified as:', linkType);
-      
-      // Return successful response with metadata
-      const responseData = {
-        url,
-        method: method.toUpperCase(),
-        status: result.status,
-        statusText: result.statusText,
-        linkType,
-        // headers: result.headers,
-        // data: result.data
+    }
+  }
+
+  /**
+   * Fetch a URL and run the extraction pipeline (metadata, platform fallback, classification)
+   * Plain GET requests are served from the shared metadata cache when possible;
+   * stale entries are revalidated with ETag/Last-Modified.
+   * @param {string} url - Target URL
+   * @param {string} method - HTTP method
+   * @param {object} customHeaders - Custom headers
+   * @param {any} data - Request data
+   * @param {object} options - { fresh } to bypass the cache, { debug } to explain every field
+   *   and time each stage (implies fresh; the explanation is never cached)
+   * @returns {Promise<{result: object, data: object, contentText: string, content: object|null, cache: object}>}
+   *   Fetch result, response payload, readable page text, structured readable content and cache info
+   */
+  async extractUrl(url, method = 'GET', customHeaders = {}, data = null, { fresh = false, debug = false } = {}) {
+    const cacheable = method.toUpperCase() === 'GET' && !data &&
+      (!customHeaders || Object.keys(customHeaders).length === 0);
+
+    // Milliseconds spent in each stage, reported in debug mode
+    const stages = {};
+    let stageStart = Date.now();
+    const endStage = (name) => {
+      stages[name] = Date.now() - stageStart;
+      stageStart = Date.now();
+    };
+
+    let cached = null;
+    if (cacheable && !fresh && !debug) {
+      cached = await getCachedEntry(url);
+      if (isFresh(cached)) {
+        console.log('💾 Metadata cache hit');
+        return this.fromCache(cached, { hit: true });
+      }
+    }
+
+    // Execute request with retry logic (conditional when a stale entry can be revalidated)
+    const revalidationHeaders = cached ? getRevalidationHeaders(cached) : {};
+    const result = await this.executeGuarded(url, method, { ...customHeaders, ...revalidationHeaders }, data, { debug });
+    endStage('fetchMs');
+
+    if (cached && result.status === 304) {
+      console.log('💾 Metadata cache revalidated');
+      const refreshed = await refreshCachedEntry(cached);
+      return this.fromCache(refreshed, { hit: true, revalidated: true }, result);
+    }
+    
+    // Extract metadata (images, title, description) if response is HTML
+    let metadata = null;
+    if (isHtmlContent(result) && typeof result.data === 'string') {
+      console.log('🖼️  Extracting metadata from HTML content...');
+      // Resolve relative URLs against where we actually ended up
+      metadata = extractMetadata(result.data, result.finalUrl || url, { debug });
+      console.log('📸 Images found:', {
+        logo: metadata.images.logo ? '✅' : '❌',
+        ogImage: metadata.images.ogImage ? '✅' : '❌',
+        favicon: metadata.images.favicon ? '✅' : '❌',
+        appleTouchIcon: metadata.images.appleTouchIcon ? '✅' : '❌'
+      });
+      console.log('📝 Content found:', {
+        title: metadata.title ? '✅' : '❌',
+        description: metadata.description ? '✅' : '❌'
+      });
+
+      endStage('parseMs');
+
+      // Platform-aware fallback: use oEmbed when content looks generic/missing
+      // Match platforms on the final URL so short links (redd.it, youtu.be...) resolve too
+      const pageUrl = result.finalUrl || url;
+      if (needsPlatformFallback(pageUrl, metadata, result.data)) {
+        console.log('🔁 Using platform oEmbed fallback for richer metadata...');
+        const platformMeta = await fetchPlatformMetadata(pageUrl, result.data);
+        if (platformMeta) {
+          const merged = mergeMetadata(metadata, platformMeta, pageUrl);
+          this.traceMerge(metadata, merged, `oembed:${platformMeta.platform || 'discovered'}`);
+          metadata = merged;
+        } else {
+          console.log('⚠️  Platform fallback unavailable or failed.');
+        }
+        endStage('platformFallbackMs');
+      }
+    }
+    
+    // PDFs, images, audio and video: read the file's own metadata
+    if (result.transfer?.fileKind && Buffer.isBuffer(result.data)) {
+      console.log(`📄 Extracting ${result.transfer.fileKind} file metadata...`);
+      metadata = await extractFileMetadata({
+        buffer: result.data,
+        mediaType: getMediaType(result.contentType),
+        url: result.finalUrl || url,
+        headers: result.headers,
+        complete: !result.transfer.truncated
+      });
+      endStage('parseMs');
+    }
+    
+    // HEAD-check the best image candidates and pick the preview from the survivors
+    if (metadata && !metadata.fileInfo) {
+      const previousOgImage = metadata.images.ogImage;
+      const ranked = await rankImageCandidates(metadata.imageCandidates, previousOgImage);
+      metadata.images.ogImage = ranked.ogImage;
+      metadata.imageCandidates = ranked.candidates;
+      if (metadata.images.logo === previousOgImage && previousOgImage !== ranked.ogImage) {
+        metadata.images.logo = ranked.ogImage || metadata.images.favicon;
+        recordOverride(metadata.debug, 'logo', metadata.images.logo, ranked.ogImage ? 'og:image fallback' : 'favicon fallback',
+          'the OG image it fell back to failed the HEAD check');
+      }
+      if (previousOgImage !== ranked.ogImage || ranked.rejected.length) {
+        const winner = ranked.candidates[0];
+        recordOverride(metadata.debug, 'ogImage', ranked.ogImage, winner ? winner.source : null,
+          winner ? 'highest score after HEAD-checking the top candidates' : 'every candidate failed the HEAD check',
+          { rejected: ranked.rejected });
+      }
+      endStage('imageChecksMs');
+    }
+    
+    // Score the link type from URL, page hints and admin domain rules
+    const classification = classifyLink({
+      url: result.finalUrl || url,
+      title: metadata?.title,
+      description: metadata?.description,
+      keywords: metadata?.keywords,
+      ogType: metadata?.ogType,
+      schemaTypes: metadata?.schemaTypes
+    }, { domainRules: await loadDomainRules() });
+    const linkType = classification.type;
+    console.log('🔍 Link classified as:', linkType, `(confidence ${classification.confidence})`);
+    endStage('classifyMs');
+    
+    const responseData = {
+      url,
+      method: method.toUpperCase(),
+      status: result.status,
+      statusText: result.statusText,
+      linkType,
+      classification: {
+        confidence: classification.confidence,
+        signals: classification.signals
+      },
+      finalUrl: result.finalUrl || url,
+      canonicalUrl: metadata?.canonicalUrl || result.finalUrl || url,
+      redirects: result.redirects || [],
+      transfer: result.transfer,
+      // headers: result.headers,
+      // data: result.data
+    };
+
+    // Add metadata to response if found
+    if (metadata) {
+      // Signed thumbnail URLs so clients don't hotlink the originals
+      responseData.images = {
+        ...metadata.images,
+        candidates: metadata.imageCandidates || [],
+        proxied: buildProxiedImages(metadata.images)
       };
+      responseData.title = metadata.title;
+      responseData.description = metadata.description;
+      responseData.richData = metadata.richData || null;
+      if (metadata.platform) responseData.platform = metadata.platform;
+      if (metadata.fileInfo) responseData.fileInfo = metadata.fileInfo;
+    }
+
+    // Main article content without navigation, banners and footers
+    const content = isHtmlContent(result) ? extractReadableContent(result.data) : null;
+    responseData.reading = content ? {
+      wordCount: content.wordCount,
+      readingTimeMinutes: content.readingTimeMinutes,
+      language: content.language?.code || null
+    } : null;
+
+    const contentText = content?.text || (metadata?.fileInfo
+      ? [metadata.title, metadata.description].filter(Boolean).join('\n\n')
+      : extractTextContent(result.data));
+    endStage('readabilityMs');
 
-      // Add metadata to response if found
-      if (metadata) {
-        responseData.images = metadata.images;
-        responseData.title = metadata.title;
-        responseData.description = metadata.description;
+    let cacheEntry = null;
+    if (cacheable && result.status >= 200 && result.status < 300) {
+      cacheEntry = await setCachedEntry(url, { data: responseData, contentText, content, headers: result.headers });
+    }
+
+    return {
+      result,
+      // The explanation is added to a copy so it never reaches the cache
+      data: debug ? {
+        ...responseData,
+        debug: {
+          fields: metadata?.debug || null,
+          timings: result.attempts?.[result.attempts.length - 1]?.timings || [],
+          stages
+        }
+      } : responseData,
+      contentText,
+      content,
+      cache: describeCache(cacheEntry, { hit: false })
+    };
+  }
+
+  /**
+   * Record in the debug trace which fields the platform fallback replaced
+   * @param {object} before - Metadata from the page
+   * @param {object} after - Metadata after mergeMetadata
+   * @param {string} source - e.g. "oembed:youtube"
+   */
+  traceMerge(before, after, source) {
+    const trace = before.debug;
+    if (!trace) return;
+    for (const field of ['title', 'description']) {
+      if (after[field] !== before[field]) {
+        recordOverride(trace, field, after[field], source,
+          before[field] ? 'page value looked generic for this platform' : 'page had no value');
       }
+    }
+    for (const field of ['ogImage', 'logo', 'favicon', 'appleTouchIcon']) {
+      if (after.images[field] !== before.images[field]) {
+        recordOverride(trace, field, after.images[field], source, 'page had no value');
+      }
+    }
+  }
 
-      // Return direct JSON response instead of Lambda format for better API usability
-      res.status(result.status).json({
-        success: result.status >= 200 && result.status < 300,
-        data: responseData,
-        attempt: result.attempt,
+  /**
+   * Build an extractUrl result from a cache entry
+   * @param {object} entry - Cache entry
+   * @param {object} info - { hit, revalidated }
+   * @param {object} revalidation - Fetch result of the revalidation request, if any
+   * @returns {{result: object, data: object, contentText: string, content: object|null, cache: object}}
+   */
+  fromCache(entry, info, revalidation = null) {
+    return {
+      result: {
+        status: entry.data?.status || 200,
+        statusText: entry.data?.statusText || 'OK',
+        headers: {},
+        attempt: revalidation?.attempt || 0,
+        attempts: revalidation?.attempts || []
+      },
+      data: entry.data,
+      contentText: entry.contentText || '',
+      content: entry.content ? { ...entry.content, text: entry.contentText || '' } : null,
+      cache: describeCache(entry, info)
+    };
+  }
+
+  /**
+   * Readable main content of a page (boilerplate removed)
+   * GET /api/url-extractor/content?url=
+   * @param {object} req - Express request object
+   * @param {object} res - Express response object
+   */
+  async getContent(req, res) {
+    try {
+      const { url, fresh } = req.query;
+
+      if (!url) {
+        return res.status(400).json(
+          formatLambdaResponse(400, { error: MESSAGES.MISSING_URL })
+        );
+      }
+
+      console.log(`\n📖 Extracting readable content from: ${url}`);
+
+      let extraction = await this.extractUrl(url, 'GET', {}, null, {
+        fresh: fresh === true || fresh === 'true'
+      });
+      // Entries cached before content extraction existed have no blocks
+      if (!extraction.content && extraction.cache.hit) {
+        extraction = await this.extractUrl(url, 'GET', {}, null, { fresh: true });
+      }
+
+      const { result, data, content, cache } = extraction;
+      if (!content) {
+        return res.status(422).json(
+          formatLambdaResponse(422, {
+            error: MESSAGES.NO_READABLE_CONTENT,
+            status: result.status,
+            contentType: data?.transfer?.contentType || null,
+            url
+          })
+        );
+      }
+
+      res.status(200).json({
+        success: true,
+        data: {
+          url,
+          finalUrl: data.finalUrl || url,
+          status: result.status,
+          title: content.title || data.title || null,
+          byline: content.byline,
+          excerpt: content.excerpt,
+          language: content.language,
+          wordCount: content.wordCount,
+          readingTimeMinutes: content.readingTimeMinutes,
+          blocks: content.blocks,
+          text: content.text
+        },
+        cache,
         timestamp: new Date().toISOString()
       });
 
     } catch (error) {
-      console.error('❌ Request execution failed:', error.message);
-      
-      // Return error response
+      console.error('❌ Content extraction failed:', error.message);
+
+      if (error instanceof BlockedUrlError) {
+        return res.status(403).json(
+          formatLambdaResponse(403, {
+            error: MESSAGES.URL_BLOCKED,
+            code: error.code,
+            reason: error.reason,
+            details: error.message,
+            url: req.query?.url
+          })
+        );
+      }
+
+      if (error instanceof CircuitOpenError || error instanceof OutboundRateLimitError) {
+        res.set('Retry-After', String(Math.ceil(error.retryAfter / 1000)));
+        return res.status(error.statusCode).json(
+          formatLambdaResponse(error.statusCode, {
+            error: error instanceof CircuitOpenError ? MESSAGES.CIRCUIT_OPEN : MESSAGES.OUTBOUND_RATE_LIMITED,
+            code: error.code,
+            host: error.host,
+            retryAfter: error.retryAfter,
+            url: req.query?.url
+          })
+        );
+      }
+
+      // Same mapping as /execute: 502, or 504 when the target timed out
+      const { status, kind, upstream } = describeFetchError(error, wantsLegacyStatus(req));
+      res.status(status).json(
+        formatLambdaResponse(status, {
+          error: MESSAGES.REQUEST_FAILED,
+          details: error.message,
+          kind,
+          upstream,
+          attempts: error.attempts || [],
+          url: req.query?.url
+        })
+      );
+    }
+  }
+
+  /**
+   * Extract metadata for many URLs at once
+   * Runs with a bounded concurrency and at most one in-flight request per host,
+   * spaced by BATCH_HOST_DELAY. Results are returned in input order; a failing
+   * URL never fails the whole batch.
+   * @param {object} req - Express request object
+   * @param {object} res - Express response object
+   */
+  async executeBatch(req, res) {
+    try {
+      const { urls, concurrency, fresh } = req.body || {};
+
+      if (!Array.isArray(urls) || urls.length === 0) {
+        return res.status(400).json(
+          formatLambdaResponse(400, { error: MESSAGES.MISSING_URLS })
+        );
+      }
+
+      if (urls.length > BATCH_MAX_URLS) {
+        return res.status(400).json(
+          formatLambdaResponse(400, { error: `A batch can contain at most ${BATCH_MAX_URLS} URLs` })
+        );
+      }
+
+      const limit = Math.min(Math.max(parseInt(concurrency, 10) || BATCH_CONCURRENCY, 1), BATCH_MAX_CONCURRENCY);
+      const legacyStatus = wantsLegacyStatus(req);
+      console.log(`\n📦 Executing batch of ${urls.length} URLs (concurrency ${limit})`);
+
+      const settled = await mapWithConcurrency(
+        urls,
+        async (url) => {
+          if (typeof url !== 'string' || !getHostKey(url.trim())) {
+            throw Object.assign(new Error(MESSAGES.INVALID_URL), { code: 'INVALID_URL', statusCode: 400 });
+          }
+          return this.extractUrl(url.trim(), 'GET', {}, null, {
+            fresh: fresh === true || fresh === 'true'
+          });
+        },
+        {
+          concurrency: limit,
+          keyOf: (url) => getHostKey(url),
+          keyDelay: BATCH_HOST_DELAY
+        }
+      );
+
+      const results = settled.map((outcome, index) => {
+        const url = urls[index];
+        if (outcome.status === 'fulfilled') {
+          const { result, data, cache } = outcome.value;
+          return {
+            index,
+            url,
+            success: result.status >= 200 && result.status < 300,
+            data,
+            cache,
+            attempt: result.attempt,
+            attempts: result.attempts || []
+          };
+        }
+        // status is what /execute would have answered for this URL on its own
+        const error = outcome.reason || {};
+        const { status, kind, upstream } = describeFetchError(error, legacyStatus);
+        return {
+          index,
+          url,
+          success: false,
+          status: error.statusCode || status,
+          error: {
+            code: error.code || 'REQUEST_FAILED',
+            kind,
+            reason: error.reason,
+            message: error.message || MESSAGES.REQUEST_FAILED
+          },
+          upstream,
+          attempts: error.attempts || []
+        };
+      });
+
+      const succeeded = results.filter(r => r.success).length;
+
+      res.status(200).json({
+        success: true,
+        data: {
+          results,
+          summary: {
+            total: results.length,
+            succeeded,
+            failed: results.length - succeeded
+          }
+        },
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('❌ Batch execution failed:', error.message);
       res.status(500).json(
         formatLambdaResponse(500, {
           error: MESSAGES.REQUEST_FAILED,
-          details: error.message,
-          url: req.body?.url || req.query?.url
+          details: error.message
         })
       );
     }
   }
 
+  /**
+   * Run executeWithRetry behind the target host's circuit breaker
+   * Fails fast with a CircuitOpenError while the host's circuit is open, and
+   * feeds the final outcome back into the breaker.
+   * @param {string} url - Target URL
+   * @param {string} method - HTTP method
+   * @param {object} customHeaders - Custom headers
+   * @param {any} data - Request data
+   * @param {object} options - { debug } passed to executeWithRetry
+   * @returns {Promise<object>} executeWithRetry result
+   */
+  async executeGuarded(url, method, customHeaders = {}, data = null, options = {}) {
+    const host = getHostKey(url);
+    if (host) assertCircuitClosed(host);
+
+    try {
+      const result = await this.executeWithRetry(url, method, customHeaders, data, options);
+      if (host) recordOutcome(host, classifyStatus(result.status).kind);
+      return result;
+    } catch (error) {
+      if (host) recordOutcome(host, classifyError(error).kind);
+      throw error;
+    }
+  }
+
   /**
    * Execute request with retry logic and exponential backoff
+   * Only failures the retry policy classifies as transient are retried (network
+   * errors, timeouts and the profile's retryable statuses such as 429/503);
+   * a Retry-After header replaces the backoff delay. Every attempt is recorded.
    * @param {string} url - Target URL
    * @param {string} method - HTTP method
    * @param {object} customHeaders - Custom headers
    * @param {any} data - Request data
-   * @returns {Promise<object>} Response object with attempt count
+   * @param {object} options - { debug } records network timings of every hop on each attempt
+   * @returns {Promise<object>} Response object with attempt count and per-attempt outcomes
+   *   (errors thrown after the last attempt carry them as `error.attempts`)
    */
-  async executeWithRetry(url, method, customHeaders = {}, data = null) {
-    let lastError;
+  async executeWithRetry(url, method, customHeaders = {}, data = null, { debug = false } = {}) {
+    // Headers, timeout and retry policy for this host
+    const profile = await resolveFetchProfile(url);
+    const maxRetries = profile.maxRetries;
+    if (profile.domain) {
+      console.log(`🧭 Using fetch profile for ${profile.domain} (${profile.sources.join(' + ')})`);
+    }
+
+    const attempts = [];
+
+    for (let attempt = 0; attempt < maxRetries; attempt++) {
+      const isLastAttempt = attempt === maxRetries - 1;
+      const startedAt = Date.now();
+      const timings = debug ? [] : null;
+      let response;
 
-    for (let attempt = 0; attempt < MAX_RETRIES; attempt++) {
       try {
-        console.log(`📡 Attempt ${attempt + 1}/${MAX_RETRIES}`);
+        console.log(`📡 Attempt ${attempt + 1}/${maxRetries}`);
 
         // Generate random user agent and headers for each attempt
-        const userAgent = getRandomUserAgent();
+        const userAgent = profile.userAgent || getRandomUserAgent();
         const browserHeaders = generateHeaders(url, userAgent);
         
-        // Merge headers (custom headers override browser headers)
+        // Merge headers (profile headers override browser headers, custom headers override both)
         const finalHeaders = {
           ...browserHeaders,
+          ...profile.headers,
           ...customHeaders
         };
 
         console.log(`🎭 Using User-Agent: ${userAgent.substring(0, 50)}...`);
 
-        // Configure axios request
-        const config = {
-          method: method.toUpperCase(),
-          url,
-          headers: finalHeaders,
-          timeout: REQUEST_TIMEOUT,
-          maxContentLength: Infinity,
-          maxBodyLength: Infinity,
-          decompress: true,
-          validateStatus: () => true // Accept all status codes
+        // Wait for the host's outbound rate limit
+        const waited = await acquireToken(getHostKey(url));
+        if (waited) console.log(`🪣 Waited ${waited}ms for outbound rate limit`);
+
+        // Execute request, following redirects manually so every hop is checked
+        response = await this.followRedirects(url, method, finalHeaders, data, { timeout: profile.timeout, timings });
+
+      } catch (error) {
+        const { kind, retryable } = classifyError(error);
+        const record = {
+          attempt: attempt + 1,
+          status: null,
+          kind,
+          code: error.code || error.cause?.code || null,
+          message: error.message,
+          durationMs: Date.now() - startedAt,
+          ...(timings && { timings })
         };
+        
+        console.log(`⚠️  Attempt ${attempt + 1} failed:`, {
+          kind,
+          message: error.message,
+          code: record.code
+        });
 
-        // Add data for POST/PUT/PATCH requests
-        if (data && ['POST', 'PUT', 'PATCH'].includes(method.toUpperCase())) {
-          config.data = data;
+        // DNS failures, blocked URLs, TLS errors... fail the same way every time
+        if (!retryable || isLastAttempt) {
+          attempts.push({ ...record, outcome: 'failed' });
+          error.attempts = attempts;
+          throw error;
         }
 
-        // Execute request
-        const response = await axios(config);
-        
+        const delay = calculateBackoffDelay(attempt, profile.backoff);
+        attempts.push({ ...record, outcome: 'retry', delayMs: delay });
+        console.log(`⏳ Waiting ${delay}ms before retry...`);
+        await sleep(delay);
+        continue;
+      }
+
+      const { kind, retryable } = classifyStatus(response.status, profile.retryableStatuses);
+      const record = {
+        attempt: attempt + 1,
+        status: response.status,
+        kind,
+        durationMs: Date.now() - startedAt,
+        ...(timings && { timings })
+      };
+
+      if (retryable && !isLastAttempt) {
+        const retryAfter = getRetryAfterDelay(response.headers);
+
+        // Waiting longer than we allow would only hold the client; report it instead
+        if (!retryAfter.tooLong) {
+          const delay = retryAfter.delay ?? calculateBackoffDelay(attempt, profile.backoff);
+          attempts.push({ ...record, outcome: 'retry', delayMs: delay, retryAfter: retryAfter.delay !== null });
+          console.log(`⚠️  Attempt ${attempt + 1} got retryable status ${response.status}`);
+          console.log(`⏳ Waiting ${delay}ms before retry${retryAfter.delay !== null ? ' (Retry-After)' : ''}...`);
+          await sleep(delay);
+          continue;
+        }
+        console.log(`⏭️  Retry-After of ${retryAfter.delay}ms exceeds the limit, not retrying`);
+      }
+
+      attempts.push({ ...record, outcome: kind === 'success' ? 'success' : 'failed' });
+
+      if (kind === 'success') {
         console.log(`✅ Success! Status: ${response.status} ${response.statusText}`);
-        
+      } else {
+        console.log(`⚠️  Giving up with status ${response.status} ${response.statusText} (${kind})`);
+      }
+      
+      if (response.transfer.truncated) {
+        console.log(`✂️  Body truncated after ${response.transfer.bytesRead} bytes (${response.transfer.reason})`);
+      }
+      
+      return {
+        status: response.status,
+        statusText: response.statusText,
+        headers: response.headers,
+        data: response.data,
+        contentType: response.contentType,
+        finalUrl: response.finalUrl,
+        redirects: response.redirects,
+        transfer: response.transfer,
+        profile: profile.domain,
+        attempt: attempt + 1,
+        attempts
+      };
+    }
+  }
+
+  /**
+   * Execute a single request and follow redirects hop by hop.
+   * Each hop is validated by the outbound URL guard before it is requested.
+   * @param {string} url - Target URL
+   * @param {string} method - HTTP method
+   * @param {object} headers - Request headers
+   * @param {any} data - Request data
+   * @param {object} options - { timeout } per-hop timeout in milliseconds, { timings } array
+   *   that receives DNS/connect/TLS/TTFB/download times of each hop (debug mode)
+   * @returns {Promise<object>} Response of the final hop with its size-capped body, transfer info,
+   *   final URL and redirect chain ({ url, status, location } per hop)
+   */
+  async followRedirects(url, method, headers, data = null, { timeout = REQUEST_TIMEOUT, timings = null } = {}) {
+    let currentUrl = url;
+    let currentMethod = method.toUpperCase();
+    let currentHeaders = { ...headers };
+    let currentData = data;
+    const redirects = [];
+
+    for (let hop = 0; hop <= MAX_REDIRECTS; hop++) {
+      await assertUrlAllowed(currentUrl);
+
+      // Configure axios request
+      const config = {
+        method: currentMethod,
+        url: currentUrl,
+        headers: currentHeaders,
+        timeout,
+        maxBodyLength: Infinity,
+        maxRedirects: 0,
+        // Stream the body so it can be capped instead of buffered whole
+        responseType: 'stream',
+        lookup: guardedLookup,
+        decompress: true,
+        validateStatus: () => true // Accept all status codes
+      };
+
+      // Add data for POST/PUT/PATCH requests
+      if (currentData && ['POST', 'PUT', 'PATCH'].includes(currentMethod)) {
+        config.data = currentData;
+      }
+
+      // Watch the socket of this hop when timings are requested
+      let timer = null;
+      if (timings) {
+        const timed = startTimer(currentUrl);
+        timer = timed.timer;
+        config.httpAgent = timed.httpAgent;
+        config.httpsAgent = timed.httpsAgent;
+      }
+
+      let response;
+      try {
+        response = await axios(config);
+      } catch (error) {
+        if (timer) timings.push({ ...summarizeTimer(timer), error: error.code || error.message });
+        // Surface rejections from the connect-time lookup as guard errors
+        if (error.cause instanceof BlockedUrlError) throw error.cause;
+        throw error;
+      }
+      if (timer) mark(timer, 'response');
+      const location = response.headers.location;
+
+      if (response.status < 300 || response.status >= 400 || !location) {
+        const body = await readResponseBody(response, { timeout });
+        if (timer) {
+          mark(timer, 'end');
+          timings.push({ ...summarizeTimer(timer), status: response.status, bytes: body.bytesRead });
+        }
+        const contentType = body.sniffedType || response.headers['content-type'] || '';
+        // Decode in the page's own encoding (Shift_JIS, GBK, Windows-1251...) before parsing
+        const encoding = body.buffer && !body.fileKind ? detectCharset(body.buffer, response.headers['content-type']) : null;
         return {
           status: response.status,
           statusText: response.statusText,
           headers: response.headers,
-          data: response.data,
-          attempt: attempt + 1
+          // PDFs and media files stay raw for utils/fileMetadata.js
+          data: body.fileKind ? body.buffer : decodeBody(body.buffer, contentType, !body.truncated, encoding?.charset),
+          contentType,
+          finalUrl: currentUrl,
+          redirects,
+          transfer: {
+            contentType,
+            contentLength: parseInt(response.headers['content-length'], 10) || null,
+            bytesRead: body.bytesRead,
+            truncated: body.truncated,
+            skipped: body.skipped,
+            reason: body.reason,
+            fileKind: body.fileKind || null,
+            charset: encoding?.charset || null,
+            charsetSource: encoding?.source || null
+          }
         };
+      }
 
-      } catch (error) {
-        lastError = error;
-        const status = error.response?.status;
-        
-        console.log(`⚠️  Attempt ${attempt + 1} failed:`, {
-          status,
-          message: error.message,
-          code: error.code
-        });
+      // Redirect bodies are never needed
+      response.data.destroy();
+      if (timer) timings.push({ ...summarizeTimer(timer), status: response.status, bytes: 0 });
 
-        // If this is the last attempt, throw the error
-        if (attempt === MAX_RETRIES - 1) {
-          throw lastError;
-        }
+      const nextUrl = new URL(location, currentUrl).href;
+      console.log(`↪️  Redirect ${response.status} -> ${nextUrl}`);
+      redirects.push({ url: currentUrl, status: response.status, location: nextUrl });
 
-        // Calculate delay for next attempt
-        const delay = calculateBackoffDelay(attempt);
-        console.log(`⏳ Waiting ${delay}ms before retry...`);
-        
-        await sleep(delay);
+      // 303, and 301/302 after a POST, continue as GET without a body
+      if (response.status === 303 || ([301, 302].includes(response.status) && currentMethod === 'POST')) {
+        currentMethod = 'GET';
+        currentData = null;
       }
+
+      // Don't leak credentials to a different host
+      if (new URL(nextUrl).host !== new URL(currentUrl).host) {
+        currentHeaders = Object.fromEntries(
+          Object.entries(currentHeaders).filter(([name]) => !['authorization', 'cookie'].includes(name.toLowerCase()))
+        );
+      }
+
+      currentUrl = nextUrl;
     }
 
-    throw lastError;
+    throw new Error(`Too many redirects (max ${MAX_REDIRECTS})`);
   }
 
   /**
@@ -223,7 +953,8 @@ class LambdaController {
       message: MESSAGES.HEALTH_CHECK,
       timestamp: new Date().toISOString(),
       uptime: process.uptime(),
-      version: process.env.npm_package_version || '1.0.0'
+      version: process.env.npm_package_version || '1.0.0',
+      circuits: getCircuitStates()
     });
 
     res.json(response);
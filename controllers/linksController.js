@@ -1,11 +1,294 @@
 const Link = require('../models/Links');
 const { normalizeUrl } = require('../utils/url');
+const { getCachedEntry } = require('../utils/metadataCache');
+const { buildProxiedImages } = require('../utils/imageProxy');
 const mongoose = require('mongoose');
 const Fav = require('../models/Favs');
+const Collection = require('../models/Collection');
+const CollectionLink = require('../models/CollectionLink');
+const CollectionMember = require('../models/CollectionMember');
+const CollectionActivity = require('../models/CollectionActivity');
+const { getPurgeDate, purgeLinks } = require('../utils/trashPurge');
+const { LINK_TYPES, LINKS_BULK_OPERATIONS, LINKS_BULK_MAX } = require('../config/constants');
+
+/**
+ * Replace client-sent proxy URLs with ones signed for the given originals
+ * @param {object} images - { logo, ogImage, favicon, appleTouchIcon, proxied }
+ * @returns {object}
+ */
+const withProxiedImages = ({ proxied, ...originals } = {}) => ({
+  ...originals,
+  proxied: buildProxiedImages(originals)
+});
+
+/**
+ * Build the link query for a user's filters (shared by the listing and bulk operations)
+ * @param {string} userId
+ * @param {object} query - { linkType, tags, search, collectionId, includeNested, archived }
+ * @returns {Promise<object>} { filter }, or { error, status } when a filter is invalid
+ */
+const buildLinkFilter = async (userId, query = {}) => {
+  const { linkType, tags, search, collectionId, includeNested, archived } = query;
+
+  const filter = {
+    userId: userId,
+    isActive: true
+  };
+
+  // Archived links are hidden unless asked for (archived=true for only those, all for both)
+  if (String(archived) === 'true') {
+    filter.isArchived = true;
+  } else if (archived !== 'all') {
+    filter.isArchived = { $ne: true };
+  }
+
+  if (linkType && linkType !== 'all') {
+    filter.linkType = linkType;
+  }
+
+  if (tags) {
+    const tagArray = Array.isArray(tags) ? tags : tags.split(',');
+    filter.tags = { $in: tagArray.map(tag => tag.trim()) };
+  }
+
+  // Only links in a collection (and, with includeNested=true, its sub-collections)
+  if (collectionId) {
+    if (!mongoose.Types.ObjectId.isValid(collectionId)) {
+      return { error: 'Invalid collection ID', status: 400 };
+    }
+
+    // Own collections and ones shared with the user
+    const collection = await Collection.findOne({ _id: collectionId, isActive: true });
+    if (!collection || !await CollectionMember.getRole(collection, userId)) {
+      return { error: 'Collection not found', status: 404 };
+    }
+
+    // Sub-collections only where the user has a role of their own
+    const collectionIds = String(includeNested) === 'true'
+      ? [collection._id, ...await CollectionMember.filterAccessible(
+        collection, userId, await Collection.findDescendantIds(collection.userId, collectionId)
+      )]
+      : [collection._id];
+    const linkIds = await CollectionLink.distinct('linkId', { collectionId: { $in: collectionIds } });
+    filter._id = { $in: linkIds };
+    // Members see every link in the collection, not only the ones they added
+    delete filter.userId;
+  }
+
+  if (search) {
+    filter.$or = [
+      { title: { $regex: search, $options: 'i' } },
+      { description: { $regex: search, $options: 'i' } },
+      { url: { $regex: search, $options: 'i' } },
+      { tags: { $in: [new RegExp(search, 'i')] } }
+    ];
+  }
+
+  return { filter };
+};
+
+/**
+ * Trimmed, non-empty tags from the request body
+ * @param {any} tags
+ * @returns {Array<string>}
+ */
+const cleanTags = (tags) => (Array.isArray(tags)
+  ? tags.map(tag => String(tag).trim()).filter(tag => tag.length > 0)
+  : []);
+
+/**
+ * Update one of the user's links in a single atomic write
+ * @param {string} linkId
+ * @param {string} userId
+ * @param {object} options - { scope, condition, update }: scope is what the link must
+ *   match to exist for the operation, condition what it must also match to change
+ * @returns {Promise<string>} updated, unchanged or not_found
+ */
+const applyLinkUpdate = async (linkId, userId, { scope = { isActive: true }, condition = {}, update }) => {
+  const result = await Link.updateOne(
+    { _id: linkId, userId, ...scope, ...condition },
+    update,
+    { runValidators: true }
+  );
+
+  if (result.modifiedCount) return 'updated';
+  if (result.matchedCount) return 'unchanged';
+  return await Link.exists({ _id: linkId, userId, ...scope }) ? 'unchanged' : 'not_found';
+};
+
+/**
+ * Load a collection the user may add links to (editor or owner)
+ * @param {string} userId
+ * @param {string} collectionId
+ * @returns {Promise<object>} { collection }, or { error, status }
+ */
+const findEditableCollection = async (userId, collectionId) => {
+  if (!mongoose.Types.ObjectId.isValid(collectionId)) {
+    return { error: 'Invalid collection ID', status: 400 };
+  }
+
+  const collection = await Collection.findOne({ _id: collectionId, isActive: true });
+  const role = await CollectionMember.getRole(collection, userId);
+  if (!role) {
+    return { error: 'Collection not found', status: 404 };
+  }
+  if (!CollectionMember.hasRole(role, 'editor')) {
+    return { error: 'This action requires the editor role on this collection.', status: 403 };
+  }
+
+  return { collection };
+};
+
+/**
+ * Bulk operations (POST /api/links/bulk)
+ * Each one has validate(params) returning an error message or null, an optional
+ * prepare(userId, params) for async checks, and apply(linkId, userId, params, context)
+ * returning updated, unchanged or not_found for one link. `activity` is recorded in
+ * the link's collections when it changes.
+ */
+const BULK_OPERATIONS = {
+  addTags: {
+    validate: ({ tags }) => (cleanTags(tags).length ? null : 'tags must be a non-empty array'),
+    apply: (linkId, userId, { tags }) => applyLinkUpdate(linkId, userId, {
+      update: { $addToSet: { tags: { $each: cleanTags(tags) } } }
+    }),
+    activity: { action: 'link_edited', details: { fields: ['tags'] } }
+  },
+
+  removeTags: {
+    validate: ({ tags }) => (cleanTags(tags).length ? null : 'tags must be a non-empty array'),
+    apply: (linkId, userId, { tags }) => applyLinkUpdate(linkId, userId, {
+      update: { $pull: { tags: { $in: cleanTags(tags) } } }
+    }),
+    activity: { action: 'link_edited', details: { fields: ['tags'] } }
+  },
+
+  setLinkType: {
+    validate: ({ linkType }) => (LINK_TYPES.includes(linkType) ? null : `linkType must be one of: ${LINK_TYPES.join(', ')}`),
+    apply: (linkId, userId, { linkType }) => applyLinkUpdate(linkId, userId, {
+      update: { $set: { linkType } }
+    }),
+    activity: { action: 'link_edited', details: { fields: ['linkType'] } }
+  },
+
+  archive: {
+    apply: (linkId, userId) => applyLinkUpdate(linkId, userId, {
+      condition: { isArchived: { $ne: true } },
+      update: { $set: { isArchived: true, archivedAt: new Date() } }
+    })
+  },
+
+  unarchive: {
+    apply: (linkId, userId) => applyLinkUpdate(linkId, userId, {
+      condition: { isArchived: true },
+      update: { $set: { isArchived: false, archivedAt: null } }
+    })
+  },
+
+  delete: {
+    apply: (linkId, userId) => applyLinkUpdate(linkId, userId, {
+      scope: {},
+      condition: { isActive: true },
+      update: { $set: { isActive: false, deletedAt: new Date() } }
+    }),
+    activity: { action: 'link_removed', details: { deleted: true } }
+  },
+
+  restore: {
+    apply: (linkId, userId) => applyLinkUpdate(linkId, userId, {
+      scope: {},
+      condition: { isActive: false },
+      update: { $set: { isActive: true, deletedAt: null } }
+    })
+  },
+
+  // The Fav record follows the flag as in createLink; if it can't be written the flag is put back
+  favorite: {
+    apply: async (linkId, userId) => {
+      const status = await applyLinkUpdate(linkId, userId, {
+        condition: { isFavorite: { $ne: true } },
+        update: { $set: { isFavorite: true } }
+      });
+      if (status === 'not_found') return status;
+
+      try {
+        await Fav.updateOne({ userId, linkId }, { $setOnInsert: { favoritedAt: new Date() } }, { upsert: true });
+      } catch (err) {
+        // Ignore duplicate favorite errors
+        if (!(err && err.code === 11000)) {
+          if (status === 'updated') {
+            await Link.updateOne({ _id: linkId, userId }, { $set: { isFavorite: false } });
+          }
+          throw err;
+        }
+      }
+      return status;
+    }
+  },
+
+  unfavorite: {
+    apply: async (linkId, userId) => {
+      const status = await applyLinkUpdate(linkId, userId, {
+        condition: { isFavorite: true },
+        update: { $set: { isFavorite: false } }
+      });
+      if (status === 'not_found') return status;
+
+      try {
+        await Fav.deleteOne({ userId, linkId });
+      } catch (err) {
+        if (status === 'updated') {
+          await Link.updateOne({ _id: linkId, userId }, { $set: { isFavorite: true } });
+        }
+        throw err;
+      }
+      return status;
+    }
+  },
+
+  // Added to the target before leaving the source, so a failure never drops a link from both
+  moveToCollection: {
+    validate: ({ collectionId }) => (collectionId ? null : 'collectionId is required'),
+    prepare: async (userId, { collectionId, fromCollectionId }) => {
+      const target = await findEditableCollection(userId, collectionId);
+      if (target.error || !fromCollectionId) {
+        return target.error ? target : { context: { target: target.collection } };
+      }
+
+      const source = await findEditableCollection(userId, fromCollectionId);
+      return source.error ? source : { context: { target: target.collection, source: source.collection } };
+    },
+    apply: async (linkId, userId, params, { target, source }) => {
+      const link = await Link.findOne({ _id: linkId, userId, isActive: true }).select('_id title url');
+      if (!link) return 'not_found';
+
+      let changed = false;
+      const added = await CollectionLink.updateOne(
+        { collectionId: target._id, linkId },
+        { $setOnInsert: { userId, position: await CollectionLink.nextPosition(target._id), addedAt: new Date() } },
+        { upsert: true }
+      );
+      if (added.upsertedCount) {
+        changed = true;
+        await CollectionActivity.record(target._id, userId, 'link_added', { linkId, title: link.title || link.url });
+      }
+
+      if (source && String(source._id) !== String(target._id)) {
+        const removed = await CollectionLink.deleteOne({ collectionId: source._id, linkId });
+        if (removed.deletedCount) {
+          changed = true;
+          await CollectionActivity.record(source._id, userId, 'link_removed', { linkId, movedTo: target._id });
+        }
+      }
+
+      return changed ? 'updated' : 'unchanged';
+    }
+  }
+};
 
 /**
  * Links Controller - Handle all link CRUD operations
- * All operations are user-specific (no public links)
+ * All operations are user-specific (public access goes through shares)
  */
 class LinksController {
 
@@ -18,11 +301,16 @@ class LinksController {
       const {
         url,
         originalUrl,
+        finalUrl,
+        canonicalUrl,
         linkType = 'other',
         title,
         description,
         images = {},
         metadata = {},
+        richData,
+        reading,
+        fileInfo,
         tags = [],
         notes
       } = req.body;
@@ -37,14 +325,24 @@ class LinksController {
         });
       }
 
-      const normalizedUrl = normalizeUrl(url);
-      const normalizedOriginalUrl = originalUrl ? normalizeUrl(originalUrl) : undefined;
-
-      // Check if user already has this URL saved
+      // Store the resolved target (canonical > final > given URL) so short links
+      // and their targets dedupe to one link; keep what was shared as originalUrl
+      const normalizedUrl = normalizeUrl(canonicalUrl || finalUrl || url);
+      const normalizedOriginalUrl = originalUrl
+        ? normalizeUrl(originalUrl)
+        : (normalizeUrl(url) !== normalizedUrl ? normalizeUrl(url) : undefined);
+      const knownUrls = [...new Set(
+        [url, originalUrl, finalUrl, canonicalUrl].filter(Boolean).map(u => normalizeUrl(u))
+      )];
+
+      // Check if user already has this URL (or any of its redirect/canonical forms) saved
       const existingLink = await Link.findOne({ 
-        url: normalizedUrl, 
         userId: userId,
-        isActive: true 
+        isActive: true,
+        $or: [
+          { url: { $in: knownUrls } },
+          { originalUrl: { $in: knownUrls } }
+        ]
       });
 
       if (existingLink) {
@@ -55,6 +353,25 @@ class LinksController {
         });
       }
 
+      // A link deleted earlier comes back from the trash with its history instead of being saved again
+      const trashedLink = await Link.findOne({
+        userId: userId,
+        isActive: false,
+        $or: [
+          { url: { $in: knownUrls } },
+          { originalUrl: { $in: knownUrls } }
+        ]
+      }).sort({ deletedAt: -1, updatedAt: -1 });
+
+      // Reading time and file details from the client, else from the extractor's cached result for this URL
+      let readingStats = reading;
+      let fileDetails = fileInfo;
+      if (!readingStats || !fileDetails) {
+        const cached = await getCachedEntry(url);
+        readingStats = readingStats || cached?.data?.reading || undefined;
+        fileDetails = fileDetails || cached?.data?.fileInfo || undefined;
+      }
+
       // Create new link
       const linkData = {
         userId,
@@ -64,13 +381,37 @@ class LinksController {
         linkType,
         title: title?.trim(),
         description: description?.trim(),
-        images,
+        images: withProxiedImages(images),
         metadata,
+        richData,
+        reading: readingStats,
+        fileInfo: fileDetails,
         tags: tags.map(tag => tag.trim()).filter(tag => tag.length > 0),
         notes: notes?.trim()
       };
 
-      const newLink = new Link(linkData);
+      if (trashedLink) {
+        // What the client sent replaces the old content; analytics, createdAt, collection
+        // memberships and (unless new ones are given) notes are kept
+        ['linkType', 'title', 'description', 'images', 'metadata', 'richData'].forEach(field => {
+          if (req.body[field] !== undefined) trashedLink.set(field, linkData[field]);
+        });
+        trashedLink.set({
+          url: normalizedUrl,
+          originalUrl: normalizedOriginalUrl ?? trashedLink.originalUrl,
+          reading: readingStats ?? trashedLink.reading,
+          fileInfo: fileDetails ?? trashedLink.fileInfo,
+          tags: [...new Set([...trashedLink.tags, ...linkData.tags])],
+          notes: linkData.notes || trashedLink.notes,
+          isFavorite: trashedLink.isFavorite || linkData.isFavorite,
+          isActive: true,
+          deletedAt: null,
+          isArchived: false,
+          archivedAt: null
+        });
+      }
+
+      const newLink = trashedLink || new Link(linkData);
       let savedLink;
       try {
         savedLink = await newLink.save();
@@ -102,11 +443,12 @@ class LinksController {
         }
       }
 
-      console.log('✅ Link created successfully:', savedLink._id);
+      console.log(trashedLink ? '✅ Link restored from trash:' : '✅ Link created successfully:', savedLink._id);
 
-      res.status(201).json({
+      res.status(trashedLink ? 200 : 201).json({
         success: true,
-        message: 'Link saved successfully',
+        message: trashedLink ? 'Link restored from trash' : 'Link saved successfully',
+        restored: Boolean(trashedLink),
         data: savedLink
       });
 
@@ -138,37 +480,18 @@ class LinksController {
       const userId = req.user.id;
 
       const {
-        linkType,
-        tags,
-        search,
         page = 1,
         limit = 10,
         sortBy = 'createdAt',
         sortOrder = 'desc'
       } = req.query;
 
-      // Build filter object
-      const filter = { 
-        userId: userId,
-        isActive: true 
-      };
-      
-      if (linkType && linkType !== 'all') {
-        filter.linkType = linkType;
-      }
-
-      if (tags) {
-        const tagArray = Array.isArray(tags) ? tags : tags.split(',');
-        filter.tags = { $in: tagArray.map(tag => tag.trim()) };
-      }
-
-      if (search) {
-        filter.$or = [
-          { title: { $regex: search, $options: 'i' } },
-          { description: { $regex: search, $options: 'i' } },
-          { url: { $regex: search, $options: 'i' } },
-          { tags: { $in: [new RegExp(search, 'i')] } }
-        ];
+      const { filter, error, status } = await buildLinkFilter(userId, req.query);
+      if (error) {
+        return res.status(status).json({
+          success: false,
+          message: error
+        });
       }
 
       // Calculate pagination
@@ -189,7 +512,8 @@ class LinksController {
 
       res.json({
         success: true,
-        data: links,
+        // Links of other members of a shared collection come without their notes
+        data: links.map(link => link.toJSONFor(userId)),
         pagination: {
           currentPage: parseInt(page),
           totalPages,
@@ -278,6 +602,15 @@ class LinksController {
       delete updateData.createdAt;
       delete updateData.updatedAt;
       delete updateData.analytics;
+      // Trash and archive state only change through delete/restore/permanent delete and bulk operations
+      delete updateData.isActive;
+      delete updateData.deletedAt;
+      delete updateData.isArchived;
+      delete updateData.archivedAt;
+      // No update operators ($set, $unset...) that would reach the fields above
+      for (const key of Object.keys(updateData)) {
+        if (key.startsWith('$')) delete updateData[key];
+      }
 
       // Clean tags array
       if (updateData.tags) {
@@ -288,6 +621,10 @@ class LinksController {
         updateData.url = normalizeUrl(updateData.url);
       }
 
+      if (updateData.images) {
+        updateData.images = withProxiedImages(updateData.images);
+      }
+
       const updatedLink = await Link.findOneAndUpdate(
         { _id: id, userId: userId, isActive: true },
         updateData,
@@ -301,6 +638,10 @@ class LinksController {
         });
       }
 
+      await CollectionActivity.recordForLink(updatedLink._id, userId, 'link_edited', {
+        fields: Object.keys(updateData)
+      });
+
       console.log('✅ Link updated successfully:', updatedLink._id);
 
       res.json({
@@ -329,7 +670,7 @@ class LinksController {
   }
 
   /**
-   * Delete a link (soft delete, user-specific)
+   * Delete a link (soft delete into the trash, user-specific)
    * DELETE /api/links/:id
    */
   async deleteLink(req, res) {
@@ -346,7 +687,7 @@ class LinksController {
 
       const deletedLink = await Link.findOneAndUpdate(
         { _id: id, userId: userId, isActive: true },
-        { isActive: false },
+        { isActive: false, deletedAt: new Date() },
         { new: true }
       );
 
@@ -357,11 +698,18 @@ class LinksController {
         });
       }
 
+      await CollectionActivity.recordForLink(deletedLink._id, userId, 'link_removed', { deleted: true });
+
       console.log('✅ Link deleted successfully:', deletedLink._id);
 
       res.json({
         success: true,
-        message: 'Link deleted successfully'
+        message: 'Link moved to trash',
+        data: {
+          _id: deletedLink._id,
+          deletedAt: deletedLink.deletedAt,
+          purgeAt: getPurgeDate(deletedLink)
+        }
       });
 
     } catch (error) {
@@ -374,6 +722,319 @@ class LinksController {
     }
   }
 
+  /**
+   * Get the user's deleted links, most recently deleted first
+   * GET /api/links/trash
+   */
+  async getTrash(req, res) {
+    try {
+      const userId = req.user.id;
+      const { page = 1, limit = 10 } = req.query;
+
+      const filter = { userId: userId, isActive: false };
+      const skip = (parseInt(page) - 1) * parseInt(limit);
+
+      const links = await Link.find(filter)
+        .sort({ deletedAt: -1, updatedAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit));
+
+      const totalCount = await Link.countDocuments(filter);
+      const totalPages = Math.ceil(totalCount / parseInt(limit));
+
+      res.json({
+        success: true,
+        data: links.map(link => ({ ...link.toJSON(), purgeAt: getPurgeDate(link) })),
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages,
+          totalCount,
+          hasNext: parseInt(page) < totalPages,
+          hasPrev: parseInt(page) > 1,
+          limit: parseInt(limit)
+        }
+      });
+
+    } catch (error) {
+      console.error('❌ Error getting trash:', error.message);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to get trash',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Restore a link from the trash
+   * POST /api/links/:id/restore
+   */
+  async restoreLink(req, res) {
+    try {
+      const { id } = req.params;
+      const userId = req.user.id;
+
+      if (!mongoose.Types.ObjectId.isValid(id)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid link ID'
+        });
+      }
+
+      let restoredLink;
+      try {
+        restoredLink = await Link.findOneAndUpdate(
+          { _id: id, userId: userId, isActive: false },
+          { isActive: true, deletedAt: null },
+          { new: true }
+        ).populate('userId', 'fullName identifier');
+      } catch (err) {
+        // The URL was saved again while this link was in the trash
+        if (err && err.code === 11000) {
+          const trashed = await Link.findById(id).select('url');
+          const existingLink = await Link.findOne({ userId, url: trashed?.url, isActive: true });
+          return res.status(409).json({
+            success: false,
+            message: 'You have already saved this link',
+            data: existingLink
+          });
+        }
+        throw err;
+      }
+
+      if (!restoredLink) {
+        return res.status(404).json({
+          success: false,
+          message: 'Link not found in trash'
+        });
+      }
+
+      console.log('✅ Link restored from trash:', restoredLink._id);
+
+      res.json({
+        success: true,
+        message: 'Link restored successfully',
+        data: restoredLink
+      });
+
+    } catch (error) {
+      console.error('❌ Error restoring link:', error.message);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to restore link',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Permanently delete a link that is in the trash
+   * DELETE /api/links/:id/permanent
+   */
+  async permanentlyDeleteLink(req, res) {
+    try {
+      const { id } = req.params;
+      const userId = req.user.id;
+
+      if (!mongoose.Types.ObjectId.isValid(id)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid link ID'
+        });
+      }
+
+      const link = await Link.findOne({ _id: id, userId: userId, isActive: false }).select('_id');
+      if (!link) {
+        return res.status(404).json({
+          success: false,
+          message: 'Link not found in trash'
+        });
+      }
+
+      await purgeLinks([link._id]);
+
+      console.log('✅ Link permanently deleted:', link._id);
+
+      res.json({
+        success: true,
+        message: 'Link permanently deleted'
+      });
+
+    } catch (error) {
+      console.error('❌ Error permanently deleting link:', error.message);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to permanently delete link',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Permanently delete every link in the user's trash
+   * DELETE /api/links/trash
+   */
+  async emptyTrash(req, res) {
+    try {
+      const userId = req.user.id;
+
+      const links = await Link.find({ userId: userId, isActive: false }).select('_id');
+      const deletedCount = await purgeLinks(links.map(link => link._id));
+
+      console.log(`✅ Emptied trash: ${deletedCount} link(s) permanently deleted`);
+
+      res.json({
+        success: true,
+        message: 'Trash emptied successfully',
+        deletedCount
+      });
+
+    } catch (error) {
+      console.error('❌ Error emptying trash:', error.message);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to empty trash',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Apply one operation to many links, by IDs or by filter
+   * POST /api/links/bulk
+   * Each link is updated on its own, so one failure doesn't undo the others;
+   * the response lists the outcome per link.
+   */
+  async bulkUpdateLinks(req, res) {
+    try {
+      const userId = req.user.id;
+      const { operation, linkIds, filter: filterQuery, ...params } = req.body;
+
+      const spec = BULK_OPERATIONS[operation];
+      if (!spec) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid bulk operation',
+          validOperations: LINKS_BULK_OPERATIONS
+        });
+      }
+
+      const paramsError = spec.validate ? spec.validate(params) : null;
+      if (paramsError) {
+        return res.status(400).json({
+          success: false,
+          message: paramsError
+        });
+      }
+
+      if (Boolean(linkIds) === Boolean(filterQuery)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Provide either linkIds or filter'
+        });
+      }
+
+      let targetIds;
+      if (linkIds) {
+        if (!Array.isArray(linkIds) || linkIds.length === 0) {
+          return res.status(400).json({
+            success: false,
+            message: 'linkIds must be a non-empty array'
+          });
+        }
+        if (!linkIds.every(id => mongoose.Types.ObjectId.isValid(id))) {
+          return res.status(400).json({
+            success: false,
+            message: 'linkIds contains an invalid ID'
+          });
+        }
+        targetIds = [...new Set(linkIds.map(String))];
+      } else {
+        // Same filters as GET /api/links; archived links are included unless filtered out
+        const { filter, error, status } = await buildLinkFilter(userId, { archived: 'all', ...filterQuery });
+        if (error) {
+          return res.status(status).json({
+            success: false,
+            message: error
+          });
+        }
+        // Only the user's own links, even inside shared collections
+        filter.userId = userId;
+        filter.isActive = operation !== 'restore';
+
+        targetIds = (await Link.find(filter).select('_id').limit(LINKS_BULK_MAX + 1)).map(link => String(link._id));
+      }
+
+      if (targetIds.length > LINKS_BULK_MAX) {
+        return res.status(400).json({
+          success: false,
+          message: `A bulk operation can change at most ${LINKS_BULK_MAX} links; narrow the selection`
+        });
+      }
+
+      let context = {};
+      if (spec.prepare) {
+        const prepared = await spec.prepare(userId, params);
+        if (prepared.error) {
+          return res.status(prepared.status).json({
+            success: false,
+            message: prepared.error
+          });
+        }
+        context = prepared.context;
+      }
+
+      const results = [];
+      for (const linkId of targetIds) {
+        try {
+          const status = await spec.apply(linkId, userId, params, context);
+          if (status === 'updated' && spec.activity) {
+            await CollectionActivity.recordForLink(linkId, userId, spec.activity.action, spec.activity.details);
+          }
+          results.push({ linkId, status });
+        } catch (err) {
+          if (err && err.code === 11000) {
+            results.push({ linkId, status: 'conflict', error: 'You have already saved this link' });
+          } else {
+            const validation = err.name === 'ValidationError' || err.name === 'CastError';
+            results.push({ linkId, status: 'failed', error: validation ? err.message : 'Update failed' });
+            if (!validation) console.error(`❌ Bulk ${operation} failed for link ${linkId}:`, err.message);
+          }
+        }
+      }
+
+      const count = (status) => results.filter(result => result.status === status).length;
+      const summary = {
+        total: results.length,
+        updated: count('updated'),
+        unchanged: count('unchanged'),
+        notFound: count('not_found'),
+        conflict: count('conflict'),
+        failed: count('failed')
+      };
+
+      console.log(`✅ Bulk ${operation}: ${summary.updated}/${summary.total} link(s) updated`);
+
+      res.json({
+        success: true,
+        message: `Bulk ${operation} finished`,
+        data: {
+          operation,
+          summary,
+          results
+        }
+      });
+
+    } catch (error) {
+      console.error('❌ Error running bulk link operation:', error.message);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to run bulk operation',
+        error: error.message
+      });
+    }
+  }
+
   /**
    * Get links by type for a user
    * GET /api/links/type/:type
@@ -0,0 +1,423 @@
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const mongoose = require('mongoose');
+const Share = require('../models/Share');
+const Link = require('../models/Links');
+const Collection = require('../models/Collection');
+const CollectionLink = require('../models/CollectionLink');
+const { buildProxyUrl, buildProxiedImages } = require('../utils/imageProxy');
+const { renderSharePage, renderPasswordPage, renderUnavailablePage } = require('../utils/sharePage');
+const {
+  PUBLIC_BASE_URL,
+  SHARE_SLUG_BYTES,
+  SHARE_PASSWORD_MIN_LENGTH,
+  SHARE_MAX_LINKS
+} = require('../config/constants');
+
+/**
+ * Origin used for absolute URLs in share responses and pages
+ * Only the configured PUBLIC_BASE_URL: the Host header is client-controlled and
+ * would end up in og:url, og:image and the password form action. Without it,
+ * URLs stay relative.
+ * @returns {string}
+ */
+const getOrigin = () => PUBLIC_BASE_URL;
+
+/**
+ * Make a proxy path absolute (Open Graph images must be absolute URLs)
+ * Stays relative when PUBLIC_BASE_URL is unset.
+ * @param {string|null} url
+ * @returns {string|null}
+ */
+const absoluteUrl = (url) => {
+  if (!url) return null;
+  return /^https?:\/\//i.test(url) ? url : `${getOrigin()}${url}`;
+};
+
+/**
+ * Public URL of a share page
+ * @param {string} slug
+ * @returns {string}
+ */
+const getShareUrl = (slug) => `${getOrigin()}/s/${slug}`;
+
+/**
+ * Read the expiry of a new share from { expiresAt } (ISO date) or { expiresIn } (seconds)
+ * @param {object} body - Request body
+ * @returns {{expiresAt: Date|null, error?: string}}
+ */
+const parseExpiry = ({ expiresAt, expiresIn }) => {
+  if (expiresIn !== undefined && expiresIn !== null) {
+    const seconds = Number(expiresIn);
+    if (!Number.isFinite(seconds) || seconds <= 0) {
+      return { expiresAt: null, error: 'expiresIn must be a positive number of seconds' };
+    }
+    return { expiresAt: new Date(Date.now() + seconds * 1000) };
+  }
+
+  if (expiresAt) {
+    const date = new Date(expiresAt);
+    if (Number.isNaN(date.getTime()) || date <= new Date()) {
+      return { expiresAt: null, error: 'expiresAt must be a future date' };
+    }
+    return { expiresAt: date };
+  }
+
+  return { expiresAt: null };
+};
+
+/**
+ * Fields of a link that are safe to show publicly (no notes, analytics or owner)
+ * @param {object} link - Link document
+ * @returns {object}
+ */
+const toPublicLink = (link) => ({
+  _id: link._id,
+  url: link.url,
+  title: link.title,
+  description: link.description,
+  linkType: link.linkType,
+  domain: link.domain,
+  image: absoluteUrl(buildProxyUrl(link.images?.ogImage || link.images?.logo, 'small')),
+  images: buildProxiedImages(link.images),
+  richData: link.richData,
+  reading: link.reading,
+  fileInfo: link.fileInfo,
+  tags: link.tags
+});
+
+/**
+ * Load what a share points at
+ * @param {object} share - Share document
+ * @returns {Promise<object|null>} { type, link } or { type, collection, links }; null when it was deleted
+ */
+const loadSharedContent = async (share) => {
+  if (share.resourceType === 'link') {
+    const link = await Link.findOne({ _id: share.linkId, userId: share.userId, isActive: true });
+    return link ? { type: 'link', link: toPublicLink(link) } : null;
+  }
+
+  const collection = await Collection.findOne({ _id: share.collectionId, userId: share.userId, isActive: true });
+  if (!collection) return null;
+
+  const memberships = await CollectionLink.find({ collectionId: collection._id })
+    .sort({ position: 1, addedAt: 1 })
+    .limit(SHARE_MAX_LINKS);
+  const links = await Link.find({ _id: { $in: memberships.map(m => m.linkId) }, isActive: true });
+  const linksById = new Map(links.map(link => [String(link._id), link]));
+
+  return {
+    type: 'collection',
+    collection: {
+      _id: collection._id,
+      name: collection.name,
+      description: collection.description,
+      coverImage: collection.coverImage
+    },
+    links: memberships
+      .filter(membership => linksById.has(String(membership.linkId)))
+      .map(membership => toPublicLink(linksById.get(String(membership.linkId))))
+  };
+};
+
+/**
+ * Check whether a share can be viewed
+ * @param {object} share - Share document with passwordHash selected, or null
+ * @param {string} password - Password supplied by the viewer
+ * @param {boolean} isOwner - Owners skip the password
+ * @returns {Promise<{status: number, message: string, passwordRequired?: boolean}|null>} Null when access is allowed
+ */
+const checkAccess = async (share, password, isOwner) => {
+  if (!share) return { status: 404, message: 'Share not found' };
+  if (share.revokedAt) return { status: 410, message: 'This share has been revoked' };
+  if (share.expiresAt && share.expiresAt <= new Date()) return { status: 410, message: 'This share has expired' };
+
+  if (share.hasPassword && !isOwner) {
+    if (!password) return { status: 401, message: 'Password required', passwordRequired: true };
+    if (!await bcrypt.compare(String(password), share.passwordHash || '')) {
+      return { status: 401, message: 'Incorrect password', passwordRequired: true };
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Resolve a share for a public request and count the view
+ * @param {object} req - Express request object (req.user from optionalAuth)
+ * @returns {Promise<{share: object|null, denied: object|null, content: object|null}>}
+ */
+const resolveShare = async (req) => {
+  const share = await Share.findOne({ slug: req.params.slug }).select('+passwordHash');
+  const isOwner = !!(share && req.user && String(share.userId) === String(req.user.id));
+  const password = req.body?.password || req.get('x-share-password');
+
+  const denied = await checkAccess(share, password, isOwner);
+  if (denied) return { share, denied, content: null };
+
+  const content = await loadSharedContent(share);
+  if (!content) {
+    return { share, denied: { status: 404, message: 'The shared item no longer exists' }, content: null };
+  }
+
+  // Owners checking their own share don't count as views
+  if (!isOwner) {
+    await Share.updateOne({ _id: share._id }, { $inc: { viewCount: 1 }, $set: { lastViewedAt: new Date() } });
+  }
+
+  return { share, denied: null, content };
+};
+
+/**
+ * Shares Controller - Publish links and collections through unguessable share slugs
+ * Owner routes require authentication; public routes only need the slug
+ */
+class SharesController {
+
+  /**
+   * Create a share for one of the user's links or collections
+   * POST /api/shares
+   */
+  async createShare(req, res) {
+    try {
+      const { resourceType, resourceId, password } = req.body;
+      const userId = req.user.id;
+
+      if (!['link', 'collection'].includes(resourceType)) {
+        return res.status(400).json({
+          success: false,
+          message: 'resourceType must be link or collection'
+        });
+      }
+
+      if (!mongoose.Types.ObjectId.isValid(resourceId)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid resource ID'
+        });
+      }
+
+      const { expiresAt, error: expiryError } = parseExpiry(req.body);
+      if (expiryError) {
+        return res.status(400).json({
+          success: false,
+          message: expiryError
+        });
+      }
+
+      if (password !== undefined && password !== null && String(password).length < SHARE_PASSWORD_MIN_LENGTH) {
+        return res.status(400).json({
+          success: false,
+          message: `Password must be at least ${SHARE_PASSWORD_MIN_LENGTH} characters`
+        });
+      }
+
+      const Model = resourceType === 'link' ? Link : Collection;
+      const resource = await Model.findOne({ _id: resourceId, userId, isActive: true });
+      if (!resource) {
+        return res.status(404).json({
+          success: false,
+          message: resourceType === 'link' ? 'Link not found' : 'Collection not found'
+        });
+      }
+
+      const share = await Share.create({
+        slug: crypto.randomBytes(SHARE_SLUG_BYTES).toString('base64url'),
+        userId,
+        resourceType,
+        linkId: resourceType === 'link' ? resource._id : undefined,
+        collectionId: resourceType === 'collection' ? resource._id : undefined,
+        passwordHash: password ? await bcrypt.hash(String(password), 12) : undefined,
+        hasPassword: !!password,
+        expiresAt
+      });
+
+      console.log('✅ Share created successfully:', share._id);
+
+      res.status(201).json({
+        success: true,
+        message: 'Share created successfully',
+        data: { ...share.toJSON(), shareUrl: getShareUrl(share.slug) }
+      });
+
+    } catch (error) {
+      console.error('❌ Error creating share:', error.message);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to create share',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Get the user's shares, optionally for one link or collection
+   * GET /api/shares
+   */
+  async getShares(req, res) {
+    try {
+      const userId = req.user.id;
+      const { resourceType, resourceId, includeRevoked } = req.query;
+
+      const filter = { userId };
+      if (includeRevoked !== 'true') {
+        filter.revokedAt = null;
+      }
+
+      if (resourceId) {
+        if (!mongoose.Types.ObjectId.isValid(resourceId)) {
+          return res.status(400).json({
+            success: false,
+            message: 'Invalid resource ID'
+          });
+        }
+        filter.$or = [{ linkId: resourceId }, { collectionId: resourceId }];
+      }
+      if (resourceType) {
+        filter.resourceType = resourceType;
+      }
+
+      const shares = await Share.find(filter).sort({ createdAt: -1 });
+
+      res.json({
+        success: true,
+        data: shares.map(share => ({ ...share.toJSON(), shareUrl: getShareUrl(share.slug) })),
+        count: shares.length
+      });
+
+    } catch (error) {
+      console.error('❌ Error getting shares:', error.message);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to get shares',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Revoke a share (its slug stops working immediately)
+   * DELETE /api/shares/:id
+   */
+  async revokeShare(req, res) {
+    try {
+      const { id } = req.params;
+      const userId = req.user.id;
+
+      if (!mongoose.Types.ObjectId.isValid(id)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid share ID'
+        });
+      }
+
+      const share = await Share.findOneAndUpdate(
+        { _id: id, userId, revokedAt: null },
+        { revokedAt: new Date() },
+        { new: true }
+      );
+
+      if (!share) {
+        return res.status(404).json({
+          success: false,
+          message: 'Share not found'
+        });
+      }
+
+      console.log('✅ Share revoked successfully:', share._id);
+
+      res.json({
+        success: true,
+        message: 'Share revoked successfully'
+      });
+
+    } catch (error) {
+      console.error('❌ Error revoking share:', error.message);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to revoke share',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Get a shared link or collection as JSON (password in the body or X-Share-Password header)
+   * GET|POST /api/shares/public/:slug
+   */
+  async getPublicShare(req, res) {
+    try {
+      const { share, denied, content } = await resolveShare(req);
+
+      if (denied) {
+        return res.status(denied.status).json({
+          success: false,
+          message: denied.message,
+          ...(denied.passwordRequired && { passwordRequired: true })
+        });
+      }
+
+      res.set('X-Robots-Tag', 'noindex, nofollow');
+      res.json({
+        success: true,
+        data: {
+          ...content,
+          share: {
+            slug: share.slug,
+            shareUrl: getShareUrl(share.slug),
+            expiresAt: share.expiresAt,
+            createdAt: share.createdAt
+          }
+        }
+      });
+
+    } catch (error) {
+      console.error('❌ Error getting shared content:', error.message);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to get shared content',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Render a share as an HTML page with Open Graph tags (password form posts back here)
+   * GET|POST /s/:slug
+   */
+  async renderSharePage(req, res) {
+    try {
+      const shareUrl = getShareUrl(req.params.slug);
+      const { denied, content } = await resolveShare(req);
+
+      res.set('X-Robots-Tag', 'noindex, nofollow');
+      res.type('html');
+
+      if (denied) {
+        if (denied.passwordRequired) {
+          return res.status(401).send(renderPasswordPage({
+            shareUrl,
+            error: req.body?.password ? denied.message : null
+          }));
+        }
+        return res.status(denied.status).send(renderUnavailablePage(denied.message));
+      }
+
+      // Preview card image: the link's OG image, or the collection cover, else its first link image
+      const cover = content.type === 'collection'
+        ? absoluteUrl(buildProxyUrl(content.collection.coverImage, 'large'))
+        : null;
+      const image = content.type === 'link'
+        ? absoluteUrl(content.link.images.ogImage)
+        : cover || content.links.find(link => link.image)?.image || null;
+
+      res.send(renderSharePage(content, { shareUrl, image, cover }));
+
+    } catch (error) {
+      console.error('❌ Error rendering share page:', error.message);
+      res.status(500).type('html').send(renderUnavailablePage('Something went wrong. Please try again later.'));
+    }
+  }
+}
+
+module.exports = new SharesController();
@@ -0,0 +1,40 @@
+/**
+ * Charset Detection Examples
+ * Runs the pages in fixtures/charsets through the same decoding the extractor
+ * uses and checks the detected charset and extracted title of each one.
+ *
+ * Usage: node examples/charsetDetectionExample.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { detectCharset } = require('../utils/charset');
+const { decodeBody } = require('../utils/responseBody');
+const { extractMetadata } = require('../utils/helpers');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures', 'charsets');
+
+// Each fixture: { file, contentType, expected: { charset, source, title } }
+const fixtures = require(path.join(FIXTURES_DIR, 'index.json'));
+
+let failures = 0;
+
+for (const { file, contentType, expected } of fixtures) {
+  const buffer = fs.readFileSync(path.join(FIXTURES_DIR, file));
+  const encoding = detectCharset(buffer, contentType);
+  const html = decodeBody(buffer, contentType, true, encoding.charset);
+  const { title, description } = extractMetadata(html, 'https://example.com/');
+
+  const ok = encoding.charset === expected.charset &&
+    encoding.source === expected.source &&
+    title === expected.title;
+  if (!ok) failures++;
+
+  console.log(`${ok ? '✅' : '❌'} ${file}`);
+  console.log(`   charset: ${encoding.charset} (${encoding.source})${ok ? '' : `, expected ${expected.charset} (${expected.source})`}`);
+  console.log(`   title:   ${title}`);
+  console.log(`   desc:    ${description}`);
+}
+
+console.log(`\n${fixtures.length - failures}/${fixtures.length} fixtures decoded as expected`);
+process.exitCode = failures ? 1 : 0;
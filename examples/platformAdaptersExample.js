@@ -0,0 +1,56 @@
+/**
+ * Platform Adapter Examples
+ * Runs the recorded oEmbed/API responses in fixtures/platforms through the
+ * platform adapters and checks, for each one, which adapter matches the URL,
+ * the endpoint it would fetch and the normalized metadata. The generic oEmbed
+ * adapter is checked against a recorded page that advertises its endpoint.
+ * Nothing is fetched over the network.
+ *
+ * Usage: node examples/platformAdaptersExample.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { isDeepStrictEqual } = require('util');
+const { discoveryAdapter, findPlatformAdapter } = require('../utils/platformAdapters');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures', 'platforms');
+
+// Each fixture: { adapter, url, fixture, page?, env?, expected: { endpoint, metadata } }
+const fixtures = require(path.join(FIXTURES_DIR, 'index.json'));
+
+let failures = 0;
+
+for (const { adapter: name, url, fixture, page, env = {}, expected } of fixtures) {
+  Object.assign(process.env, env);
+
+  // Pages without a platform adapter fall back to oEmbed discovery
+  const matched = findPlatformAdapter(url);
+  const adapter = matched || discoveryAdapter;
+  const html = page ? fs.readFileSync(path.join(FIXTURES_DIR, page), 'utf8') : '';
+  const endpoint = adapter.endpoint(url, html);
+  const data = JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, fixture), 'utf8'));
+  const metadata = adapter.normalize(data, url);
+
+  const checks = {
+    adapter: adapter.name === name && (name === discoveryAdapter.name ? matched === null : true),
+    endpoint: endpoint === expected.endpoint,
+    metadata: isDeepStrictEqual(metadata, expected.metadata)
+  };
+  const ok = Object.values(checks).every(Boolean);
+  if (!ok) failures++;
+
+  console.log(`${ok ? '✅' : '❌'} ${fixture} (${url})`);
+  console.log(`   adapter:  ${adapter.name}${checks.adapter ? '' : `, expected ${name}`}`);
+  console.log(`   endpoint: ${endpoint}${checks.endpoint ? '' : `\n   expected: ${expected.endpoint}`}`);
+  console.log(`   title:    ${metadata?.title}`);
+  if (!checks.metadata) {
+    console.log(`   metadata: ${JSON.stringify(metadata)}`);
+    console.log(`   expected: ${JSON.stringify(expected.metadata)}`);
+  }
+
+  for (const key of Object.keys(env)) delete process.env[key];
+}
+
+console.log(`\n${fixtures.length - failures}/${fixtures.length} fixtures normalized as expected`);
+process.exitCode = failures ? 1 : 0;
@@ -6,7 +6,10 @@
 const jwt = require('jsonwebtoken');
 const { promisify } = require('util');
 const rateLimit = require('express-rate-limit');
+const mongoose = require('mongoose');
 const User = require('../models/User');
+const Collection = require('../models/Collection');
+const CollectionMember = require('../models/CollectionMember');
 
 /**
  * Verify JWT token and authenticate user
@@ -209,6 +212,63 @@ const requireOwnershipOrAdmin = (resourceIdParam = 'id') => {
   };
 };
 
+/**
+ * Require a role on the collection in the route (the creator is always an owner)
+ * Sets req.collection and req.collectionRole. Users without any access get a
+ * 404 so private collections don't reveal that they exist.
+ * @param {string} requiredRole - viewer, editor or owner
+ * @param {string} collectionIdParam - Parameter name for the collection ID
+ * @returns {Function} Middleware function
+ */
+const requireCollectionRole = (requiredRole, collectionIdParam = 'id') => {
+  return async (req, res, next) => {
+    try {
+      if (!req.user) {
+        return res.status(401).json({
+          success: false,
+          message: 'Authentication required.'
+        });
+      }
+
+      const collectionId = req.params[collectionIdParam];
+      if (!mongoose.Types.ObjectId.isValid(collectionId)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid collection ID'
+        });
+      }
+
+      const collection = await Collection.findOne({ _id: collectionId, isActive: true });
+      const role = await CollectionMember.getRole(collection, req.user.id);
+
+      if (!role) {
+        return res.status(404).json({
+          success: false,
+          message: 'Collection not found'
+        });
+      }
+
+      if (!CollectionMember.hasRole(role, requiredRole)) {
+        return res.status(403).json({
+          success: false,
+          message: `This action requires the ${requiredRole} role on this collection.`,
+          role
+        });
+      }
+
+      req.collection = collection;
+      req.collectionRole = role;
+      next();
+    } catch (error) {
+      return res.status(500).json({
+        success: false,
+        message: 'Collection access check failed',
+        error: error.message
+      });
+    }
+  };
+};
+
 /**
  * Rate limiting for authentication endpoints
  */
@@ -227,6 +287,20 @@ const authRateLimit = rateLimit({
   }
 });
 
+/**
+ * Rate limiting for public share pages (slows down password guessing)
+ */
+const shareAccessRateLimit = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 100, // Limit each IP to 100 share views per windowMs
+  message: {
+    success: false,
+    message: 'Too many requests for shared pages, please try again later.'
+  },
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
 /**
  * Validate email verification status
  * @param {Object} req - Express request object
@@ -298,7 +372,9 @@ module.exports = {
   restrictTo,
   requireAdmin,
   requireOwnershipOrAdmin,
+  requireCollectionRole,
   authRateLimit,
+  shareAccessRateLimit,
   requireEmailVerification,
   generateToken,
   setTokenCookie,
@@ -0,0 +1,277 @@
+/**
+ * Access control for the extraction endpoints
+ * Metadata mode (a plain GET with nothing forwarded) is public under a per-IP
+ * budget of fetched URLs that /execute, /batch, /content, /jobs and the Gemini
+ * URL routes all draw from. Anything that turns the server into a relay for the caller
+ * (another method, custom headers or a body) is proxy mode: it needs a login,
+ * reserves a slot of a daily per-user quota before it is forwarded, may only use allowlisted methods and
+ * headers, has a capped body, and is written to the proxy audit log.
+ */
+
+const { authenticate } = require('./auth');
+const ProxyAuditLog = require('../models/ProxyAuditLog');
+const { formatLambdaResponse } = require('../utils/helpers');
+const {
+  EXECUTE_PUBLIC_RATE_LIMIT,
+  EXECUTE_PUBLIC_RATE_WINDOW,
+  BATCH_MAX_URLS,
+  PROXY_DAILY_QUOTA,
+  PROXY_ALLOWED_METHODS,
+  PROXY_ALLOWED_HEADERS,
+  PROXY_MAX_BODY_BYTES,
+  MESSAGES
+} = require('../config/constants');
+
+/**
+ * Read the /execute parameters from the query and body (body wins, as in the controller)
+ * @param {object} req - Express request object
+ * @returns {object}
+ */
+const getExecuteParams = (req) => ({ ...req.query, ...req.body });
+
+/**
+ * Work out which mode a request needs
+ * @param {object} params - From getExecuteParams
+ * @returns {'metadata'|'proxy'}
+ */
+const resolveExecuteMode = (params) => {
+  const method = String(params.method || 'GET').toUpperCase();
+  const headers = params.headers && typeof params.headers === 'object' ? params.headers : {};
+  const hasBody = params.data !== undefined && params.data !== null && params.data !== '';
+
+  return params.mode === 'proxy' || method !== 'GET' || Object.keys(headers).length > 0 || hasBody
+    ? 'proxy'
+    : 'metadata';
+};
+
+/**
+ * Split caller headers into forwarded and stripped
+ * @param {object} headers - Caller-supplied headers
+ * @returns {{headers: object, forwarded: string[], stripped: string[]}}
+ */
+const filterProxyHeaders = (headers = {}) => {
+  const allowed = {};
+  const forwarded = [];
+  const stripped = [];
+
+  for (const [name, value] of Object.entries(headers)) {
+    const key = name.toLowerCase();
+    if (PROXY_ALLOWED_HEADERS.includes(key) && typeof value === 'string') {
+      allowed[key] = value;
+      forwarded.push(key);
+    } else {
+      stripped.push(key);
+    }
+  }
+
+  return { headers: allowed, forwarded, stripped };
+};
+
+/**
+ * Hostname of a URL for the audit log
+ * @param {string} url
+ * @returns {string|null} Null for unparseable URLs (still audited, without a host)
+ */
+const getHost = (url) => {
+  try {
+    return new URL(String(url)).hostname;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Size of the body that would be forwarded
+ * @param {any} data
+ * @returns {number} Bytes
+ */
+const getBodyBytes = (data) => {
+  if (data === undefined || data === null) return 0;
+  return Buffer.byteLength(typeof data === 'string' ? data : JSON.stringify(data));
+};
+
+// Clients tracked before expired windows are dropped
+const MAX_TRACKED_CLIENTS = 10000;
+
+// Per-IP fixed windows: { used, resetAt }
+const extractionBudgets = new Map();
+
+/**
+ * Drop windows that have ended
+ * @param {number} now
+ */
+const pruneBudgets = (now) => {
+  if (extractionBudgets.size <= MAX_TRACKED_CLIENTS) return;
+  for (const [key, budget] of extractionBudgets) {
+    if (budget.resetAt <= now) extractionBudgets.delete(key);
+  }
+};
+
+/**
+ * Per-IP rate limit for public extraction, weighted by the URLs a request fetches
+ * Every extraction route shares one budget of EXECUTE_PUBLIC_RATE_LIMIT URLs per window.
+ * @param {object} options - { cost(req) => URLs fetched (default 1), skip(req) => true to bypass }
+ * @returns {Function} Middleware function
+ */
+const extractionRateLimit = ({ cost = () => 1, skip = () => false } = {}) => (req, res, next) => {
+  if (skip(req)) return next();
+
+  const now = Date.now();
+  pruneBudgets(now);
+
+  let budget = extractionBudgets.get(req.ip);
+  if (!budget || budget.resetAt <= now) {
+    budget = { used: 0, resetAt: now + EXECUTE_PUBLIC_RATE_WINDOW };
+    extractionBudgets.set(req.ip, budget);
+  }
+
+  const weight = Math.max(1, cost(req));
+  const resetSeconds = Math.ceil((budget.resetAt - now) / 1000);
+  const allowed = budget.used + weight <= EXECUTE_PUBLIC_RATE_LIMIT;
+  if (allowed) budget.used += weight;
+
+  res.set('RateLimit-Limit', String(EXECUTE_PUBLIC_RATE_LIMIT));
+  res.set('RateLimit-Remaining', String(EXECUTE_PUBLIC_RATE_LIMIT - budget.used));
+  res.set('RateLimit-Reset', String(resetSeconds));
+
+  if (!allowed) {
+    res.set('Retry-After', String(resetSeconds));
+    return res.status(429).json(
+      formatLambdaResponse(429, {
+        error: MESSAGES.EXECUTE_RATE_LIMITED,
+        limit: EXECUTE_PUBLIC_RATE_LIMIT,
+        remaining: EXECUTE_PUBLIC_RATE_LIMIT - budget.used,
+        cost: weight
+      })
+    );
+  }
+
+  next();
+};
+
+/**
+ * Rate limit for /execute (proxy mode has per-user quotas instead)
+ */
+const executeRateLimit = extractionRateLimit({
+  skip: (req) => resolveExecuteMode(getExecuteParams(req)) === 'proxy'
+});
+
+/**
+ * Rate limit for /batch: each URL in the batch counts
+ */
+const batchRateLimit = extractionRateLimit({
+  cost: (req) => (Array.isArray(req.body?.urls) ? Math.min(req.body.urls.length, BATCH_MAX_URLS) : 1)
+});
+
+/**
+ * Check the rules of proxy mode once the caller is authenticated and reserve a quota slot
+ * Sets req.proxy: { method, headers, forwardedHeaders, strippedHeaders, bodyBytes, auditId, quota }
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const checkProxyRules = async (req, res, next) => {
+  const params = getExecuteParams(req);
+  const method = String(params.method || 'GET').toUpperCase();
+
+  if (!PROXY_ALLOWED_METHODS.includes(method)) {
+    return res.status(405).json(
+      formatLambdaResponse(405, { error: MESSAGES.PROXY_METHOD_NOT_ALLOWED, method, allowed: PROXY_ALLOWED_METHODS })
+    );
+  }
+
+  const bodyBytes = getBodyBytes(params.data);
+  if (bodyBytes > PROXY_MAX_BODY_BYTES) {
+    return res.status(413).json(
+      formatLambdaResponse(413, { error: MESSAGES.PROXY_BODY_TOO_LARGE, bodyBytes, maxBytes: PROXY_MAX_BODY_BYTES })
+    );
+  }
+
+  if (!params.url) {
+    return res.status(400).json(
+      formatLambdaResponse(400, { error: MESSAGES.MISSING_URL })
+    );
+  }
+
+  const headers = params.headers && typeof params.headers === 'object' ? params.headers : {};
+  const filtered = filterProxyHeaders(headers);
+
+  try {
+    // Reserve the call before counting, so concurrent calls can't all see the same usage;
+    // the controller fills in the outcome when the call finishes
+    const entry = await ProxyAuditLog.create({
+      userId: req.user.id,
+      url: String(params.url),
+      host: getHost(params.url),
+      method,
+      forwardedHeaders: filtered.forwarded,
+      strippedHeaders: filtered.stripped,
+      bodyBytes,
+      outcome: 'pending',
+      ip: req.ip,
+      userAgent: req.get('user-agent')
+    });
+    const used = await ProxyAuditLog.countRecent(req.user.id);
+    res.set('X-Proxy-Quota-Limit', String(PROXY_DAILY_QUOTA));
+    res.set('X-Proxy-Quota-Remaining', String(Math.max(0, PROXY_DAILY_QUOTA - used)));
+
+    if (used > PROXY_DAILY_QUOTA) {
+      await ProxyAuditLog.deleteOne({ _id: entry._id });
+      return res.status(429).json(
+        formatLambdaResponse(429, { error: MESSAGES.PROXY_QUOTA_EXCEEDED, limit: PROXY_DAILY_QUOTA, used: used - 1 })
+      );
+    }
+
+    if (filtered.stripped.length) {
+      console.log(`🧹 Not forwarding headers: ${filtered.stripped.join(', ')}`);
+    }
+
+    req.proxy = {
+      method,
+      headers: filtered.headers,
+      forwardedHeaders: filtered.forwarded,
+      strippedHeaders: filtered.stripped,
+      bodyBytes,
+      auditId: entry._id,
+      quota: { limit: PROXY_DAILY_QUOTA, used, remaining: Math.max(0, PROXY_DAILY_QUOTA - used) }
+    };
+    next();
+  } catch (error) {
+    console.error('❌ Proxy quota check failed:', error.message);
+    res.status(503).json(
+      formatLambdaResponse(503, { error: MESSAGES.PROXY_QUOTA_UNAVAILABLE })
+    );
+  }
+};
+
+/**
+ * Gate /execute: metadata mode passes through, proxy mode must be authenticated and within the rules
+ * Sets req.executeMode ('metadata' or 'proxy')
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const proxyAccess = (req, res, next) => {
+  req.executeMode = resolveExecuteMode(getExecuteParams(req));
+  req.proxy = null;
+  if (req.executeMode === 'metadata') return next();
+
+  const hasToken = (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) ||
+    (req.cookies && req.cookies.jwt);
+  if (!hasToken) {
+    return res.status(401).json(
+      formatLambdaResponse(401, { error: MESSAGES.PROXY_AUTH_REQUIRED })
+    );
+  }
+
+  return authenticate(req, res, () => checkProxyRules(req, res, next));
+};
+
+module.exports = {
+  resolveExecuteMode,
+  filterProxyHeaders,
+  extractionRateLimit,
+  executeRateLimit,
+  batchRateLimit,
+  proxyAccess
+};
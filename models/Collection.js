@@ -0,0 +1,111 @@
+const mongoose = require('mongoose');
+
+/**
+ * Collection Schema - Named folders/boards a user organizes saved links into
+ * Collections nest through parentId; links join them through CollectionLink
+ */
+const collectionSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'User ID is required'],
+        index: true
+    },
+    name: {
+        type: String,
+        required: [true, 'Collection name is required'],
+        trim: true,
+        maxlength: [100, 'Collection name cannot exceed 100 characters']
+    },
+    description: {
+        type: String,
+        trim: true,
+        maxlength: [1000, 'Description cannot exceed 1000 characters']
+    },
+    coverImage: {
+        type: String,
+        trim: true,
+        validate: {
+            validator: function (value) {
+                if (!value) return true; // Allow null/empty values
+                const urlRegex = /^(https?):\/\/[^\s/$.?#].[^\s]*$/i;
+                return urlRegex.test(value);
+            },
+            message: 'Cover image must be a valid URL'
+        }
+    },
+    // Enclosing collection; null for top-level collections
+    parentId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Collection',
+        default: null
+    },
+    // Manual order among siblings (lowest first)
+    position: {
+        type: Number,
+        default: 0
+    },
+    isActive: {
+        type: Boolean,
+        default: true
+    }
+}, {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+});
+
+// ==================== INDEXES ====================
+
+// Siblings in display order
+collectionSchema.index({ userId: 1, parentId: 1, position: 1 });
+
+// A user can't have two collections with the same name in one place
+collectionSchema.index(
+    { userId: 1, parentId: 1, name: 1 },
+    { unique: true, partialFilterExpression: { isActive: true } }
+);
+
+// ==================== STATIC METHODS ====================
+
+/**
+ * Find a user's active collection
+ */
+collectionSchema.statics.findOwned = function (userId, collectionId) {
+    return this.findOne({ _id: collectionId, userId, isActive: true });
+};
+
+/**
+ * Collect the IDs of a collection's active descendants (children, grandchildren...)
+ */
+collectionSchema.statics.findDescendantIds = async function (userId, collectionId) {
+    const descendants = [];
+    let parents = [collectionId];
+
+    while (parents.length) {
+        const children = await this.find({ userId, parentId: { $in: parents }, isActive: true }).select('_id');
+        parents = children.map(child => child._id);
+        descendants.push(...parents);
+    }
+
+    return descendants;
+};
+
+/**
+ * Number of levels from the top down to a collection (top-level collections are at depth 1)
+ */
+collectionSchema.statics.getDepth = async function (userId, collectionId) {
+    let depth = 0;
+    let current = collectionId;
+
+    while (current) {
+        const collection = await this.findOne({ _id: current, userId, isActive: true }).select('parentId');
+        if (!collection) break;
+        depth += 1;
+        current = collection.parentId;
+    }
+
+    return depth;
+};
+
+module.exports = mongoose.model('Collection', collectionSchema);
@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+
+/**
+ * CollectionActivity Schema - Who did what in a collection
+ * Feeds the activity view of collaborative collections
+ */
+const collectionActivitySchema = new mongoose.Schema({
+    collectionId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Collection',
+        required: [true, 'Collection ID is required']
+    },
+    // Member who made the change
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'User ID is required']
+    },
+    action: {
+        type: String,
+        required: true,
+        enum: [
+            'link_added',
+            'link_edited',
+            'link_removed',
+            'links_reordered',
+            'collection_updated',
+            'member_invited',
+            'member_joined',
+            'member_role_changed',
+            'member_removed'
+        ]
+    },
+    linkId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Link'
+    },
+    // Action-specific details (link title, changed fields, roles...)
+    details: {
+        type: mongoose.Schema.Types.Mixed,
+        default: {}
+    }
+}, {
+    timestamps: true
+});
+
+// ==================== INDEXES ====================
+
+// Feed of a collection, newest first
+collectionActivitySchema.index({ collectionId: 1, createdAt: -1 });
+
+// ==================== STATIC METHODS ====================
+
+/**
+ * Record an activity (failures are logged, never thrown, so they can't fail the change itself)
+ */
+collectionActivitySchema.statics.record = async function (collectionId, userId, action, { linkId, ...details } = {}) {
+    try {
+        await this.create({ collectionId, userId, action, linkId, details });
+    } catch (error) {
+        console.error('❌ Failed to record collection activity:', error.message);
+    }
+};
+
+/**
+ * Record an activity on a link in every collection that contains it
+ */
+collectionActivitySchema.statics.recordForLink = async function (linkId, userId, action, details = {}) {
+    try {
+        const CollectionLink = mongoose.model('CollectionLink');
+        const collectionIds = await CollectionLink.distinct('collectionId', { linkId });
+        await Promise.all(collectionIds.map(collectionId => this.record(collectionId, userId, action, { linkId, ...details })));
+    } catch (error) {
+        console.error('❌ Failed to record collection activity:', error.message);
+    }
+};
+
+module.exports = mongoose.model('CollectionActivity', collectionActivitySchema);
@@ -0,0 +1,73 @@
+const mongoose = require('mongoose');
+const { COLLECTION_ROLES, COLLECTION_INVITATION_TTL } = require('../config/constants');
+
+/**
+ * CollectionInvitation Schema - An invitation to collaborate on a collection
+ * Addressed to an email or phone identifier; whoever signs in with that
+ * identifier can accept it, including people who register after being invited.
+ */
+const collectionInvitationSchema = new mongoose.Schema({
+    collectionId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Collection',
+        required: [true, 'Collection ID is required']
+    },
+    identifier: {
+        type: String,
+        required: [true, 'Email or phone number is required'],
+        lowercase: true,
+        trim: true
+    },
+    identifierType: {
+        type: String,
+        enum: ['email', 'phone'],
+        required: true
+    },
+    role: {
+        type: String,
+        enum: {
+            values: COLLECTION_ROLES,
+            message: 'Role must be viewer, editor or owner'
+        },
+        default: 'viewer'
+    },
+    invitedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    status: {
+        type: String,
+        enum: ['pending', 'accepted', 'declined', 'revoked'],
+        default: 'pending'
+    },
+    respondedAt: {
+        type: Date
+    },
+    expiresAt: {
+        type: Date,
+        default: () => new Date(Date.now() + COLLECTION_INVITATION_TTL * 1000)
+    }
+}, {
+    timestamps: true
+});
+
+// ==================== INDEXES ====================
+
+collectionInvitationSchema.index({ identifier: 1, status: 1 });
+collectionInvitationSchema.index({ collectionId: 1, status: 1 });
+
+// ==================== STATIC METHODS ====================
+
+/**
+ * Pending, unexpired invitations for an identifier
+ */
+collectionInvitationSchema.statics.findPendingFor = function (identifier) {
+    return this.find({
+        identifier: String(identifier).toLowerCase().trim(),
+        status: 'pending',
+        expiresAt: { $gt: new Date() }
+    }).sort({ createdAt: -1 });
+};
+
+module.exports = mongoose.model('CollectionInvitation', collectionInvitationSchema);
@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+
+/**
+ * CollectionLink Schema - Membership of a link in a collection
+ * A link can sit in any number of collections, each with its own position
+ */
+const collectionLinkSchema = new mongoose.Schema({
+    collectionId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Collection',
+        required: [true, 'Collection ID is required']
+    },
+    linkId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Link',
+        required: [true, 'Link ID is required'],
+        index: true
+    },
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'User ID is required']
+    },
+    // Manual (drag) order inside the collection (lowest first)
+    position: {
+        type: Number,
+        default: 0
+    },
+    addedAt: {
+        type: Date,
+        default: Date.now
+    }
+}, {
+    timestamps: true
+});
+
+// ==================== INDEXES ====================
+
+// A link is in a collection at most once
+collectionLinkSchema.index({ collectionId: 1, linkId: 1 }, { unique: true });
+
+// Members in display order
+collectionLinkSchema.index({ collectionId: 1, position: 1 });
+
+// ==================== STATIC METHODS ====================
+
+/**
+ * Next free position at the end of a collection
+ */
+collectionLinkSchema.statics.nextPosition = async function (collectionId) {
+    const last = await this.findOne({ collectionId }).sort({ position: -1 }).select('position');
+    return last ? last.position + 1 : 0;
+};
+
+module.exports = mongoose.model('CollectionLink', collectionLinkSchema);
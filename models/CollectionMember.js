@@ -0,0 +1,81 @@
+const mongoose = require('mongoose');
+const { COLLECTION_ROLES } = require('../config/constants');
+
+/**
+ * CollectionMember Schema - A user collaborating on someone else's collection
+ * The collection's creator (Collection.userId) is always an owner and has no member document
+ */
+const collectionMemberSchema = new mongoose.Schema({
+    collectionId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Collection',
+        required: [true, 'Collection ID is required']
+    },
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'User ID is required'],
+        index: true
+    },
+    role: {
+        type: String,
+        enum: {
+            values: COLLECTION_ROLES,
+            message: 'Role must be viewer, editor or owner'
+        },
+        default: 'viewer'
+    },
+    invitedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    joinedAt: {
+        type: Date,
+        default: Date.now
+    }
+}, {
+    timestamps: true
+});
+
+// ==================== INDEXES ====================
+
+// A user is a member of a collection at most once
+collectionMemberSchema.index({ collectionId: 1, userId: 1 }, { unique: true });
+
+// ==================== STATIC METHODS ====================
+
+/**
+ * Role of a user on a collection document (null when they have no access)
+ */
+collectionMemberSchema.statics.getRole = async function (collection, userId) {
+    if (!collection || !userId) return null;
+    if (String(collection.userId) === String(userId)) return 'owner';
+
+    const member = await this.findOne({ collectionId: collection._id, userId }).select('role');
+    return member ? member.role : null;
+};
+
+/**
+ * The collections of one creator's tree a user may see (roles aren't inherited:
+ * a member only sees the collections they were added to, the creator sees all)
+ * @param {object} collection - Any collection of the tree (for its creator)
+ * @param {string} userId
+ * @param {Array} collectionIds - Collections of that tree
+ * @returns {Promise<Array>} The accessible subset of collectionIds
+ */
+collectionMemberSchema.statics.filterAccessible = async function (collection, userId, collectionIds) {
+    if (String(collection.userId) === String(userId)) return collectionIds;
+
+    const memberOf = await this.distinct('collectionId', { userId, collectionId: { $in: collectionIds } });
+    const accessible = new Set(memberOf.map(String));
+    return collectionIds.filter(id => accessible.has(String(id)));
+};
+
+/**
+ * Whether a role includes the permissions of another (owner > editor > viewer)
+ */
+collectionMemberSchema.statics.hasRole = function (role, requiredRole) {
+    return COLLECTION_ROLES.indexOf(role) >= COLLECTION_ROLES.indexOf(requiredRole) && COLLECTION_ROLES.includes(role);
+};
+
+module.exports = mongoose.model('CollectionMember', collectionMemberSchema);
@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+const { LINK_TYPES } = require('../config/constants');
+
+/**
+ * DomainRule Schema - Admin-managed classification rules
+ * Adds (or with a negative weight, subtracts) score for a link type when the
+ * URL's host matches the domain (subdomains included) and the path prefix
+ */
+const domainRuleSchema = new mongoose.Schema({
+    domain: {
+        type: String,
+        required: [true, 'Domain is required'],
+        trim: true,
+        lowercase: true,
+        match: [/^(?:[a-z0-9-]+\.)+[a-z0-9-]+$/, 'Please provide a valid domain']
+    },
+    pathPrefix: {
+        type: String,
+        trim: true,
+        // Matched against the lowercased URL path
+        lowercase: true,
+        default: ''
+    },
+    linkType: {
+        type: String,
+        required: [true, 'Link type is required'],
+        enum: {
+            values: LINK_TYPES,
+            message: 'Please select a valid link type'
+        }
+    },
+    weight: {
+        type: Number,
+        default: 6,
+        min: [-10, 'Weight cannot be lower than -10'],
+        max: [10, 'Weight cannot be higher than 10']
+    },
+    notes: {
+        type: String,
+        trim: true,
+        maxlength: [500, 'Notes cannot exceed 500 characters']
+    },
+    isActive: {
+        type: Boolean,
+        default: true
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: true
+});
+
+domainRuleSchema.index({ domain: 1, pathPrefix: 1, linkType: 1 }, { unique: true });
+domainRuleSchema.index({ isActive: 1 });
+
+module.exports = mongoose.model('DomainRule', domainRuleSchema);
@@ -0,0 +1,102 @@
+const mongoose = require('mongoose');
+const { JOB_RETENTION } = require('../config/constants');
+
+/**
+ * ExtractionJob Schema - Queued URL extractions processed by the extraction worker
+ * Clients poll by jobId (random, unlike _id) or receive a signed webhook
+ */
+const extractionJobSchema = new mongoose.Schema({
+    jobId: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    url: {
+        type: String,
+        required: [true, 'URL is required'],
+        trim: true
+    },
+    options: {
+        fresh: {
+            type: Boolean,
+            default: false
+        }
+    },
+    status: {
+        type: String,
+        enum: ['queued', 'running', 'completed', 'failed'],
+        default: 'queued'
+    },
+    // Same shape as the synchronous extractor response: { data, cache, attempt, attempts }
+    result: {
+        type: mongoose.Schema.Types.Mixed,
+        default: null
+    },
+    error: {
+        code: String,
+        kind: String,
+        message: String
+    },
+    runCount: {
+        type: Number,
+        default: 0
+    },
+    // Worker lease; running jobs with an old lock are picked up again
+    lockedAt: {
+        type: Date
+    },
+    lockedBy: {
+        type: String
+    },
+    startedAt: {
+        type: Date
+    },
+    completedAt: {
+        type: Date
+    },
+    callbackUrl: {
+        type: String,
+        trim: true
+    },
+    callback: {
+        status: {
+            type: String,
+            enum: ['none', 'pending', 'delivered', 'failed'],
+            default: 'none'
+        },
+        attempts: {
+            type: Number,
+            default: 0
+        },
+        lastStatus: Number,
+        lastError: String,
+        deliveredAt: Date
+    },
+    // Removed by MongoDB after this time
+    expiresAt: {
+        type: Date,
+        default: () => new Date(Date.now() + JOB_RETENTION * 1000)
+    }
+}, {
+    timestamps: true
+});
+
+extractionJobSchema.index({ status: 1, createdAt: 1 });
+extractionJobSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Method to get the client-facing view of a job (polling response and webhook payload)
+extractionJobSchema.methods.toPublicJSON = function () {
+    return {
+        id: this.jobId,
+        url: this.url,
+        status: this.status,
+        result: this.result,
+        error: this.error?.code ? this.error : null,
+        callback: this.callbackUrl ? { url: this.callbackUrl, ...this.callback } : null,
+        createdAt: this.createdAt,
+        startedAt: this.startedAt || null,
+        completedAt: this.completedAt || null
+    };
+};
+
+module.exports = mongoose.model('ExtractionJob', extractionJobSchema);
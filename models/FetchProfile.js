@@ -0,0 +1,72 @@
+const mongoose = require('mongoose');
+
+/**
+ * FetchProfile Schema - Admin overrides of per-domain fetch settings
+ * Fields left unset fall back to the profile in config/fetchProfiles.js
+ */
+const fetchProfileSchema = new mongoose.Schema({
+    domain: {
+        type: String,
+        required: [true, 'Domain is required'],
+        unique: true,
+        trim: true,
+        lowercase: true,
+        match: [/^(?:[a-z0-9-]+\.)+[a-z0-9-]+$/, 'Please provide a valid domain']
+    },
+    // Merged over the generated browser headers
+    headers: {
+        type: Map,
+        of: String
+    },
+    userAgent: {
+        type: String,
+        trim: true
+    },
+    timeout: {
+        type: Number,
+        min: [1000, 'Timeout must be at least 1000ms'],
+        max: [60000, 'Timeout cannot exceed 60000ms']
+    },
+    maxRetries: {
+        type: Number,
+        min: [1, 'At least one attempt is required'],
+        max: [10, 'Max retries cannot exceed 10']
+    },
+    backoff: {
+        baseDelay: {
+            type: Number,
+            min: [0, 'Base delay cannot be negative']
+        },
+        maxDelay: {
+            type: Number,
+            min: [0, 'Max delay cannot be negative']
+        }
+    },
+    retryableStatuses: {
+        type: [Number],
+        default: undefined,
+        validate: {
+            validator: (statuses) => statuses.every(s => Number.isInteger(s) && s >= 100 && s <= 599),
+            message: 'Retryable statuses must be HTTP status codes'
+        }
+    },
+    notes: {
+        type: String,
+        trim: true,
+        maxlength: [500, 'Notes cannot exceed 500 characters']
+    },
+    isActive: {
+        type: Boolean,
+        default: true
+    },
+    updatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: true
+});
+
+fetchProfileSchema.index({ isActive: 1 });
+
+module.exports = mongoose.model('FetchProfile', fetchProfileSchema);
@@ -92,6 +92,13 @@ const linkSchema = new mongoose.Schema({
                 },
                 message: 'Apple Touch Icon must be a valid URL'
             }
+        },
+        // Signed /api/images/proxy thumbnails of the images above
+        proxied: {
+            logo: { type: String, trim: true },
+            ogImage: { type: String, trim: true },
+            favicon: { type: String, trim: true },
+            appleTouchIcon: { type: String, trim: true }
         }
     },
     metadata: {
@@ -127,6 +134,129 @@ const linkSchema = new mongoose.Schema({
             default: 1
         }
     },
+    // Readable content stats from the extractor, for showing reading time
+    reading: {
+        wordCount: {
+            type: Number,
+            min: [0, 'Word count cannot be negative']
+        },
+        readingTimeMinutes: {
+            type: Number,
+            min: [0, 'Reading time cannot be negative']
+        },
+        language: {
+            type: String,
+            trim: true,
+            lowercase: true
+        }
+    },
+    // Set when the link points at a file (PDF, image, audio, video) rather than a page
+    fileInfo: {
+        kind: {
+            type: String,
+            enum: ['pdf', 'image', 'audio', 'video']
+        },
+        mediaType: {
+            type: String,
+            trim: true,
+            lowercase: true
+        },
+        fileName: {
+            type: String,
+            trim: true
+        },
+        size: {
+            type: Number,
+            min: [0, 'File size cannot be negative']
+        },
+        pageCount: {
+            type: Number,
+            min: [0, 'Page count cannot be negative']
+        },
+        author: {
+            type: String,
+            trim: true
+        },
+        width: Number,
+        height: Number,
+        durationSeconds: {
+            type: Number,
+            min: [0, 'Duration cannot be negative']
+        }
+    },
+    // schema.org / Open Graph structured data for product cards and article bylines
+    richData: {
+        type: {
+            type: String,
+            enum: {
+                values: ['Product', 'Article', 'VideoObject', 'Recipe', 'Event'],
+                message: 'Please select a valid rich data type'
+            }
+        },
+        source: {
+            type: String,
+            enum: ['json-ld', 'microdata', 'rdfa', 'meta']
+        },
+        name: {
+            type: String,
+            trim: true
+        },
+        siteName: {
+            type: String,
+            trim: true
+        },
+        brand: {
+            type: String,
+            trim: true
+        },
+        author: {
+            type: String,
+            trim: true
+        },
+        publishedAt: {
+            type: String,
+            trim: true
+        },
+        modifiedAt: {
+            type: String,
+            trim: true
+        },
+        price: {
+            type: Number,
+            min: [0, 'Price cannot be negative']
+        },
+        currency: {
+            type: String,
+            trim: true,
+            uppercase: true
+        },
+        availability: {
+            type: String,
+            trim: true
+        },
+        rating: {
+            value: Number,
+            count: Number,
+            best: Number
+        },
+        duration: {
+            type: String,
+            trim: true
+        },
+        durationSeconds: {
+            type: Number,
+            min: [0, 'Duration cannot be negative']
+        },
+        prepTime: String,
+        cookTime: String,
+        recipeYield: String,
+        startDate: String,
+        endDate: String,
+        location: {
+            type: String,
+            trim: true
+        }
+    },
     analytics: {
         accessCount: {
             type: Number,
@@ -162,6 +292,20 @@ const linkSchema = new mongoose.Schema({
         type: Boolean,
         default: true
     },
+    // When the link was moved to the trash (purged TRASH_RETENTION later)
+    deletedAt: {
+        type: Date,
+        default: null
+    },
+    // Archived links are kept out of the default listing
+    isArchived: {
+        type: Boolean,
+        default: false
+    },
+    archivedAt: {
+        type: Date,
+        default: null
+    },
     notes: {
         type: String,
         trim: true,
@@ -181,6 +325,7 @@ linkSchema.index({ 'metadata.domain': 1 });
 linkSchema.index({ createdAt: -1 });
 linkSchema.index({ 'analytics.lastAccessed': -1 });
 linkSchema.index({ userId: 1, url: 1 }, { unique: true, partialFilterExpression: { isActive: true } });
+linkSchema.index({ isActive: 1, deletedAt: 1 });
 
 // Virtual for getting domain from URL
 linkSchema.virtual('domain').get(function () {
@@ -221,6 +366,14 @@ linkSchema.methods.incrementAccess = function (visitorInfo = {}) {
     return this.save();
 };
 
+// JSON for a viewer, who may be a collaborator on a shared collection (notes are private to the owner)
+linkSchema.methods.toJSONFor = function (viewerId) {
+    const json = this.toJSON();
+    const ownerId = this.userId?._id || this.userId;
+    if (String(ownerId) !== String(viewerId)) delete json.notes;
+    return json;
+};
+
 // Static method to find links by type
 linkSchema.statics.findByType = function (linkType) {
     return this.find({ linkType, isActive: true });
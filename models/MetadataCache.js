@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+
+/**
+ * MetadataCache Schema - Shared extraction results keyed by normalized URL
+ * One document per URL, reused across all users who save or analyze it
+ */
+const metadataCacheSchema = new mongoose.Schema({
+    key: {
+        type: String,
+        required: [true, 'Cache key is required'],
+        unique: true,
+        trim: true
+    },
+    url: {
+        type: String,
+        trim: true
+    },
+    // Extraction payload as returned by the URL extractor
+    data: {
+        type: mongoose.Schema.Types.Mixed,
+        default: {}
+    },
+    // Plain page text for AI endpoints
+    contentText: {
+        type: String
+    },
+    // Readable main content (blocks, word count, language) without its text
+    content: {
+        type: mongoose.Schema.Types.Mixed,
+        default: null
+    },
+    // Validators for conditional revalidation
+    etag: {
+        type: String
+    },
+    lastModified: {
+        type: String
+    },
+    hitCount: {
+        type: Number,
+        default: 0,
+        min: [0, 'Hit count cannot be negative']
+    },
+    fetchedAt: {
+        type: Date,
+        default: Date.now
+    },
+    // Served without revalidation until this time
+    freshUntil: {
+        type: Date,
+        required: true
+    },
+    // Removed by MongoDB after this time
+    expiresAt: {
+        type: Date,
+        required: true
+    }
+}, {
+    timestamps: true
+});
+
+// Index for automatic deletion of expired entries
+metadataCacheSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('MetadataCache', metadataCacheSchema);
@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+const { PROXY_AUDIT_RETENTION } = require('../config/constants');
+
+/**
+ * ProxyAuditLog Schema - One entry per proxy-mode /execute call
+ * Also the source of truth for per-user daily quotas: the entry is written
+ * (outcome 'pending') before the call is forwarded and completed afterwards
+ */
+const proxyAuditLogSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    url: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    host: {
+        type: String,
+        lowercase: true
+    },
+    method: {
+        type: String,
+        required: true,
+        uppercase: true
+    },
+    // Header names only; values may carry credentials
+    forwardedHeaders: [{
+        type: String
+    }],
+    strippedHeaders: [{
+        type: String
+    }],
+    bodyBytes: {
+        type: Number,
+        default: 0
+    },
+    // Target's status, or null when it couldn't be reached
+    upstreamStatus: {
+        type: Number,
+        default: null
+    },
+    // classifyStatus/classifyError kind (success, client_error, timeout, blocked...), pending until the call finishes
+    outcome: {
+        type: String
+    },
+    durationMs: {
+        type: Number
+    },
+    ip: {
+        type: String
+    },
+    userAgent: {
+        type: String
+    },
+    // Removed by MongoDB after this time
+    expiresAt: {
+        type: Date,
+        default: () => new Date(Date.now() + PROXY_AUDIT_RETENTION * 1000)
+    }
+}, {
+    timestamps: true
+});
+
+proxyAuditLogSchema.index({ userId: 1, createdAt: -1 });
+proxyAuditLogSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Static method to count a user's proxied calls in the last 24 hours
+proxyAuditLogSchema.statics.countRecent = function (userId) {
+    return this.countDocuments({
+        userId,
+        createdAt: { $gte: new Date(Date.now() - 24 * 60 * 60 * 1000) }
+    });
+};
+
+module.exports = mongoose.model('ProxyAuditLog', proxyAuditLogSchema);
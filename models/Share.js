@@ -0,0 +1,89 @@
+const mongoose = require('mongoose');
+
+/**
+ * Share Schema - Public read-only access to a link or collection
+ * Anyone with the slug can view the resource until the share expires or is
+ * revoked; a password can be required on top of the slug.
+ */
+const shareSchema = new mongoose.Schema({
+    // Unguessable public identifier used in share URLs
+    slug: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'User ID is required'],
+        index: true
+    },
+    resourceType: {
+        type: String,
+        required: [true, 'Resource type is required'],
+        enum: {
+            values: ['link', 'collection'],
+            message: 'Resource type must be link or collection'
+        }
+    },
+    linkId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Link'
+    },
+    collectionId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Collection'
+    },
+    // bcrypt hash; never returned with the share
+    passwordHash: {
+        type: String,
+        select: false
+    },
+    // Whether passwordHash is set (readable without selecting the hash)
+    hasPassword: {
+        type: Boolean,
+        default: false
+    },
+    expiresAt: {
+        type: Date,
+        default: null
+    },
+    revokedAt: {
+        type: Date,
+        default: null
+    },
+    viewCount: {
+        type: Number,
+        default: 0,
+        min: [0, 'View count cannot be negative']
+    },
+    lastViewedAt: {
+        type: Date
+    }
+}, {
+    timestamps: true,
+    toJSON: {
+        virtuals: true,
+        transform: (doc, ret) => {
+            delete ret.passwordHash;
+            return ret;
+        }
+    },
+    toObject: { virtuals: true }
+});
+
+// ==================== INDEXES ====================
+
+shareSchema.index({ userId: 1, linkId: 1 });
+shareSchema.index({ userId: 1, collectionId: 1 });
+
+// ==================== VIRTUALS ====================
+
+// Virtual for the share's current state
+shareSchema.virtual('status').get(function () {
+    if (this.revokedAt) return 'revoked';
+    if (this.expiresAt && this.expiresAt <= new Date()) return 'expired';
+    return 'active';
+});
+
+module.exports = mongoose.model('Share', shareSchema);
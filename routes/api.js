@@ -1,6 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const lambdaController = require('../controllers/lambdaController');
+const { executeRateLimit, proxyAccess } = require('../middleware/executeAccess');
 
 /**
  * @swagger
@@ -8,7 +9,7 @@ const lambdaController = require('../controllers/lambdaController');
  *   post:
  *     tags: [Lambda API]
  *     summary: Execute HTTP request with Lambda-style functionality
- *     description: Execute HTTP requests to external URLs with retry logic, bot detection avoidance, and metadata extraction for HTML content
+ *     description: Execute HTTP requests to external URLs with retry logic, bot detection avoidance, and metadata extraction for HTML content. A plain GET (metadata mode) is public and rate limited per IP; another method, custom headers or a body (proxy mode) needs a Bearer token, uses allowlisted methods and headers only, and counts against a daily quota
  *     requestBody:
  *       required: true
  *       content:
@@ -22,7 +23,7 @@ const lambdaController = require('../controllers/lambdaController');
  *                 url: "https://api.github.com/users/octocat"
  *                 method: "GET"
  *             post_with_data:
- *               summary: POST request with data
+ *               summary: POST request with data (proxy mode, requires authentication)
  *               value:
  *                 url: "https://httpbin.org/post"
  *                 method: "POST"
@@ -53,6 +54,42 @@ const lambdaController = require('../controllers/lambdaController');
  *               success: false
  *               message: "Missing required parameter: url"
  *               error: "URL parameter is required"
+ *       403:
+ *         description: Target URL blocked by the outbound request guard (private/loopback/link-local/metadata address, disallowed scheme, or host allow/deny list)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *             example:
+ *               success: false
+ *               data:
+ *                 error: "Target URL is not allowed"
+ *                 code: "URL_BLOCKED"
+ *                 reason: "PRIVATE_ADDRESS"
+ *       401:
+ *         description: Proxy mode without a valid token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       405:
+ *         description: HTTP method not in the proxy-mode allowlist
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       413:
+ *         description: Request body larger than the proxy-mode cap
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       429:
+ *         description: Public rate limit (metadata mode) or daily proxy quota exceeded
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       500:
  *         description: Internal server error
  *         content:
@@ -104,6 +141,36 @@ const lambdaController = require('../controllers/lambdaController');
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Target URL blocked by the outbound request guard
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Proxy mode without a valid token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       405:
+ *         description: HTTP method not in the proxy-mode allowlist
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       413:
+ *         description: Request body larger than the proxy-mode cap
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       429:
+ *         description: Public rate limit (metadata mode) or daily proxy quota exceeded
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       500:
  *         description: Internal server error
  *         content:
@@ -111,8 +178,8 @@ const lambdaController = require('../controllers/lambdaController');
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.post('/execute', lambdaController.executeRequest.bind(lambdaController));
-router.get('/execute', lambdaController.executeRequest.bind(lambdaController));
+router.post('/execute', executeRateLimit, proxyAccess, lambdaController.executeRequest.bind(lambdaController));
+router.get('/execute', executeRateLimit, proxyAccess, lambdaController.executeRequest.bind(lambdaController));
 
 /**
  * @swagger
@@ -0,0 +1,55 @@
+const express = require('express');
+const router = express.Router();
+const classifierController = require('../controllers/classifierController');
+const { authenticate, requireAdmin } = require('../middleware/auth');
+
+/**
+ * Classifier Routes
+ * Base path: /api/classifier
+ * Admin management of the domain rules used by link classification
+ */
+
+// ==================== Domain Rules ====================
+
+/**
+ * @route   GET /api/classifier/rules
+ * @desc    List domain rules
+ * @access  Admin
+ * @query   { domain, linkType, isActive }
+ */
+router.get('/rules', authenticate, requireAdmin, classifierController.getRules);
+
+/**
+ * @route   POST /api/classifier/rules
+ * @desc    Create a domain rule (weight -10..10 added to linkType when the host and path prefix match)
+ * @access  Admin
+ * @body    { domain, pathPrefix, linkType, weight, notes, isActive }
+ */
+router.post('/rules', authenticate, requireAdmin, classifierController.createRule);
+
+/**
+ * @route   PUT /api/classifier/rules/:id
+ * @desc    Update a domain rule
+ * @access  Admin
+ * @body    { domain, pathPrefix, linkType, weight, notes, isActive }
+ */
+router.put('/rules/:id', authenticate, requireAdmin, classifierController.updateRule);
+
+/**
+ * @route   DELETE /api/classifier/rules/:id
+ * @desc    Delete a domain rule
+ * @access  Admin
+ */
+router.delete('/rules/:id', authenticate, requireAdmin, classifierController.deleteRule);
+
+// ==================== Preview ====================
+
+/**
+ * @route   POST /api/classifier/preview
+ * @desc    Classify a URL with the current rules and return the scoring signals
+ * @access  Admin
+ * @body    { url, title, description, keywords, ogType, schemaTypes }
+ */
+router.post('/preview', authenticate, requireAdmin, classifierController.previewClassification);
+
+module.exports = router;
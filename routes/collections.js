@@ -0,0 +1,183 @@
+const express = require('express');
+const router = express.Router();
+const collectionsController = require('../controllers/collectionsController');
+const collectionMembersController = require('../controllers/collectionMembersController');
+const { authenticate, requireCollectionRole } = require('../middleware/auth');
+
+/**
+ * Collections Routes
+ * Base path: /api/collections
+ * All routes require authentication; routes on one collection also require a
+ * role on it (viewer < editor < owner; the creator is always an owner)
+ */
+
+// ==================== CRUD Operations ====================
+
+/**
+ * @route   POST /api/collections
+ * @desc    Create a collection (top level, or inside parentId)
+ * @access  Private
+ * @body    { name, description, coverImage, parentId }
+ */
+router.post('/', authenticate, collectionsController.createCollection);
+
+/**
+ * @route   GET /api/collections
+ * @desc    Get the user's collections with link counts (one level, or the whole tree),
+ *          or with shared=true the collections the user is a member of
+ * @access  Private
+ * @query   { parentId, tree, shared }
+ */
+router.get('/', authenticate, collectionsController.getCollections);
+
+/**
+ * @route   PUT /api/collections/reorder
+ * @desc    Set the order of sibling collections
+ * @access  Private
+ * @body    { parentId, collectionIds }
+ */
+router.put('/reorder', authenticate, collectionsController.reorderCollections);
+
+// ==================== My Invitations ====================
+
+/**
+ * @route   GET /api/collections/invitations
+ * @desc    Get pending invitations addressed to the user's email or phone number
+ * @access  Private
+ */
+router.get('/invitations', authenticate, collectionMembersController.getMyInvitations);
+
+/**
+ * @route   POST /api/collections/invitations/:invitationId/accept
+ * @desc    Accept an invitation and join the collection with its role
+ * @access  Private
+ */
+router.post('/invitations/:invitationId/accept', authenticate, collectionMembersController.respondToInvitation);
+
+/**
+ * @route   POST /api/collections/invitations/:invitationId/decline
+ * @desc    Decline an invitation
+ * @access  Private
+ */
+router.post('/invitations/:invitationId/decline', authenticate, collectionMembersController.respondToInvitation);
+
+/**
+ * @route   GET /api/collections/:id
+ * @desc    Get a collection with its sub-collections, path and the user's role
+ *          (members only see the sub-collections and ancestors they have a role on)
+ * @access  Private (viewer)
+ */
+router.get('/:id', authenticate, requireCollectionRole('viewer'), collectionsController.getCollectionById);
+
+/**
+ * @route   PUT /api/collections/:id
+ * @desc    Update a collection, or move it under another parent (creator only)
+ * @access  Private (editor)
+ * @body    { name, description, coverImage, parentId }
+ */
+router.put('/:id', authenticate, requireCollectionRole('editor'), collectionsController.updateCollection);
+
+/**
+ * @route   DELETE /api/collections/:id
+ * @desc    Delete a collection and its sub-collections (links are kept)
+ * @access  Private (creator only)
+ */
+router.delete('/:id', authenticate, requireCollectionRole('owner'), collectionsController.deleteCollection);
+
+// ==================== Collection Links ====================
+
+/**
+ * @route   GET /api/collections/:id/links
+ * @desc    Get the links in a collection in their manual order
+ * @access  Private (viewer)
+ * @query   { page, limit }
+ */
+router.get('/:id/links', authenticate, requireCollectionRole('viewer'), collectionsController.getCollectionLinks);
+
+/**
+ * @route   POST /api/collections/:id/links
+ * @desc    Add the user's own links to a collection (at the end, or at position)
+ * @access  Private (editor)
+ * @body    { linkIds, position }
+ */
+router.post('/:id/links', authenticate, requireCollectionRole('editor'), collectionsController.addLinks);
+
+/**
+ * @route   PUT /api/collections/:id/links/reorder
+ * @desc    Set the manual order of links in a collection
+ * @access  Private (editor)
+ * @body    { linkIds } - New order; links not listed follow in their current order
+ */
+router.put('/:id/links/reorder', authenticate, requireCollectionRole('editor'), collectionsController.reorderLinks);
+
+/**
+ * @route   PUT /api/collections/:id/links/:linkId
+ * @desc    Edit a link in a collection
+ * @access  Private (editor)
+ * @body    { title, description, linkType, tags }
+ */
+router.put('/:id/links/:linkId', authenticate, requireCollectionRole('editor'), collectionsController.updateCollectionLink);
+
+/**
+ * @route   DELETE /api/collections/:id/links/:linkId
+ * @desc    Remove a link from a collection
+ * @access  Private (editor)
+ */
+router.delete('/:id/links/:linkId', authenticate, requireCollectionRole('editor'), collectionsController.removeLink);
+
+/**
+ * @route   GET /api/collections/:id/activity
+ * @desc    Get who added, edited or removed which link, newest first
+ * @access  Private (viewer)
+ * @query   { action, page, limit }
+ */
+router.get('/:id/activity', authenticate, requireCollectionRole('viewer'), collectionsController.getActivity);
+
+// ==================== Members ====================
+
+/**
+ * @route   GET /api/collections/:id/members
+ * @desc    Get the creator and members of a collection with their roles
+ * @access  Private (viewer)
+ */
+router.get('/:id/members', authenticate, requireCollectionRole('viewer'), collectionMembersController.getMembers);
+
+/**
+ * @route   PUT /api/collections/:id/members/:userId
+ * @desc    Change a member's role
+ * @access  Private (owner)
+ * @body    { role }
+ */
+router.put('/:id/members/:userId', authenticate, requireCollectionRole('owner'), collectionMembersController.updateMemberRole);
+
+/**
+ * @route   DELETE /api/collections/:id/members/:userId
+ * @desc    Remove a member (owners), or leave the collection (own user ID)
+ * @access  Private (viewer)
+ */
+router.delete('/:id/members/:userId', authenticate, requireCollectionRole('viewer'), collectionMembersController.removeMember);
+
+/**
+ * @route   GET /api/collections/:id/invitations
+ * @desc    Get the collection's invitations
+ * @access  Private (owner)
+ * @query   { status } - pending (default), accepted, declined or revoked
+ */
+router.get('/:id/invitations', authenticate, requireCollectionRole('owner'), collectionMembersController.getInvitations);
+
+/**
+ * @route   POST /api/collections/:id/invitations
+ * @desc    Invite someone by email or phone number
+ * @access  Private (owner)
+ * @body    { identifier, role }
+ */
+router.post('/:id/invitations', authenticate, requireCollectionRole('owner'), collectionMembersController.inviteMember);
+
+/**
+ * @route   DELETE /api/collections/:id/invitations/:invitationId
+ * @desc    Revoke a pending invitation
+ * @access  Private (owner)
+ */
+router.delete('/:id/invitations/:invitationId', authenticate, requireCollectionRole('owner'), collectionMembersController.revokeInvitation);
+
+module.exports = router;
@@ -0,0 +1,42 @@
+const express = require('express');
+const router = express.Router();
+const fetchProfileController = require('../controllers/fetchProfileController');
+const { authenticate, requireAdmin } = require('../middleware/auth');
+
+/**
+ * Fetch Profile Routes
+ * Base path: /api/fetch-profiles
+ * Admin overrides of the per-domain fetch profiles in config/fetchProfiles.js
+ */
+
+/**
+ * @route   GET /api/fetch-profiles
+ * @desc    List fetch profile overrides
+ * @access  Admin
+ */
+router.get('/', authenticate, requireAdmin, fetchProfileController.getProfiles);
+
+/**
+ * @route   GET /api/fetch-profiles/resolve
+ * @desc    Show the effective profile for a URL
+ * @access  Admin
+ * @query   { url }
+ */
+router.get('/resolve', authenticate, requireAdmin, fetchProfileController.resolveProfile);
+
+/**
+ * @route   PUT /api/fetch-profiles/:domain
+ * @desc    Create or replace the override for a domain (unset fields fall back to the config file)
+ * @access  Admin
+ * @body    { headers, userAgent, timeout, maxRetries, backoff: { baseDelay, maxDelay }, retryableStatuses, notes, isActive }
+ */
+router.put('/:domain', authenticate, requireAdmin, fetchProfileController.upsertProfile);
+
+/**
+ * @route   DELETE /api/fetch-profiles/:id
+ * @desc    Delete a fetch profile override
+ * @access  Admin
+ */
+router.delete('/:id', authenticate, requireAdmin, fetchProfileController.deleteProfile);
+
+module.exports = router;
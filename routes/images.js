@@ -0,0 +1,19 @@
+const express = require('express');
+const router = express.Router();
+const imageController = require('../controllers/imageController');
+
+/**
+ * Image Routes
+ * Base path: /api/images
+ */
+
+/**
+ * @route   GET /api/images/proxy
+ * @desc    Resized, cached copy of a link preview image (fails with an error, or redirects to the
+ *          original with fallback=true)
+ * @access  Public (URLs are signed)
+ * @query   { url, size: icon|small|medium|large, sig, fallback }
+ */
+router.get('/proxy', imageController.proxyImage);
+
+module.exports = router;
@@ -1,10 +1,24 @@
 const express = require('express');
 const router = express.Router();
 const lambdaController = require('../controllers/lambdaController');
+const jobsController = require('../controllers/jobsController');
+const { extractionRateLimit, executeRateLimit, batchRateLimit, proxyAccess } = require('../middleware/executeAccess');
 
-// Execute endpoint (supports POST with body and GET with query)
-router.post('/', lambdaController.executeRequest.bind(lambdaController));
-router.get('/', lambdaController.executeRequest.bind(lambdaController));
+// Execute endpoint (supports POST with body and GET with query; debug=true explains each field)
+// Status codes describe our outcome, the target's is in `upstream` (docs/EXTRACTOR_RESPONSES.md)
+// Plain GETs are public and rate limited; custom methods, headers or bodies need a login (proxy mode)
+router.post('/', executeRateLimit, proxyAccess, lambdaController.executeRequest.bind(lambdaController));
+router.get('/', executeRateLimit, proxyAccess, lambdaController.executeRequest.bind(lambdaController));
+
+// Batch extraction (POST body: { urls: [...], concurrency }); each URL counts against the rate limit
+router.post('/batch', batchRateLimit, lambdaController.executeBatch.bind(lambdaController));
+
+// Readable main content (GET ?url=&fresh=)
+router.get('/content', extractionRateLimit(), lambdaController.getContent.bind(lambdaController));
+
+// Asynchronous extraction jobs (POST body: { url, fresh, callbackUrl }; poll GET /jobs/:id)
+router.post('/jobs', extractionRateLimit(), jobsController.createJob.bind(jobsController));
+router.get('/jobs/:id', jobsController.getJob.bind(jobsController));
 
 // Health check
 router.get('/health', lambdaController.healthCheck.bind(lambdaController));
@@ -6,16 +6,17 @@ const { authenticate } = require('../middleware/auth');
 /**
  * Links Routes
  * Base path: /api/links
- * All routes are user-specific (no public links)
+ * All routes are user-specific; links are published through /api/shares
  */
 
 // ==================== CRUD Operations ====================
 
 /**
  * @route   POST /api/links
- * @desc    Create a new link for the user
+ * @desc    Create a new link for the user (deduplicated by finalUrl/canonicalUrl from the extractor;
+ *          a matching link in the trash is restored with its history instead)
  * @access  Private
- * @body    { url, linkType, title, description, images, metadata, tags, notes }
+ * @body    { url, originalUrl, finalUrl, canonicalUrl, linkType, title, description, images, metadata, richData, reading, tags, notes }
  */
 router.post('/', authenticate, linksController.createLink);
 
@@ -23,10 +24,54 @@ router.post('/', authenticate, linksController.createLink);
  * @route   GET /api/links
  * @desc    Get all links for a user with filtering and pagination
  * @access  Private
- * @query   { linkType, tags, search, page, limit, sortBy, sortOrder }
+ * @query   { linkType, tags, search, collectionId, includeNested, archived, page, limit, sortBy, sortOrder }
+ *          archived: true for only archived links, all for both (default hides them)
  */
 router.get('/', authenticate, linksController.getUserLinks);
 
+/**
+ * @route   POST /api/links/bulk
+ * @desc    Apply one operation to many links and return the outcome per link
+ * @access  Private
+ * @body    { operation, linkIds | filter, tags, linkType, collectionId, fromCollectionId }
+ *          operation: addTags, removeTags, setLinkType, archive, unarchive, delete, restore,
+ *          favorite, unfavorite or moveToCollection; filter takes the GET /api/links filters
+ */
+router.post('/bulk', authenticate, linksController.bulkUpdateLinks);
+
+// ==================== Trash ====================
+
+/**
+ * @route   GET /api/links/trash
+ * @desc    Get deleted links with the date each will be purged
+ * @access  Private
+ * @query   { page, limit }
+ */
+router.get('/trash', authenticate, linksController.getTrash);
+
+/**
+ * @route   DELETE /api/links/trash
+ * @desc    Permanently delete every link in the trash
+ * @access  Private
+ */
+router.delete('/trash', authenticate, linksController.emptyTrash);
+
+/**
+ * @route   POST /api/links/:id/restore
+ * @desc    Restore a link from the trash
+ * @access  Private
+ */
+router.post('/:id/restore', authenticate, linksController.restoreLink);
+
+/**
+ * @route   DELETE /api/links/:id/permanent
+ * @desc    Permanently delete a link in the trash (with its favorites, collection memberships and shares)
+ * @access  Private
+ */
+router.delete('/:id/permanent', authenticate, linksController.permanentlyDeleteLink);
+
+// ==================== Single Link ====================
+
 /**
  * @route   GET /api/links/:id
  * @desc    Get a single link by ID (user-specific)
@@ -38,13 +83,13 @@ router.get('/:id', authenticate, linksController.getLinkById);
  * @route   PUT /api/links/:id
  * @desc    Update a link (user-specific)
  * @access  Private
- * @body    { linkType, title, description, images, metadata, tags, notes }
+ * @body    { linkType, title, description, images, metadata, richData, reading, tags, notes }
  */
 router.put('/:id', authenticate, linksController.updateLink);
 
 /**
  * @route   DELETE /api/links/:id
- * @desc    Delete a link (soft delete, user-specific)
+ * @desc    Move a link to the trash (purged after TRASH_RETENTION_DAYS)
  * @access  Private
  */
 router.delete('/:id', authenticate, linksController.deleteLink);
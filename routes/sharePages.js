@@ -0,0 +1,27 @@
+const express = require('express');
+const router = express.Router();
+const sharesController = require('../controllers/sharesController');
+const { optionalAuth, shareAccessRateLimit } = require('../middleware/auth');
+
+/**
+ * Share Page Routes
+ * Base path: /s
+ * HTML pages with Open Graph tags so shared links preview in chat apps
+ */
+
+/**
+ * @route   GET /s/:slug
+ * @desc    Render a shared link or collection (or a password form)
+ * @access  Public
+ */
+router.get('/:slug', shareAccessRateLimit, optionalAuth, sharesController.renderSharePage);
+
+/**
+ * @route   POST /s/:slug
+ * @desc    Submit the password of a protected share
+ * @access  Public
+ * @body    { password } - Form encoded
+ */
+router.post('/:slug', shareAccessRateLimit, optionalAuth, sharesController.renderSharePage);
+
+module.exports = router;
@@ -0,0 +1,48 @@
+const express = require('express');
+const router = express.Router();
+const sharesController = require('../controllers/sharesController');
+const { authenticate, optionalAuth, shareAccessRateLimit } = require('../middleware/auth');
+
+/**
+ * Shares Routes
+ * Base path: /api/shares
+ * Managing shares requires authentication; viewing a share only needs its slug
+ */
+
+// ==================== Owner Operations ====================
+
+/**
+ * @route   POST /api/shares
+ * @desc    Share a link or collection through an unguessable slug
+ * @access  Private
+ * @body    { resourceType, resourceId, expiresAt | expiresIn, password }
+ */
+router.post('/', authenticate, sharesController.createShare);
+
+/**
+ * @route   GET /api/shares
+ * @desc    Get the user's shares with their view counts
+ * @access  Private
+ * @query   { resourceType, resourceId, includeRevoked }
+ */
+router.get('/', authenticate, sharesController.getShares);
+
+/**
+ * @route   DELETE /api/shares/:id
+ * @desc    Revoke a share
+ * @access  Private
+ */
+router.delete('/:id', authenticate, sharesController.revokeShare);
+
+// ==================== Public Access ====================
+
+/**
+ * @route   GET|POST /api/shares/public/:slug
+ * @desc    Get a shared link or collection (read-only; owners skip the password and aren't counted)
+ * @access  Public
+ * @body    { password } - Or the X-Share-Password header, for password-protected shares
+ */
+router.get('/public/:slug', shareAccessRateLimit, optionalAuth, sharesController.getPublicShare);
+router.post('/public/:slug', shareAccessRateLimit, optionalAuth, sharesController.getPublicShare);
+
+module.exports = router;
@@ -34,6 +34,9 @@ function resolveHost(requested) {
 
 const HOST = resolveHost(process.env.HOST);
 const { connectDB } = require('./config/database');
+const { startExtractionWorker } = require('./utils/extractionWorker');
+const { startTrashPurge } = require('./utils/trashPurge');
+const { startThumbnailCacheSweep } = require('./utils/imageProxy');
 require('./config/passport'); // Initialize passport strategies
 
 // Import middleware
@@ -50,6 +53,12 @@ const geminiRoutes = require('./routes/gemini');
 const linksRoutes = require('./routes/links');
 const favsRoutes = require('./routes/favs');
 const searchRoutes = require('./routes/search');
+const classifierRoutes = require('./routes/classifier');
+const fetchProfileRoutes = require('./routes/fetchProfiles');
+const imageRoutes = require('./routes/images');
+const collectionRoutes = require('./routes/collections');
+const shareRoutes = require('./routes/shares');
+const sharePageRoutes = require('./routes/sharePages');
 
 // Import Swagger configuration
 const { specs, swaggerUi, swaggerOptions } = require('./config/swagger');
@@ -97,6 +106,12 @@ app.use('/api/gemini', geminiRoutes);
 app.use('/api/links', linksRoutes);
 app.use('/api/favs', favsRoutes);
 app.use('/api/search', searchRoutes);
+app.use('/api/classifier', classifierRoutes);
+app.use('/api/fetch-profiles', fetchProfileRoutes);
+app.use('/api/images', imageRoutes);
+app.use('/api/collections', collectionRoutes);
+app.use('/api/shares', shareRoutes);
+app.use('/s', sharePageRoutes);
 
 // Error handling middleware (must be last)
 app.use(errorHandler);
@@ -107,6 +122,15 @@ const startServer = async () => {
   try {
     // Connect to MongoDB
     await connectDB();
+
+    // Process queued extraction jobs
+    startExtractionWorker();
+
+    // Permanently delete links that have been in the trash too long
+    startTrashPurge();
+
+    // Keep the thumbnail cache within its age and size limits
+    startThumbnailCacheSweep();
     
     // Start server
     app.listen(PORT, HOST, () => {
@@ -0,0 +1,177 @@
+const iconv = require('iconv-lite');
+const chardet = require('chardet');
+
+/**
+ * Character encoding detection for fetched pages
+ * Follows the order browsers use: byte order mark, Content-Type charset,
+ * <meta charset> / <meta http-equiv> / XML declaration in the first bytes,
+ * then a statistical guess for pages that declare nothing.
+ */
+
+// Bytes scanned for an in-document declaration (browsers use 1024; many pages put it later)
+const PRESCAN_BYTES = 4096;
+
+// Bytes handed to the statistical detector
+const SNIFF_BYTES = 64 * 1024;
+
+const DEFAULT_CHARSET = 'windows-1252';
+
+// Labels that decode differently (or better) under another name, per the WHATWG Encoding Standard
+const CHARSET_ALIASES = {
+  'utf8': 'utf-8',
+  'unicode-1-1-utf-8': 'utf-8',
+  'us-ascii': 'windows-1252',
+  'ascii': 'windows-1252',
+  'iso-8859-1': 'windows-1252',
+  'iso8859-1': 'windows-1252',
+  'latin1': 'windows-1252',
+  'l1': 'windows-1252',
+  'gb2312': 'gb18030',
+  'gbk': 'gb18030',
+  'x-gbk': 'gb18030',
+  'cp936': 'gb18030',
+  'shift-jis': 'shift_jis',
+  'sjis': 'shift_jis',
+  'x-sjis': 'shift_jis',
+  'ms_kanji': 'shift_jis',
+  'windows-31j': 'shift_jis',
+  'cp932': 'shift_jis',
+  'x-euc-jp': 'euc-jp',
+  'ks_c_5601-1987': 'euc-kr',
+  'cp949': 'euc-kr',
+  'big5-hkscs': 'big5',
+  'x-mac-roman': 'macintosh'
+};
+
+const BOMS = [
+  { bytes: [0xEF, 0xBB, 0xBF], charset: 'utf-8' },
+  { bytes: [0xFE, 0xFF], charset: 'utf-16be' },
+  { bytes: [0xFF, 0xFE], charset: 'utf-16le' }
+];
+
+/**
+ * Normalize a charset label to a name iconv-lite can decode
+ * @param {string} label - e.g. "Shift-JIS", "ISO-8859-1", "utf8"
+ * @returns {string|null} Canonical lowercase name, or null when unsupported
+ */
+const normalizeCharset = (label) => {
+  if (!label || typeof label !== 'string') return null;
+  const name = label.trim().replace(/^["']|["']$/g, '').toLowerCase();
+  const charset = CHARSET_ALIASES[name] || name;
+  return iconv.encodingExists(charset) ? charset : null;
+};
+
+/**
+ * Read the charset parameter of a Content-Type header
+ * @param {string} contentType
+ * @returns {string|null}
+ */
+const charsetFromContentType = (contentType) => {
+  const match = /;\s*charset\s*=\s*("?)([^";\s]+)\1/i.exec(contentType || '');
+  return match ? normalizeCharset(match[2]) : null;
+};
+
+/**
+ * Find a byte order mark
+ * @param {Buffer} buffer
+ * @returns {{charset: string, length: number}|null}
+ */
+const detectBom = (buffer) => {
+  for (const { bytes, charset } of BOMS) {
+    if (buffer.length >= bytes.length && bytes.every((byte, i) => buffer[i] === byte)) {
+      return { charset, length: bytes.length };
+    }
+  }
+  return null;
+};
+
+/**
+ * Find a charset declared inside the document
+ * @param {Buffer} buffer
+ * @returns {string|null}
+ */
+const charsetFromDocument = (buffer) => {
+  // Declarations are ASCII in every encoding we care about
+  const head = buffer.toString('latin1', 0, Math.min(buffer.length, PRESCAN_BYTES));
+  const match = /<meta[^>]+charset\s*=\s*["']?\s*([\w.:-]+)/i.exec(head) ||
+    /<\?xml[^>]+encoding\s*=\s*["']([\w.:-]+)["']/i.exec(head);
+  const charset = match ? normalizeCharset(match[1]) : null;
+  // A page read as ASCII can't really be UTF-16; browsers treat the claim as UTF-8
+  return charset && charset.startsWith('utf-16') ? 'utf-8' : charset;
+};
+
+/**
+ * Check whether bytes are valid UTF-8 (a cut-off sequence at the end is allowed)
+ * @param {Buffer} buffer
+ * @returns {boolean}
+ */
+const isValidUtf8 = (buffer) => {
+  const sample = buffer.subarray(0, SNIFF_BYTES);
+  // Drop a trailing partial sequence left by truncation
+  let end = sample.length;
+  for (let i = Math.max(0, end - 3); i < end; i++) {
+    const byte = sample[i];
+    const needed = byte >= 0xF0 ? 4 : byte >= 0xE0 ? 3 : byte >= 0xC0 ? 2 : 1;
+    if (needed > 1 && i + needed > end) {
+      end = i;
+      break;
+    }
+  }
+  const text = sample.subarray(0, end).toString('utf8');
+  return !text.includes('\uFFFD') || sample.includes(Buffer.from('\uFFFD'));
+};
+
+/**
+ * Guess the charset of undeclared bytes
+ * @param {Buffer} buffer
+ * @returns {{charset: string, confidence: number}|null}
+ */
+const sniffCharset = (buffer) => {
+  if (isValidUtf8(buffer)) return { charset: 'utf-8', confidence: 1 };
+
+  const guesses = chardet.analyse(buffer.subarray(0, SNIFF_BYTES));
+  for (const guess of guesses) {
+    const charset = normalizeCharset(guess.name);
+    if (charset && charset !== 'utf-8') {
+      return { charset, confidence: Math.round(guess.confidence) / 100 };
+    }
+  }
+  return null;
+};
+
+/**
+ * Work out the character encoding of a response body
+ * @param {Buffer} buffer - Raw body
+ * @param {string} contentType - Content-Type header value (may carry a charset)
+ * @returns {{charset: string, source: string, confidence?: number}} source: bom, header, meta, sniff or default
+ */
+const detectCharset = (buffer, contentType = '') => {
+  const bom = detectBom(buffer);
+  if (bom) return { charset: bom.charset, source: 'bom' };
+
+  const declared = charsetFromContentType(contentType);
+  if (declared) return { charset: declared, source: 'header' };
+
+  const inDocument = charsetFromDocument(buffer);
+  if (inDocument) return { charset: inDocument, source: 'meta' };
+
+  const sniffed = sniffCharset(buffer);
+  if (sniffed) return { ...sniffed, source: 'sniff' };
+
+  return { charset: DEFAULT_CHARSET, source: 'default' };
+};
+
+/**
+ * Decode a body to a string
+ * @param {Buffer} buffer - Raw body
+ * @param {string} charset - Charset from detectCharset
+ * @returns {string}
+ */
+const decodeText = (buffer, charset) => iconv.decode(buffer, normalizeCharset(charset) || 'utf-8', { stripBOM: true });
+
+module.exports = {
+  normalizeCharset,
+  charsetFromContentType,
+  detectCharset,
+  decodeText
+};
@@ -0,0 +1,180 @@
+const { CIRCUIT_FAILURE_THRESHOLD, CIRCUIT_OPEN_MS } = require('../config/constants');
+
+/**
+ * Per-host circuit breaker
+ * closed: requests flow, consecutive failures are counted.
+ * open: after CIRCUIT_FAILURE_THRESHOLD failures requests fail fast for CIRCUIT_OPEN_MS.
+ * half_open: one probe request is let through; success closes, failure re-opens.
+ * Only hosts with recent failures are tracked.
+ */
+
+// Failure kinds (see utils/retryPolicy.js) that say the host itself is in trouble
+const FAILURE_KINDS = ['network', 'timeout', 'dns', 'server_error', 'rate_limited'];
+
+// Kinds that say the host answered normally
+const SUCCESS_KINDS = ['success', 'client_error'];
+
+class CircuitOpenError extends Error {
+  /**
+   * @param {string} host - Host whose circuit is open
+   * @param {number} retryAfter - Milliseconds until a probe request is allowed
+   */
+  constructor(host, retryAfter) {
+    super(`Circuit open for ${host}`);
+    this.name = 'CircuitOpenError';
+    this.code = 'CIRCUIT_OPEN';
+    this.statusCode = 503;
+    this.host = host;
+    this.retryAfter = retryAfter;
+  }
+}
+
+class CircuitBreaker {
+  /**
+   * @param {string} host
+   * @param {object} options - { failureThreshold, openMs }
+   */
+  constructor(host, { failureThreshold = CIRCUIT_FAILURE_THRESHOLD, openMs = CIRCUIT_OPEN_MS } = {}) {
+    this.host = host;
+    this.failureThreshold = failureThreshold;
+    this.openMs = openMs;
+    this.state = 'closed';
+    this.failures = 0;
+    this.openedAt = null;
+    this.probeInFlight = false;
+    this.lastFailure = null;
+  }
+
+  /**
+   * Check whether a request may go out, moving open -> half_open when the wait is over
+   * @returns {boolean}
+   */
+  tryAcquire() {
+    if (this.state === 'open' && Date.now() - this.openedAt >= this.openMs) {
+      this.state = 'half_open';
+      this.probeInFlight = false;
+    }
+    if (this.state === 'closed') return true;
+    if (this.state === 'half_open' && !this.probeInFlight) {
+      this.probeInFlight = true;
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Milliseconds until the circuit lets a probe through
+   * @returns {number}
+   */
+  retryAfter() {
+    if (this.state !== 'open') return 0;
+    return Math.max(0, this.openMs - (Date.now() - this.openedAt));
+  }
+
+  recordSuccess() {
+    this.state = 'closed';
+    this.failures = 0;
+    this.openedAt = null;
+    this.probeInFlight = false;
+  }
+
+  /**
+   * @param {string} kind - Failure kind
+   */
+  recordFailure(kind) {
+    this.failures++;
+    this.lastFailure = { kind, at: new Date().toISOString() };
+    this.probeInFlight = false;
+    if (this.state === 'half_open' || this.failures >= this.failureThreshold) {
+      if (this.state !== 'open') console.log(`🔌 Circuit opened for ${this.host} after ${this.failures} failures`);
+      this.state = 'open';
+      this.openedAt = Date.now();
+    }
+  }
+
+  /**
+   * Outcome says nothing about the host (blocked URL, throttled...); free the probe slot
+   */
+  release() {
+    this.probeInFlight = false;
+  }
+
+  toJSON() {
+    return {
+      host: this.host,
+      state: this.state,
+      failures: this.failures,
+      openedAt: this.openedAt ? new Date(this.openedAt).toISOString() : null,
+      retryAfter: this.retryAfter(),
+      lastFailure: this.lastFailure
+    };
+  }
+}
+
+const breakers = new Map();
+
+/**
+ * Let a request to a host through, or fail fast while its circuit is open
+ * @param {string} host
+ * @throws {CircuitOpenError}
+ */
+const assertCircuitClosed = (host) => {
+  const breaker = breakers.get(host);
+  if (breaker && !breaker.tryAcquire()) {
+    throw new CircuitOpenError(host, breaker.retryAfter());
+  }
+};
+
+/**
+ * Record the outcome of a request to a host
+ * @param {string} host
+ * @param {string} kind - Outcome kind from the retry policy
+ */
+const recordOutcome = (host, kind) => {
+  const breaker = breakers.get(host);
+
+  if (FAILURE_KINDS.includes(kind)) {
+    if (breaker) {
+      breaker.recordFailure(kind);
+    } else {
+      const created = new CircuitBreaker(host);
+      created.recordFailure(kind);
+      breakers.set(host, created);
+    }
+    return;
+  }
+
+  if (!breaker) return;
+  if (SUCCESS_KINDS.includes(kind)) {
+    // Healthy hosts don't need tracking
+    breaker.recordSuccess();
+    breakers.delete(host);
+  } else {
+    breaker.release();
+  }
+};
+
+/**
+ * Snapshot of every tracked host for health reporting
+ * @returns {{open: number, halfOpen: number, hosts: Array<object>}}
+ */
+const getCircuitStates = () => {
+  const hosts = [...breakers.values()].map(breaker => {
+    // Report half_open once the wait is over even if no request has probed yet
+    const state = breaker.state === 'open' && breaker.retryAfter() === 0 ? 'half_open' : breaker.state;
+    return { ...breaker.toJSON(), state };
+  });
+  return {
+    open: hosts.filter(h => h.state === 'open').length,
+    halfOpen: hosts.filter(h => h.state === 'half_open').length,
+    hosts
+  };
+};
+
+module.exports = {
+  CircuitBreaker,
+  CircuitOpenError,
+  assertCircuitClosed,
+  recordOutcome,
+  getCircuitStates
+};
@@ -0,0 +1,90 @@
+/**
+ * Field-level explanations for the extraction debug mode
+ * Every traced field records the candidate values that were considered, where
+ * each came from (og:title, <title>, JSON-LD, oEmbed...), which one won and why.
+ * Functions accept a null trace and do nothing, so extraction code can call
+ * them unconditionally.
+ */
+
+/**
+ * Trim a candidate value
+ * @param {any} value
+ * @returns {string|null}
+ */
+const cleanValue = (value) => (typeof value === 'string' ? value.replace(/\s+/g, ' ').trim() || null : value ?? null);
+
+/**
+ * Pick the first candidate with a value, in priority order
+ * @param {object|null} trace - Field traces, or null when not debugging
+ * @param {string} field - Field name
+ * @param {Array<{source: string, value: any}>} candidates - Highest priority first
+ * @returns {any} Winning value or null
+ */
+const pickFirst = (trace, field, candidates) => {
+  const present = candidates
+    .map(candidate => ({ ...candidate, value: cleanValue(candidate.value) }))
+    .filter(candidate => candidate.value !== null);
+  const winner = present[0] || null;
+
+  if (trace) {
+    trace[field] = {
+      value: winner ? winner.value : null,
+      source: winner ? winner.source : null,
+      reason: winner
+        ? (present.length > 1 ? `first of ${present.length} candidates in priority order` : 'only candidate')
+        : 'no candidate found',
+      candidates: present
+    };
+  }
+
+  return winner ? winner.value : null;
+};
+
+/**
+ * Record a ranked choice (highest score wins)
+ * @param {object|null} trace
+ * @param {string} field
+ * @param {Array<{source: string, value: any, score: number}>} ranked - Best first
+ * @param {string} reason - Why the first one won
+ */
+const recordRanked = (trace, field, ranked, reason) => {
+  if (!trace) return;
+  const winner = ranked[0] || null;
+  trace[field] = {
+    value: winner ? winner.value : null,
+    source: winner ? winner.source : null,
+    reason: winner ? reason : 'no candidate found',
+    candidates: ranked
+  };
+};
+
+/**
+ * Record a later stage replacing a field's value (platform fallback, image checks...)
+ * @param {object|null} trace
+ * @param {string} field
+ * @param {any} value - New value
+ * @param {string} source - Where it came from
+ * @param {string} reason - Why it replaced the previous value
+ * @param {object} extra - Additional details to keep on the field
+ */
+const recordOverride = (trace, field, value, source, reason, extra = {}) => {
+  if (!trace) return;
+  const previous = trace[field] || { candidates: [] };
+  trace[field] = {
+    ...previous,
+    ...extra,
+    value,
+    source,
+    reason,
+    replaced: previous.value !== undefined ? { value: previous.value, source: previous.source } : null,
+    candidates: value === null || previous.candidates.some(candidate => candidate.value === value && candidate.source === source)
+      ? previous.candidates
+      : [...previous.candidates, { source, value }]
+  };
+};
+
+module.exports = {
+  pickFirst,
+  recordRanked,
+  recordOverride
+};
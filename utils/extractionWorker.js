@@ -0,0 +1,188 @@
+const os = require('os');
+const mongoose = require('mongoose');
+const ExtractionJob = require('../models/ExtractionJob');
+const lambdaController = require('../controllers/lambdaController');
+const { deliverWebhook } = require('./webhook');
+const { classifyError } = require('./retryPolicy');
+const {
+  JOB_CONCURRENCY,
+  JOB_POLL_INTERVAL,
+  JOB_LOCK_TIMEOUT,
+  JOB_MAX_RUNS
+} = require('../config/constants');
+
+/**
+ * Extraction job worker
+ * Polls the ExtractionJob collection, runs the regular extraction pipeline for
+ * each claimed job and delivers the optional webhook. Jobs are claimed with an
+ * atomic update, so several server processes can share the queue; a job whose
+ * worker died is picked up again once its lock is older than JOB_LOCK_TIMEOUT.
+ */
+
+const WORKER_ID = `${os.hostname()}:${process.pid}`;
+
+let stopped = true;
+let polling = false;
+let timer = null;
+let running = 0;
+
+/**
+ * Atomically claim the oldest runnable job
+ * @returns {Promise<object|null>} Claimed job document
+ */
+const claimNextJob = () => {
+  const now = new Date();
+  return ExtractionJob.findOneAndUpdate(
+    {
+      $or: [
+        { status: 'queued' },
+        { status: 'running', lockedAt: { $lt: new Date(now.getTime() - JOB_LOCK_TIMEOUT) } }
+      ]
+    },
+    {
+      $set: { status: 'running', lockedAt: now, lockedBy: WORKER_ID, startedAt: now },
+      $inc: { runCount: 1 }
+    },
+    { sort: { createdAt: 1 }, new: true }
+  );
+};
+
+/**
+ * Send the completion webhook for a finished job and record the delivery
+ * @param {object} job - Finished job document
+ */
+const notifyCallback = async (job) => {
+  if (!job.callbackUrl) return;
+
+  const event = job.status === 'completed' ? 'job.completed' : 'job.failed';
+  const delivery = await deliverWebhook(job.callbackUrl, event, job.toPublicJSON());
+  console.log(`${delivery.delivered ? '📬' : '📭'} Webhook for job ${job.jobId}: ${delivery.delivered ? 'delivered' : delivery.error}`);
+
+  job.callback = {
+    status: delivery.delivered ? 'delivered' : 'failed',
+    attempts: delivery.attempts,
+    lastStatus: delivery.status,
+    lastError: delivery.error,
+    deliveredAt: delivery.delivered ? new Date() : undefined
+  };
+  await job.save();
+};
+
+/**
+ * Run one claimed job through the extraction pipeline
+ * @param {object} job - Claimed job document
+ */
+const runJob = async (job) => {
+  console.log(`\n🧵 Running extraction job ${job.jobId} (run ${job.runCount}) for: ${job.url}`);
+
+  try {
+    if (job.runCount > JOB_MAX_RUNS) {
+      throw Object.assign(new Error('Job was interrupted too many times'), { code: 'JOB_ABANDONED' });
+    }
+
+    const { result, data, cache } = await lambdaController.extractUrl(job.url, 'GET', {}, null, {
+      fresh: job.options?.fresh
+    });
+
+    job.status = 'completed';
+    job.result = {
+      success: result.status >= 200 && result.status < 300,
+      data,
+      cache,
+      attempt: result.attempt,
+      attempts: result.attempts || []
+    };
+  } catch (error) {
+    console.error(`❌ Extraction job ${job.jobId} failed:`, error.message);
+    job.status = 'failed';
+    job.error = {
+      code: error.code || 'REQUEST_FAILED',
+      kind: classifyError(error).kind,
+      message: error.message
+    };
+    job.result = error.attempts ? { attempts: error.attempts } : null;
+  }
+
+  job.completedAt = new Date();
+  job.lockedAt = undefined;
+  job.lockedBy = undefined;
+  await job.save();
+
+  await notifyCallback(job);
+};
+
+/**
+ * Schedule the next queue poll
+ * @param {number} delay - Milliseconds
+ */
+const schedule = (delay) => {
+  if (stopped || timer) return;
+  timer = setTimeout(poll, delay);
+};
+
+/**
+ * Claim jobs until the worker is busy or the queue is empty
+ */
+const poll = async () => {
+  timer = null;
+  if (stopped || polling) return;
+  polling = true;
+
+  try {
+    if (mongoose.connection.readyState === 1) {
+      while (!stopped && running < JOB_CONCURRENCY) {
+        const job = await claimNextJob();
+        if (!job) break;
+
+        running++;
+        runJob(job)
+          .catch(error => console.error('❌ Extraction worker error:', error.message))
+          .finally(() => {
+            running--;
+            // A slot freed up; look for more work right away
+            schedule(0);
+          });
+      }
+    }
+  } catch (error) {
+    console.error('❌ Extraction queue poll failed:', error.message);
+  } finally {
+    polling = false;
+    schedule(JOB_POLL_INTERVAL);
+  }
+};
+
+/**
+ * Start polling the job queue
+ */
+const startExtractionWorker = () => {
+  if (!stopped) return;
+  stopped = false;
+  console.log(`🧵 Extraction worker started (${WORKER_ID}, concurrency ${JOB_CONCURRENCY})`);
+  schedule(0);
+};
+
+/**
+ * Stop claiming new jobs (running jobs finish on their own)
+ */
+const stopExtractionWorker = () => {
+  stopped = true;
+  clearTimeout(timer);
+  timer = null;
+};
+
+/**
+ * Poll immediately instead of waiting for the next interval (after a job is queued)
+ */
+const wakeExtractionWorker = () => {
+  if (stopped) return;
+  clearTimeout(timer);
+  timer = null;
+  schedule(0);
+};
+
+module.exports = {
+  startExtractionWorker,
+  stopExtractionWorker,
+  wakeExtractionWorker
+};
@@ -0,0 +1,107 @@
+const mongoose = require('mongoose');
+const FetchProfile = require('../models/FetchProfile');
+const fetchProfiles = require('../config/fetchProfiles');
+const { FETCH_PROFILES_TTL } = require('../config/constants');
+
+/**
+ * Per-domain fetch profiles
+ * Resolves the headers, timeout, retry count, backoff and retryable statuses
+ * for a URL: defaults <- config/fetchProfiles.js <- MongoDB overrides.
+ */
+
+let overridesCache = { profiles: [], loadedAt: 0 };
+
+/**
+ * Find the most specific entry whose domain matches a host (subdomains included)
+ * @param {string} host - Lowercased host without "www."
+ * @param {Array<object>} entries - Objects with a `domain` field
+ * @returns {object|null}
+ */
+const findBestMatch = (host, entries) => {
+  let best = null;
+  for (const entry of entries) {
+    if (host !== entry.domain && !host.endsWith(`.${entry.domain}`)) continue;
+    if (!best || entry.domain.length > best.domain.length) best = entry;
+  }
+  return best;
+};
+
+/**
+ * Load active admin overrides, cached for FETCH_PROFILES_TTL
+ * @returns {Promise<Array<object>>}
+ */
+const loadProfileOverrides = async () => {
+  if (Date.now() - overridesCache.loadedAt < FETCH_PROFILES_TTL) return overridesCache.profiles;
+  if (mongoose.connection.readyState !== 1) return overridesCache.profiles;
+
+  try {
+    const profiles = await FetchProfile.find({ isActive: true }).lean();
+    overridesCache = { profiles, loadedAt: Date.now() };
+  } catch (error) {
+    console.error('❌ Failed to load fetch profiles:', error.message);
+  }
+  return overridesCache.profiles;
+};
+
+/**
+ * Drop cached overrides so the next request reloads them
+ */
+const clearFetchProfileCache = () => {
+  overridesCache = { profiles: [], loadedAt: 0 };
+};
+
+/**
+ * Merge a partial profile over a base profile (unset fields are inherited)
+ * @param {object} base
+ * @param {object} override
+ * @returns {object}
+ */
+const mergeProfile = (base, override = {}) => {
+  const pick = (value, fallback) => (value === undefined || value === null ? fallback : value);
+  return {
+    ...base,
+    timeout: pick(override.timeout, base.timeout),
+    maxRetries: pick(override.maxRetries, base.maxRetries),
+    userAgent: pick(override.userAgent, base.userAgent),
+    retryableStatuses: override.retryableStatuses?.length ? [...override.retryableStatuses] : base.retryableStatuses,
+    backoff: {
+      baseDelay: pick(override.backoff?.baseDelay, base.backoff.baseDelay),
+      maxDelay: pick(override.backoff?.maxDelay, base.backoff.maxDelay)
+    },
+    headers: { ...base.headers, ...(override.headers || {}) }
+  };
+};
+
+/**
+ * Resolve the fetch profile for a URL
+ * @param {string} url - Target URL
+ * @returns {Promise<object>} { domain, sources, timeout, maxRetries, backoff, retryableStatuses, userAgent, headers }
+ */
+const resolveFetchProfile = async (url) => {
+  let profile = { ...mergeProfile(fetchProfiles.default), domain: null, sources: ['default'] };
+
+  let host;
+  try {
+    host = new URL(url).hostname.toLowerCase().replace(/^www\./, '');
+  } catch (error) {
+    return profile;
+  }
+
+  const configEntries = Object.entries(fetchProfiles.domains || {}).map(([domain, entry]) => ({ ...entry, domain }));
+  const fromConfig = findBestMatch(host, configEntries);
+  if (fromConfig) {
+    profile = { ...mergeProfile(profile, fromConfig), domain: fromConfig.domain, sources: [...profile.sources, 'config'] };
+  }
+
+  const fromDb = findBestMatch(host, await loadProfileOverrides());
+  if (fromDb) {
+    profile = { ...mergeProfile(profile, fromDb), domain: fromDb.domain, sources: [...profile.sources, 'override'] };
+  }
+
+  return profile;
+};
+
+module.exports = {
+  resolveFetchProfile,
+  clearFetchProfileCache
+};
@@ -0,0 +1,77 @@
+const http = require('http');
+const https = require('https');
+
+/**
+ * Per-request network timings for the extraction debug mode
+ * A one-off agent is created for the request so its socket can be watched:
+ * "lookup" marks the end of DNS, "connect" the TCP handshake, "secureConnect"
+ * the TLS handshake. Reused keep-alive sockets would report nothing, which is
+ * why timed requests never share an agent.
+ */
+
+/**
+ * Start timing one request
+ * @param {string} url - Requested URL
+ * @returns {{timer: object, httpAgent: http.Agent, httpsAgent: https.Agent}} Pass the agents to axios
+ */
+const startTimer = (url) => {
+  const timer = { url, start: process.hrtime.bigint(), marks: {} };
+
+  const watch = (agent) => {
+    const createConnection = agent.createConnection.bind(agent);
+    agent.createConnection = (options, callback) => {
+      const socket = createConnection(options, callback);
+      socket.once('lookup', () => mark(timer, 'lookup'));
+      socket.once('connect', () => mark(timer, 'connect'));
+      socket.once('secureConnect', () => mark(timer, 'secureConnect'));
+      return socket;
+    };
+    return agent;
+  };
+
+  return {
+    timer,
+    httpAgent: watch(new http.Agent({ keepAlive: false })),
+    httpsAgent: watch(new https.Agent({ keepAlive: false }))
+  };
+};
+
+/**
+ * Record the time of an event (first occurrence wins)
+ * @param {object} timer - From startTimer
+ * @param {string} name - lookup, connect, secureConnect, response or end
+ */
+const mark = (timer, name) => {
+  if (timer.marks[name] === undefined) timer.marks[name] = process.hrtime.bigint();
+};
+
+/**
+ * Summarize a finished timer in milliseconds
+ * Phases that didn't happen (IP literal hosts skip DNS, plain HTTP skips TLS) are null.
+ * @param {object} timer - From startTimer, after 'response' and 'end' marks
+ * @returns {{url: string, dnsMs: number|null, connectMs: number|null, tlsMs: number|null, ttfbMs: number|null, downloadMs: number|null, totalMs: number}}
+ */
+const summarizeTimer = (timer) => {
+  const { start, marks } = timer;
+  const ms = (from, to) => (from !== undefined && to !== undefined ? Number(to - from) / 1e6 : null);
+  const round = (value) => (value === null ? null : Math.round(value * 10) / 10);
+  // Each phase starts where the previous one that happened ended
+  const connectStart = marks.lookup ?? start;
+  const requestStart = marks.secureConnect ?? marks.connect ?? start;
+
+  return {
+    url: timer.url,
+    dnsMs: round(ms(start, marks.lookup)),
+    connectMs: round(ms(connectStart, marks.connect)),
+    tlsMs: round(ms(marks.connect, marks.secureConnect)),
+    ttfbMs: round(ms(requestStart, marks.response)),
+    downloadMs: round(ms(marks.response, marks.end)),
+    totalMs: round(ms(start, marks.end ?? marks.response ?? process.hrtime.bigint()))
+  };
+};
+
+module.exports = {
+  startTimer,
+  mark,
+  summarizeTimer
+};
@@ -0,0 +1,340 @@
+const path = require('path');
+const sharp = require('sharp');
+const exifReader = require('exif-reader');
+const { PDFDocument } = require('pdf-lib');
+const { parseBuffer } = require('music-metadata');
+
+/**
+ * Metadata for links that point at files instead of pages
+ * PDFs (document info, page count), images (dimensions, EXIF) and audio/video
+ * (duration and codecs from the container headers). Each extractor fills the
+ * same title/description/images fields as extractMetadata plus a fileInfo block.
+ */
+
+// Magic numbers for bodies served without a useful Content-Type
+const SIGNATURES = [
+  { mediaType: 'application/pdf', test: (b) => b.toString('latin1', 0, 5) === '%PDF-' },
+  { mediaType: 'image/png', test: (b) => b.readUInt32BE(0) === 0x89504E47 },
+  { mediaType: 'image/jpeg', test: (b) => b[0] === 0xFF && b[1] === 0xD8 && b[2] === 0xFF },
+  { mediaType: 'image/gif', test: (b) => b.toString('latin1', 0, 4) === 'GIF8' },
+  { mediaType: 'image/webp', test: (b) => b.toString('latin1', 0, 4) === 'RIFF' && b.toString('latin1', 8, 12) === 'WEBP' },
+  { mediaType: 'audio/wav', test: (b) => b.toString('latin1', 0, 4) === 'RIFF' && b.toString('latin1', 8, 12) === 'WAVE' },
+  { mediaType: 'audio/mpeg', test: (b) => b.toString('latin1', 0, 3) === 'ID3' || (b[0] === 0xFF && (b[1] & 0xE0) === 0xE0) },
+  { mediaType: 'audio/flac', test: (b) => b.toString('latin1', 0, 4) === 'fLaC' },
+  { mediaType: 'audio/ogg', test: (b) => b.toString('latin1', 0, 4) === 'OggS' },
+  { mediaType: 'video/webm', test: (b) => b.readUInt32BE(0) === 0x1A45DFA3 },
+  { mediaType: 'video/mp4', test: (b) => b.toString('latin1', 4, 8) === 'ftyp' }
+];
+
+/**
+ * Get the kind of file a media type describes
+ * @param {string} mediaType - Bare media type (no parameters)
+ * @returns {string|null} 'pdf', 'image', 'audio', 'video' or null for anything else
+ */
+const getFileKind = (mediaType) => {
+  if (!mediaType) return null;
+  if (mediaType === 'application/pdf' || mediaType === 'application/x-pdf') return 'pdf';
+  const [type] = mediaType.split('/');
+  return ['image', 'audio', 'video'].includes(type) ? type : null;
+};
+
+/**
+ * Recognize a supported file from its first bytes
+ * @param {Buffer} buffer - Leading bytes of the body
+ * @returns {string|null} Media type
+ */
+const sniffFileType = (buffer) => {
+  if (!buffer || buffer.length < 12) return null;
+  const match = SIGNATURES.find(({ test }) => test(buffer));
+  return match ? match.mediaType : null;
+};
+
+/**
+ * Work out a file name from Content-Disposition or the URL path
+ * @param {string} url - Final URL
+ * @param {object} headers - Response headers
+ * @returns {string|null}
+ */
+const getFileName = (url, headers = {}) => {
+  const disposition = headers['content-disposition'] || '';
+  const encoded = /filename\*\s*=\s*[\w-]+'[^']*'([^;]+)/i.exec(disposition);
+  const plain = /filename\s*=\s*("?)([^";]+)\1/i.exec(disposition);
+  try {
+    if (encoded) return decodeURIComponent(encoded[1].trim());
+    if (plain) return plain[2].trim();
+    const name = path.posix.basename(new URL(url).pathname);
+    return name ? decodeURIComponent(name) : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Turn a file name into a readable title ("annual_report-2023.pdf" -> "annual report 2023")
+ * @param {string} fileName
+ * @returns {string|null}
+ */
+const titleFromFileName = (fileName) => {
+  if (!fileName) return null;
+  const title = fileName.replace(/\.[a-z0-9]{1,5}$/i, '').replace(/[_-]+/g, ' ').replace(/\s+/g, ' ').trim();
+  return title || null;
+};
+
+/**
+ * Format seconds as h:mm:ss / m:ss
+ * @param {number} seconds
+ * @returns {string}
+ */
+const formatDuration = (seconds) => {
+  const total = Math.round(seconds);
+  const h = Math.floor(total / 3600);
+  const m = Math.floor((total % 3600) / 60);
+  const s = String(total % 60).padStart(2, '0');
+  return h ? `${h}:${String(m).padStart(2, '0')}:${s}` : `${m}:${s}`;
+};
+
+/**
+ * Decode a PDF string token: (literal) or <hex>, PDFDocEncoding or UTF-16BE
+ * @param {string} token - Raw token including delimiters (read as latin1)
+ * @returns {string|null}
+ */
+const decodePdfString = (token) => {
+  let bytes;
+  if (token.startsWith('<')) {
+    bytes = Buffer.from(token.slice(1, -1).replace(/\s+/g, ''), 'hex');
+  } else {
+    const escapes = { n: '\n', r: '\r', t: '\t', b: '\b', f: '\f', '(': '(', ')': ')', '\\': '\\' };
+    const text = token.slice(1, -1)
+      .replace(/\\([0-7]{1,3})/g, (_, octal) => String.fromCharCode(parseInt(octal, 8)))
+      .replace(/\\\r?\n/g, '')
+      .replace(/\\(.)/g, (_, c) => escapes[c] ?? c);
+    bytes = Buffer.from(text, 'latin1');
+  }
+  if (bytes[0] === 0xFE && bytes[1] === 0xFF) {
+    // UTF-16BE with BOM; swap to little endian for Node
+    const swapped = Buffer.from(bytes.subarray(2));
+    swapped.swap16();
+    return swapped.toString('utf16le').trim() || null;
+  }
+  return bytes.toString('latin1').trim() || null;
+};
+
+/**
+ * Parse a PDF date ("D:20230115103000+01'00'")
+ * @param {string} value
+ * @returns {Date|null}
+ */
+const parsePdfDate = (value) => {
+  const m = /D:(\d{4})(\d{2})?(\d{2})?(\d{2})?(\d{2})?(\d{2})?([Zz+-])?(\d{2})?'?(\d{2})?/.exec(value || '');
+  if (!m) return null;
+  const [, y, mo = '01', d = '01', h = '00', mi = '00', s = '00', sign, tzh = '00', tzm = '00'] = m;
+  const offset = sign && sign !== 'Z' && sign !== 'z' ? `${sign}${tzh}:${tzm}` : 'Z';
+  const date = new Date(`${y}-${mo}-${d}T${h}:${mi}:${s}${offset}`);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * Read the document info dictionary with regexes (for truncated or damaged files)
+ * @param {Buffer} buffer
+ * @returns {object}
+ */
+const scanPdfInfo = (buffer) => {
+  const raw = buffer.toString('latin1');
+  const read = (key) => {
+    const re = new RegExp(`/${key}\\s*(\\((?:\\\\.|[^\\\\)])*\\)|<[0-9A-Fa-f\\s]*>)`, 'g');
+    let value = null;
+    // The last occurrence belongs to the most recent incremental update
+    for (const match of raw.matchAll(re)) value = decodePdfString(match[1]);
+    return value;
+  };
+  const counts = [...raw.matchAll(/\/Type\s*\/Pages\b[^>]*?\/Count\s+(\d+)|\/Count\s+(\d+)[^>]*?\/Type\s*\/Pages\b/g)]
+    .map(m => parseInt(m[1] || m[2], 10));
+
+  return {
+    title: read('Title'),
+    author: read('Author'),
+    subject: read('Subject'),
+    keywords: read('Keywords'),
+    creator: read('Creator'),
+    producer: read('Producer'),
+    createdAt: parsePdfDate(read('CreationDate')),
+    modifiedAt: parsePdfDate(read('ModDate')),
+    // The page tree root holds the total; nested Pages nodes hold less
+    pageCount: counts.length ? Math.max(...counts) : null,
+    encrypted: /\/Encrypt\s/.test(raw)
+  };
+};
+
+/**
+ * Extract PDF document info and page count
+ * @param {Buffer} buffer - PDF bytes
+ * @param {boolean} complete - Whether the whole file was read
+ * @returns {Promise<object>}
+ */
+const extractPdfInfo = async (buffer, complete) => {
+  const version = (/^%PDF-(\d\.\d)/.exec(buffer.toString('latin1', 0, 16)) || [])[1] || null;
+
+  if (complete) {
+    try {
+      const doc = await PDFDocument.load(buffer, { ignoreEncryption: true, updateMetadata: false, throwOnInvalidObject: false });
+      // Strings in encrypted files are ciphertext; only the structure is readable
+      const info = doc.isEncrypted ? {} : {
+        title: doc.getTitle() || null,
+        author: doc.getAuthor() || null,
+        subject: doc.getSubject() || null,
+        keywords: doc.getKeywords() || null,
+        creator: doc.getCreator() || null,
+        producer: doc.getProducer() || null,
+        createdAt: doc.getCreationDate() || null,
+        modifiedAt: doc.getModificationDate() || null
+      };
+      return { version, ...info, pageCount: doc.getPageCount(), encrypted: doc.isEncrypted };
+    } catch (error) {
+      console.log('⚠️  PDF parse failed, scanning for document info:', error.message);
+    }
+  }
+
+  return { version, ...scanPdfInfo(buffer) };
+};
+
+/**
+ * Extract image dimensions and a safe subset of EXIF
+ * GPS coordinates are deliberately left out: they locate whoever took the photo.
+ * @param {Buffer} buffer - Image bytes (the header is enough)
+ * @returns {Promise<object>}
+ */
+const extractImageInfo = async (buffer) => {
+  const meta = await sharp(buffer, { failOn: 'none' }).metadata();
+  // EXIF orientations 5-8 are rotated by 90°; report the displayed size
+  const rotated = meta.orientation >= 5;
+
+  let exif = null;
+  if (meta.exif) {
+    try {
+      const { Image = {}, Photo = {} } = exifReader(meta.exif);
+      exif = {
+        make: Image.Make || null,
+        model: Image.Model || null,
+        lens: Photo.LensModel || null,
+        software: Image.Software || null,
+        artist: Image.Artist || null,
+        copyright: Image.Copyright || null,
+        description: Image.ImageDescription?.trim() || null,
+        takenAt: Photo.DateTimeOriginal || Image.DateTime || null,
+        exposureTime: Photo.ExposureTime || null,
+        fNumber: Photo.FNumber || null,
+        iso: Photo.ISOSpeedRatings || null,
+        focalLength: Photo.FocalLength || null
+      };
+    } catch (error) {
+      console.log('⚠️  Unreadable EXIF block:', error.message);
+    }
+  }
+
+  return {
+    format: meta.format || null,
+    width: (rotated ? meta.height : meta.width) || null,
+    height: (rotated ? meta.width : meta.height) || null,
+    hasAlpha: !!meta.hasAlpha,
+    animated: (meta.pages || 1) > 1,
+    exif
+  };
+};
+
+/**
+ * Extract duration, codecs and tags from an audio/video container
+ * @param {Buffer} buffer - Leading bytes of the file
+ * @param {string} mediaType
+ * @param {number|null} size - Full file size, lets constant-bitrate durations be estimated
+ * @returns {Promise<object>}
+ */
+const extractMediaInfo = async (buffer, mediaType, size) => {
+  const { format, common } = await parseBuffer(buffer, { mimeType: mediaType, size: size || undefined }, {
+    duration: false,
+    skipCovers: true,
+    skipPostHeaders: true
+  });
+  const video = (format.trackInfo || []).find(track => track.video)?.video;
+
+  return {
+    container: format.container || null,
+    codec: format.codec || null,
+    durationSeconds: format.duration ? Math.round(format.duration * 10) / 10 : null,
+    bitrate: format.bitrate ? Math.round(format.bitrate) : null,
+    sampleRate: format.sampleRate || null,
+    channels: format.numberOfChannels || null,
+    width: video?.pixelWidth || null,
+    height: video?.pixelHeight || null,
+    tags: {
+      title: common.title || null,
+      artist: common.artist || null,
+      album: common.album || null,
+      year: common.year || null
+    }
+  };
+};
+
+/**
+ * Build link metadata for a file response
+ * @param {object} file - { buffer, mediaType, url, headers, complete }
+ * @returns {Promise<object>} { title, description, images, imageCandidates, fileInfo } shaped like extractMetadata
+ */
+const extractFileMetadata = async ({ buffer, mediaType, url, headers = {}, complete = true }) => {
+  const kind = getFileKind(mediaType);
+  const size = parseInt(headers['content-length'], 10) || (complete ? buffer.length : null);
+  const fileName = getFileName(url, headers);
+
+  const metadata = {
+    images: { logo: null, ogImage: null, favicon: null, appleTouchIcon: null },
+    imageCandidates: [],
+    title: null,
+    description: null,
+    canonicalUrl: null,
+    fileInfo: { kind, mediaType, fileName, size, complete }
+  };
+
+  try {
+    if (kind === 'pdf') {
+      const pdf = await extractPdfInfo(buffer, complete);
+      Object.assign(metadata.fileInfo, pdf);
+      metadata.title = pdf.title || titleFromFileName(fileName);
+      metadata.description = pdf.subject ||
+        ['PDF document', pdf.pageCount ? `${pdf.pageCount} page${pdf.pageCount === 1 ? '' : 's'}` : null, pdf.author ? `by ${pdf.author}` : null]
+          .filter(Boolean).join(', ');
+    } else if (kind === 'image') {
+      const image = await extractImageInfo(buffer);
+      Object.assign(metadata.fileInfo, image);
+      metadata.title = image.exif?.description || titleFromFileName(fileName);
+      metadata.description = [
+        `${(image.format || 'image').toUpperCase()} image`,
+        image.width && image.height ? `${image.width}×${image.height}` : null,
+        image.exif?.make || image.exif?.model ? [image.exif.make, image.exif.model].filter(Boolean).join(' ') : null
+      ].filter(Boolean).join(', ');
+      // The file is its own preview
+      metadata.images.ogImage = url;
+      metadata.imageCandidates = [{ url, source: 'file', width: image.width, height: image.height, score: 100 }];
+    } else if (kind === 'audio' || kind === 'video') {
+      const media = await extractMediaInfo(buffer, mediaType, size);
+      Object.assign(metadata.fileInfo, media);
+      const { title, artist, album } = media.tags;
+      metadata.title = title ? [artist, title].filter(Boolean).join(' – ') : titleFromFileName(fileName);
+      metadata.description = [
+        kind === 'audio' ? 'Audio' : 'Video',
+        media.durationSeconds ? formatDuration(media.durationSeconds) : null,
+        media.width && media.height ? `${media.width}×${media.height}` : null,
+        album
+      ].filter(Boolean).join(', ');
+    }
+  } catch (error) {
+    console.error(`Error extracting ${kind} metadata:`, error.message);
+    metadata.title = metadata.title || titleFromFileName(fileName);
+  }
+
+  return metadata;
+};
+
+module.exports = {
+  getFileKind,
+  sniffFileType,
+  extractFileMetadata
+};
@@ -1,6 +1,7 @@
-const { USER_AGENTS } = require('../config/constants');
+const { USER_AGENTS, MAX_IMAGE_CANDIDATES } = require('../config/constants');
 const cheerio = require('cheerio');
-const axios = require('axios');
+const { extractStructuredData, readSchemaTypes } = require('./structuredData');
+const { pickFirst, recordRanked } = require('./extractionTrace');
 
 /**
  * Sleep function for adding delays
@@ -73,25 +74,96 @@ const formatLambdaResponse = (statusCode, data, headers = {}, attempt = 1) => {
 };
 
 /**
- * Calculate exponential backoff delay
+ * Calculate exponential backoff delay with "equal jitter"
+ * Half of the exponential delay is fixed and half is random, so concurrent
+ * retries against the same host spread out instead of arriving together.
  * @param {number} attempt - Current attempt number (0-based)
+ * @param {object} options - { baseDelay, maxDelay } in milliseconds
  * @returns {number} Delay in milliseconds
  */
-const calculateBackoffDelay = (attempt) => {
-  const baseDelay = 1000; // 1 second
-  const maxDelay = 10000; // 10 seconds
+const calculateBackoffDelay = (attempt, { baseDelay = 1000, maxDelay = 10000 } = {}) => {
   const delay = Math.min(baseDelay * Math.pow(2, attempt), maxDelay);
-  return delay + Math.random() * 1000; // Add jitter
+  return Math.round(delay / 2 + Math.random() * (delay / 2));
+};
+
+/**
+ * Create a limiter that runs at most `concurrency` async tasks at a time
+ * @param {number} concurrency - Maximum number of tasks in flight
+ * @returns {function(Function): Promise} Function that schedules a task
+ */
+const createLimiter = (concurrency) => {
+  let active = 0;
+  const queue = [];
+
+  const next = () => {
+    if (active >= concurrency || queue.length === 0) return;
+    active++;
+    const { task, resolve, reject } = queue.shift();
+    Promise.resolve()
+      .then(task)
+      .then(resolve, reject)
+      .finally(() => {
+        active--;
+        next();
+      });
+  };
+
+  return (task) => new Promise((resolve, reject) => {
+    queue.push({ task, resolve, reject });
+    next();
+  });
+};
+
+/**
+ * Map items through an async worker with bounded concurrency.
+ * Items sharing a key (e.g. a host) run one at a time, spaced by `keyDelay`.
+ * @param {Array} items - Items to process
+ * @param {Function} worker - Async function called with (item, index)
+ * @param {object} options - { concurrency, keyOf, keyDelay }
+ * @returns {Promise<Array<{status: string, value?: any, reason?: any}>>} Settled results in input order
+ */
+const mapWithConcurrency = (items, worker, { concurrency = 5, keyOf = null, keyDelay = 0 } = {}) => {
+  const limit = createLimiter(concurrency);
+  const keyTails = new Map();
+
+  return Promise.allSettled(items.map((item, index) => {
+    const run = () => limit(() => worker(item, index));
+    const key = keyOf ? keyOf(item) : null;
+    if (key === null || key === undefined) return run();
+
+    // Chain onto the previous item with the same key; don't hold a slot while waiting
+    const previous = keyTails.get(key);
+    const current = previous
+      ? previous.catch(() => {}).then(() => sleep(keyDelay)).then(run)
+      : run();
+    keyTails.set(key, current);
+    return current;
+  }));
+};
+
+/**
+ * Get a lowercased host key for a URL, used for per-host bookkeeping
+ * @param {string} url - URL
+ * @returns {string|null} Hostname or null when the URL is invalid
+ */
+const getHostKey = (url) => {
+  try {
+    return new URL(url).hostname.toLowerCase();
+  } catch (error) {
+    return null;
+  }
 };
 
 /**
  * Extract logo and OG images from HTML content
  * @param {string} html - HTML content to parse
  * @param {string} baseUrl - Base URL for resolving relative URLs
+ * @param {object} options - { debug } adds a per-field trace of candidates and winners as `debug`
  * @returns {object} Object containing logo and OG image URLs
  */
-const extractMetadata = (html, baseUrl) => {
+const extractMetadata = (html, baseUrl, { debug = false } = {}) => {
   const $ = cheerio.load(html);
+  const trace = debug ? {} : null;
   const metadata = {
     images: {
       logo: null,
@@ -100,48 +172,76 @@ const extractMetadata = (html, baseUrl) => {
       appleTouchIcon: null
     },
     title: null,
-    description: null
+    description: null,
+    canonicalUrl: null,
+    ogType: null,
+    schemaTypes: [],
+    keywords: null,
+    richData: null,
+    imageCandidates: []
   };
 
   try {
     // Extract title
-    metadata.title = $('meta[property="og:title"]').attr('content') || 
-                    $('meta[name="og:title"]').attr('content') ||
-                    $('title').text() ||
-                    $('h1').first().text() ||
-                    null;
-
-    // Clean up title
-    if (metadata.title) {
-      metadata.title = metadata.title.trim();
-    }
+    metadata.title = pickFirst(trace, 'title', [
+      { source: 'og:title', value: $('meta[property="og:title"]').attr('content') },
+      { source: 'meta[name=og:title]', value: $('meta[name="og:title"]').attr('content') },
+      { source: '<title>', value: $('title').text() },
+      { source: '<h1>', value: $('h1').first().text() }
+    ]);
 
     // Extract description
-    metadata.description = $('meta[property="og:description"]').attr('content') || 
-                          $('meta[name="og:description"]').attr('content') ||
-                          $('meta[name="description"]').attr('content') ||
-                          $('meta[property="description"]').attr('content') ||
-                          null;
-
-    // Clean up description
-    if (metadata.description) {
-      metadata.description = metadata.description.trim();
-    }
+    metadata.description = pickFirst(trace, 'description', [
+      { source: 'og:description', value: $('meta[property="og:description"]').attr('content') },
+      { source: 'meta[name=og:description]', value: $('meta[name="og:description"]').attr('content') },
+      { source: 'meta[name=description]', value: $('meta[name="description"]').attr('content') },
+      { source: 'meta[property=description]', value: $('meta[property="description"]').attr('content') }
+    ]);
+
+    // Extract canonical URL (<link rel="canonical"> wins over og:url); only absolute http(s) URLs count
+    const toCanonical = (value) => {
+      const resolved = value ? resolveUrl(value.trim(), baseUrl) : null;
+      return resolved && /^https?:\/\//i.test(resolved) ? resolved : null;
+    };
+    metadata.canonicalUrl = pickFirst(trace, 'canonicalUrl', [
+      { source: 'link[rel=canonical]', value: toCanonical($('link[rel="canonical"]').attr('href')) },
+      { source: 'og:url', value: toCanonical($('meta[property="og:url"]').attr('content')) },
+      { source: 'meta[name=og:url]', value: toCanonical($('meta[name="og:url"]').attr('content')) }
+    ]);
+
+    // Extract schema.org / Open Graph structured data (price, author, dates...)
+    metadata.richData = extractStructuredData($);
+
+    // Classification hints
+    metadata.ogType = ($('meta[property="og:type"]').attr('content') ||
+                      $('meta[name="og:type"]').attr('content') ||
+                      '').trim().toLowerCase() || null;
+    metadata.schemaTypes = readSchemaTypes($);
+    metadata.keywords = ($('meta[name="keywords"]').attr('content') || '').trim() || null;
 
     const candidates = [];
     const seen = new Set();
     const pushCandidate = (u, source, w = 0, h = 0) => {
       if (!u) return;
       const abs = resolveUrl(u, baseUrl);
-      if (!abs) return;
-      if (seen.has(abs)) return;
+      if (!abs || abs.startsWith('data:')) return;
+      if (seen.has(abs)) {
+        // Keep the best declared size seen for the same image
+        const existing = candidates.find(c => c.url === abs);
+        if (existing && w > existing.w) Object.assign(existing, { w, h });
+        return;
+      }
       seen.add(abs);
       candidates.push({ url: abs, source, w, h });
     };
+    const toDimension = (value) => parseInt(value?.value ?? value, 10) || 0;
 
-    $('meta[property="og:image"], meta[property="og:image:url"], meta[property="og:image:secure_url"], meta[name="og:image"], meta[property="twitter:image"], meta[name="twitter:image"], meta[property="twitter:image:src"], meta[name="twitter:image:src"]').each((_, el) => {
+    // og:image:width/height describe the first og:image
+    const ogWidth = toDimension($('meta[property="og:image:width"]').attr('content'));
+    const ogHeight = toDimension($('meta[property="og:image:height"]').attr('content'));
+    $('meta[property="og:image"], meta[property="og:image:url"], meta[property="og:image:secure_url"], meta[name="og:image"], meta[property="twitter:image"], meta[name="twitter:image"], meta[property="twitter:image:src"], meta[name="twitter:image:src"]').each((i, el) => {
       const u = $(el).attr('content');
-      pushCandidate(u, 'meta');
+      pushCandidate(u, 'meta', i === 0 ? ogWidth : 0, i === 0 ? ogHeight : 0);
     });
 
     $('script[type="application/ld+json"]').each((_, el) => {
@@ -157,9 +257,9 @@ const extractMetadata = (html, baseUrl) => {
             else if (Array.isArray(val)) {
               for (const i of val) {
                 if (typeof i === 'string') pushCandidate(i, 'jsonld');
-                else if (i && i.url) pushCandidate(i.url, 'jsonld');
+                else if (i && i.url) pushCandidate(i.url, 'jsonld', toDimension(i.width), toDimension(i.height));
               }
-            } else if (val && val.url) pushCandidate(val.url, 'jsonld');
+            } else if (val && val.url) pushCandidate(val.url, 'jsonld', toDimension(val.width), toDimension(val.height));
           };
           tryPush(node.image);
           tryPush(node.thumbnailUrl);
@@ -199,7 +299,8 @@ const extractMetadata = (html, baseUrl) => {
       const attrs = ['src','data-src','data-original','data-zoom-image','data-hires','data-image','data-large_image','data-fullsize','data-old-hires'];
       for (const a of attrs) {
         const u = e.attr(a);
-        if (u) pushCandidate(u, 'img');
+        // width/height attributes describe the rendered src, not zoom variants
+        if (u) pushCandidate(u, 'img', a === 'src' ? toDimension(e.attr('width')) : 0, a === 'src' ? toDimension(e.attr('height')) : 0);
       }
       const dyn = e.attr('data-a-dynamic-image');
       if (dyn) {
@@ -250,6 +351,14 @@ const extractMetadata = (html, baseUrl) => {
       if (c.source === 'script') s += 30;
       if (c.w) s += Math.min(c.w, 1600) / 10;
       if (c.h) s += Math.min(c.h, 1600) / 10;
+      if (c.w && c.h) {
+        // Previews are ~1.91:1; banners, strips and skyscrapers crop badly
+        const ratio = c.w / c.h;
+        if (ratio > 3 || ratio < 0.5) s -= 60;
+        else if (ratio >= 1 && ratio <= 2) s += 20;
+      }
+      if (c.w && c.w < 50) s -= 100; // spacers and tracking pixels
+      if (/pixel|spacer|blank\.gif|1x1|beacon/.test(u)) s -= 100;
       if (u.includes('favicon') || u.includes('sprite')) s -= 80;
       if (u.includes('logo')) s -= 40;
       if (u.endsWith('.svg')) s -= 30;
@@ -260,9 +369,24 @@ const extractMetadata = (html, baseUrl) => {
       return s;
     };
 
-    if (!metadata.images.ogImage && candidates.length) {
+    if (candidates.length) {
       candidates.sort((a, b) => scoreCandidate(b) - scoreCandidate(a));
       metadata.images.ogImage = candidates[0].url;
+      recordRanked(trace, 'ogImage', candidates.slice(0, MAX_IMAGE_CANDIDATES).map(c => ({
+        source: c.source,
+        value: c.url,
+        score: Math.round(scoreCandidate(c)),
+        width: c.w || null,
+        height: c.h || null
+      })), 'highest markup score (source, declared size, aspect ratio, URL hints)');
+      // Ordered by markup alone; utils/imageCandidates.js checks them over the network
+      metadata.imageCandidates = candidates.slice(0, MAX_IMAGE_CANDIDATES).map(c => ({
+        url: c.url,
+        source: c.source,
+        width: c.w || null,
+        height: c.h || null,
+        score: Math.round(scoreCandidate(c))
+      }));
     }
 
     // Extract logo from common selectors
@@ -278,46 +402,52 @@ const extractMetadata = (html, baseUrl) => {
       '.site-logo img'
     ];
 
-    for (const selector of logoSelectors) {
-      const logoElement = $(selector).first();
-      if (logoElement.length && logoElement.attr('src')) {
-        metadata.images.logo = resolveUrl(logoElement.attr('src'), baseUrl);
-        break;
-      }
-    }
+    const resolveHref = (value) => (value ? resolveUrl(value, baseUrl) : null);
 
     // Extract favicon
-    const favicon = $('link[rel="icon"]').attr('href') || 
-                   $('link[rel="shortcut icon"]').attr('href') ||
-                   $('link[rel="apple-touch-icon"]').attr('href');
-    if (favicon) {
-      metadata.images.favicon = resolveUrl(favicon, baseUrl);
-    }
+    metadata.images.favicon = pickFirst(trace, 'favicon', [
+      { source: 'link[rel=icon]', value: resolveHref($('link[rel="icon"]').attr('href')) },
+      { source: 'link[rel="shortcut icon"]', value: resolveHref($('link[rel="shortcut icon"]').attr('href')) },
+      { source: 'link[rel=apple-touch-icon]', value: resolveHref($('link[rel="apple-touch-icon"]').attr('href')) }
+    ]);
 
     // Extract Apple touch icon
-    const appleTouchIcon = $('link[rel="apple-touch-icon"]').attr('href') ||
-                          $('link[rel="apple-touch-icon-precomposed"]').attr('href');
-    if (appleTouchIcon) {
-      metadata.images.appleTouchIcon = resolveUrl(appleTouchIcon, baseUrl);
-    }
-
-    // If no logo found, try to use OG image as fallback
-    if (!metadata.images.logo && metadata.images.ogImage) {
-      metadata.images.logo = metadata.images.ogImage;
-    }
-
-    // If still no logo, try favicon as last resort
-    if (!metadata.images.logo && metadata.images.favicon) {
-      metadata.images.logo = metadata.images.favicon;
-    }
+    metadata.images.appleTouchIcon = pickFirst(trace, 'appleTouchIcon', [
+      { source: 'link[rel=apple-touch-icon]', value: resolveHref($('link[rel="apple-touch-icon"]').attr('href')) },
+      { source: 'link[rel=apple-touch-icon-precomposed]', value: resolveHref($('link[rel="apple-touch-icon-precomposed"]').attr('href')) }
+    ]);
+
+    // Logo: first matching selector, else the OG image, else the favicon as last resort
+    metadata.images.logo = pickFirst(trace, 'logo', [
+      ...logoSelectors.map(selector => ({ source: selector, value: resolveHref($(selector).first().attr('src')) })),
+      { source: 'og:image fallback', value: metadata.images.ogImage },
+      { source: 'favicon fallback', value: metadata.images.favicon }
+    ]);
 
   } catch (error) {
     console.error('Error extracting metadata:', error.message);
   }
 
+  if (trace) metadata.debug = trace;
   return metadata;
 };
 
+/**
+ * Extract plain text from a response body
+ * @param {string|object} body - HTML/text string or parsed JSON
+ * @returns {string} Whitespace-collapsed text
+ */
+const extractTextContent = (body) => {
+  if (typeof body === 'string') {
+    const $ = cheerio.load(body);
+    return $('body').text().replace(/\s+/g, ' ').trim();
+  }
+  if (body && typeof body === 'object') {
+    return JSON.stringify(body);
+  }
+  return '';
+};
+
 // Keep the old function name for backward compatibility
 const extractImages = (html, baseUrl) => {
   const metadata = extractMetadata(html, baseUrl);
@@ -355,387 +485,25 @@ const resolveUrl = (url, baseUrl) => {
 
 /**
  * Check if response content is HTML
- * @param {object} response - Axios response object
+ * @param {object} response - Fetch result (uses the sniffed contentType when present)
  * @returns {boolean} True if content is HTML
  */
 const isHtmlContent = (response) => {
-  const contentType = response.headers['content-type'] || '';
+  const contentType = response.contentType || response.headers['content-type'] || '';
   return contentType.includes('text/html');
 };
 
-/**
- * Classify the type of link based on URL patterns and content analysis
- * @param {string} url - The URL to classify
- * @param {string} title - Page title (optional)
- * @param {string} description - Page description (optional)
- * @param {string} html - HTML content (optional)
- * @returns {string} Link type: social, product, news, video, portfolio, blog, education, forum, other
- */
-const classifyLinkType = (url, title = '', description = '', html = '') => {
-  if (!url) return 'other';
-  
-  const urlLower = url.toLowerCase();
-  const titleLower = title.toLowerCase();
-  const descriptionLower = description.toLowerCase();
-  const htmlLower = html.toLowerCase();
-  
-  // Social media platforms
-  const socialDomains = [
-    'facebook.com', 'twitter.com', 'x.com', 'instagram.com', 'linkedin.com',
-    'youtube.com', 'tiktok.com', 'snapchat.com', 'pinterest.com', 'reddit.com',
-    'discord.com', 'telegram.org', 'whatsapp.com', 'tumblr.com', 'flickr.com',
-    'vimeo.com', 'twitch.tv', 'clubhouse.com', 'mastodon.social'
-  ];
-  
-  // Video platforms
-  const videoDomains = [
-    'youtube.com', 'youtu.be', 'vimeo.com', 'dailymotion.com', 'twitch.tv',
-    'tiktok.com', 'vine.co', 'wistia.com', 'brightcove.com', 'jwplayer.com'
-  ];
-  
-  // News domains
-  const newsDomains = [
-    'cnn.com', 'bbc.com', 'reuters.com', 'ap.org', 'nytimes.com', 'wsj.com',
-    'guardian.com', 'washingtonpost.com', 'forbes.com', 'bloomberg.com',
-    'techcrunch.com', 'theverge.com', 'engadget.com', 'wired.com', 'ars-technica.com',
-    'news.com', 'newsweek.com', 'time.com', 'npr.org', 'abc.com', 'cbsnews.com'
-  ];
-  
-  // E-commerce/Product domains
-  const productDomains = [
-    'amazon.com', 'ebay.com', 'shopify.com', 'etsy.com', 'alibaba.com',
-    'walmart.com', 'target.com', 'bestbuy.com', 'apple.com/store', 'store.google.com',
-    'microsoft.com/store', 'nike.com', 'adidas.com', 'zalando.com', 'asos.com'
-  ];
-  
-  // Education domains
-  const educationDomains = [
-    'coursera.org', 'edx.org', 'udemy.com', 'khanacademy.org', 'mit.edu',
-    'harvard.edu', 'stanford.edu', 'berkeley.edu', 'udacity.com', 'pluralsight.com',
-    'lynda.com', 'skillshare.com', 'masterclass.com', 'codecademy.com'
-  ];
-  
-  // Forum domains
-  const forumDomains = [
-    'stackoverflow.com', 'stackexchange.com', 'quora.com', 'reddit.com',
-    'discourse.org', 'phpbb.com', 'vbulletin.com', 'xenforo.com', 'invision.com'
-  ];
-  
-  // Check domain-based classification
-  for (const domain of socialDomains) {
-    if (urlLower.includes(domain)) return 'social';
-  }
-  
-  for (const domain of videoDomains) {
-    if (urlLower.includes(domain)) return 'video';
-  }
-  
-  for (const domain of newsDomains) {
-    if (urlLower.includes(domain)) return 'news';
-  }
-  
-  for (const domain of productDomains) {
-    if (urlLower.includes(domain)) return 'product';
-  }
-  
-  for (const domain of educationDomains) {
-    if (urlLower.includes(domain)) return 'education';
-  }
-  
-  for (const domain of forumDomains) {
-    if (urlLower.includes(domain)) return 'forum';
-  }
-  
-  // URL pattern analysis
-  if (urlLower.includes('/shop') || urlLower.includes('/store') || urlLower.includes('/buy') || 
-      urlLower.includes('/product') || urlLower.includes('/cart') || urlLower.includes('/checkout')) {
-    return 'product';
-  }
-  
-  if (urlLower.includes('/blog') || urlLower.includes('/article') || urlLower.includes('/post')) {
-    return 'blog';
-  }
-  
-  if (urlLower.includes('/news') || urlLower.includes('/press') || urlLower.includes('/media')) {
-    return 'news';
-  }
-  
-  if (urlLower.includes('/video') || urlLower.includes('/watch') || urlLower.includes('/play')) {
-    return 'video';
-  }
-  
-  if (urlLower.includes('/portfolio') || urlLower.includes('/work') || urlLower.includes('/projects')) {
-    return 'portfolio';
-  }
-  
-  if (urlLower.includes('/course') || urlLower.includes('/learn') || urlLower.includes('/education') ||
-      urlLower.includes('/tutorial') || urlLower.includes('/training')) {
-    return 'education';
-  }
-  
-  if (urlLower.includes('/forum') || urlLower.includes('/discussion') || urlLower.includes('/community')) {
-    return 'forum';
-  }
-  
-  // Content-based analysis
-  const combinedContent = `${titleLower} ${descriptionLower}`;
-  
-  // Social indicators
-  if (combinedContent.includes('follow') || combinedContent.includes('connect') || 
-      combinedContent.includes('social') || combinedContent.includes('network') ||
-      combinedContent.includes('profile') || combinedContent.includes('posts')) {
-    return 'social';
-  }
-  
-  // Product indicators
-  if (combinedContent.includes('buy') || combinedContent.includes('price') || 
-      combinedContent.includes('shop') || combinedContent.includes('store') ||
-      combinedContent.includes('product') || combinedContent.includes('sale') ||
-      combinedContent.includes('discount') || combinedContent.includes('cart')) {
-    return 'product';
-  }
-  
-  // News indicators
-  if (combinedContent.includes('breaking') || combinedContent.includes('news') || 
-      combinedContent.includes('report') || combinedContent.includes('latest') ||
-      combinedContent.includes('update') || combinedContent.includes('headline')) {
-    return 'news';
-  }
-  
-  // Video indicators
-  if (combinedContent.includes('video') || combinedContent.includes('watch') || 
-      combinedContent.includes('play') || combinedContent.includes('stream') ||
-      combinedContent.includes('episode') || combinedContent.includes('movie')) {
-    return 'video';
-  }
-  
-  // Portfolio indicators
-  if (combinedContent.includes('portfolio') || combinedContent.includes('work') || 
-      combinedContent.includes('projects') || combinedContent.includes('showcase') ||
-      combinedContent.includes('gallery') || combinedContent.includes('design')) {
-    return 'portfolio';
-  }
-  
-  // Blog indicators
-  if (combinedContent.includes('blog') || combinedContent.includes('article') || 
-      combinedContent.includes('post') || combinedContent.includes('author') ||
-      combinedContent.includes('written') || combinedContent.includes('published')) {
-    return 'blog';
-  }
-  
-  // Education indicators
-  if (combinedContent.includes('course') || combinedContent.includes('learn') || 
-      combinedContent.includes('education') || combinedContent.includes('tutorial') ||
-      combinedContent.includes('training') || combinedContent.includes('lesson') ||
-      combinedContent.includes('study') || combinedContent.includes('university')) {
-    return 'education';
-  }
-  
-  // Forum indicators
-  if (combinedContent.includes('forum') || combinedContent.includes('discussion') || 
-      combinedContent.includes('community') || combinedContent.includes('question') ||
-      combinedContent.includes('answer') || combinedContent.includes('thread') ||
-      combinedContent.includes('reply') || combinedContent.includes('comment')) {
-    return 'forum';
-  }
-  
-  // HTML content analysis (if available)
-  if (html) {
-    if (htmlLower.includes('class="product"') || htmlLower.includes('add to cart') ||
-        htmlLower.includes('price') || htmlLower.includes('buy now')) {
-      return 'product';
-    }
-    
-    if (htmlLower.includes('video') || htmlLower.includes('<video') ||
-        htmlLower.includes('youtube') || htmlLower.includes('vimeo')) {
-      return 'video';
-    }
-    
-    if (htmlLower.includes('article') || htmlLower.includes('blog') ||
-        htmlLower.includes('post-content') || htmlLower.includes('entry-content')) {
-      return 'blog';
-    }
-  }
-  
-  return 'other';
-};
-
 module.exports = {
   sleep,
   getRandomUserAgent,
   generateHeaders,
   formatLambdaResponse,
   calculateBackoffDelay,
+  mapWithConcurrency,
+  getHostKey,
   extractImages,
   extractMetadata,
+  extractTextContent,
   resolveUrl,
-  isHtmlContent,
-  classifyLinkType,
-  fetchPlatformMetadata,
-  needsPlatformFallback,
-  mergeMetadata
+  isHtmlContent
 };
-
-/**
- * Detect if URL is a YouTube link
- * @param {string} url
- * @returns {boolean}
- */
-function isYouTubeUrl(url) {
-  if (!url) return false;
-  const u = url.toLowerCase();
-  return u.includes('youtube.com') || u.includes('youtu.be');
-}
-
-/**
- * Detect if URL is a Spotify link
- * @param {string} url
- * @returns {boolean}
- */
-function isSpotifyUrl(url) {
-  if (!url) return false;
-  const u = url.toLowerCase();
-  return u.includes('spotify.com');
-}
-
-/**
- * Fetch platform-specific metadata via official oEmbed endpoints
- * Supports YouTube and Spotify.
- * @param {string} url
- * @returns {Promise<{title:string|null, description:string|null, images:{logo:string|null, ogImage:string|null, favicon:string|null, appleTouchIcon:string|null}}|null>}
- */
-async function fetchPlatformMetadata(url) {
-  try {
-    // YouTube oEmbed
-    if (isYouTubeUrl(url)) {
-      const oembedUrl = `https://www.youtube.com/oembed?url=${encodeURIComponent(url)}&format=json`;
-      const { data } = await axios.get(oembedUrl, {
-        timeout: 8000,
-        headers: {
-          'Accept': 'application/json',
-          'User-Agent': getRandomUserAgent()
-        }
-      });
-      return {
-        title: data.title || null,
-        description: data.author_name ? `By ${data.author_name}` : null,
-        images: {
-          logo: null,
-          ogImage: data.thumbnail_url || null,
-          favicon: 'https://www.youtube.com/s/desktop/6f1c77b6/img/favicon_32x32.png',
-          appleTouchIcon: null
-        }
-      };
-    }
-
-    // Spotify oEmbed
-    if (isSpotifyUrl(url)) {
-      const oembedUrl = `https://open.spotify.com/oembed?url=${encodeURIComponent(url)}`;
-      const { data } = await axios.get(oembedUrl, {
-        timeout: 8000,
-        headers: {
-          'Accept': 'application/json',
-          'User-Agent': getRandomUserAgent()
-        }
-      });
-      return {
-        title: data.title || null,
-        description: data.author_name || null,
-        images: {
-          logo: null,
-          ogImage: data.thumbnail_url || null,
-          favicon: 'https://open.spotifycdn.com/cdn/images/favicon32.8bbb0783.png',
-          appleTouchIcon: null
-        }
-      };
-    }
-  } catch (err) {
-    console.log('Platform metadata fallback failed:', err.message);
-    return null;
-  }
-  return null;
-}
-
-/**
- * Check if scraped metadata is generic and should be replaced by oEmbed data
- * @param {string} url
- * @param {{title:string|null, description:string|null, images:object}} metadata
- * @returns {boolean}
- */
-function needsPlatformFallback(url, metadata) {
-  if (!metadata) return true;
-  const title = (metadata.title || '').toLowerCase();
-  const description = (metadata.description || '').toLowerCase();
-
-  if (isYouTubeUrl(url)) {
-    const isGenericTitle = title === '- youtube' || title === 'youtube';
-    const isGenericDesc = description.includes('enjoy the videos and music you love');
-    const missingImage = !metadata.images?.ogImage;
-    return isGenericTitle || isGenericDesc || missingImage;
-  }
-
-  if (isSpotifyUrl(url)) {
-    const isGenericTitle = title.includes('spotify') && title.includes('web player');
-    const missingImage = !metadata.images?.ogImage;
-    return isGenericTitle || missingImage;
-  }
-
-  return false;
-}
-
-/**
- * Merge base metadata with override from platform-specific sources.
- * Replaces generic or missing fields; preserves existing meaningful values.
- * @param {{title:string|null, description:string|null, images:object}} base
- * @param {{title:string|null, description:string|null, images:object}} override
- * @param {string} url
- * @returns {{title:string|null, description:string|null, images:object}}
- */
-function mergeMetadata(base, override, url = '') {
-  const result = {
-    title: base?.title || null,
-    description: base?.description || null,
-    images: {
-      logo: base?.images?.logo || null,
-      ogImage: base?.images?.ogImage || null,
-      favicon: base?.images?.favicon || null,
-      appleTouchIcon: base?.images?.appleTouchIcon || null
-    }
-  };
-
-  if (!override) return result;
-
-  // If platform is YouTube or Spotify and base title looks generic, override.
-  if (isYouTubeUrl(url)) {
-    const t = (result.title || '').toLowerCase();
-    const isGenericTitle = t === '- youtube' || t === 'youtube';
-    if (isGenericTitle || !result.title) {
-      result.title = override.title ?? result.title;
-    }
-    const d = (result.description || '').toLowerCase();
-    const isGenericDesc = d.includes('enjoy the videos and music you love');
-    if (isGenericDesc || !result.description) {
-      result.description = override.description ?? result.description;
-    }
-  }
-
-  if (isSpotifyUrl(url)) {
-    const t = (result.title || '').toLowerCase();
-    const isGenericTitle = t.includes('spotify') && t.includes('web player');
-    if (isGenericTitle || !result.title) {
-      result.title = override.title ?? result.title;
-    }
-    if (!result.description) {
-      result.description = override.description ?? result.description;
-    }
-  }
-
-  // Fill missing images
-  for (const key of ['ogImage', 'logo', 'favicon', 'appleTouchIcon']) {
-    if (!result.images[key] && override.images?.[key]) {
-      result.images[key] = override.images[key];
-    }
-  }
-
-  return result;
-}
\ No newline at end of file
@@ -0,0 +1,161 @@
+const axios = require('axios');
+const { assertUrlAllowed, guardedLookup, BlockedUrlError } = require('./urlGuard');
+const { getRandomUserAgent, mapWithConcurrency } = require('./helpers');
+const { getMediaType } = require('./responseBody');
+const {
+  MAX_REDIRECTS,
+  MAX_IMAGE_CANDIDATES,
+  IMAGE_CHECK_LIMIT,
+  IMAGE_CHECK_CONCURRENCY,
+  IMAGE_CHECK_TIMEOUT,
+  IMAGE_MIN_BYTES,
+  IMAGE_MAX_BYTES
+} = require('../config/constants');
+
+/**
+ * Preview image validation
+ * extractMetadata orders image candidates by what the markup says (source,
+ * declared size, aspect ratio). Here the best of them are HEAD-checked so
+ * broken links, HTML error pages and tracking pixels never become the preview.
+ */
+
+// Score adjustments applied on top of the markup score
+const VERIFIED_BONUS = 10;
+const OVERSIZED_PENALTY = 30; // the image proxy won't resize these
+const SVG_PENALTY = 30;
+
+// Base score of an image found by a platform adapter (same as og:image)
+const PLATFORM_SCORE = 100;
+
+/**
+ * HEAD an image URL, following redirects through the outbound guard
+ * Servers that refuse HEAD are asked for the first byte instead.
+ * @param {string} url
+ * @returns {Promise<{status: number, contentType: string, bytes: number|null, finalUrl: string}>}
+ */
+const probeImage = async (url) => {
+  let currentUrl = url;
+  let method = 'HEAD';
+
+  for (let hop = 0; hop <= MAX_REDIRECTS; hop++) {
+    await assertUrlAllowed(currentUrl);
+
+    const response = await axios.request({
+      url: currentUrl,
+      method,
+      headers: {
+        'User-Agent': getRandomUserAgent(),
+        Accept: 'image/avif,image/webp,image/*,*/*;q=0.8',
+        ...(method === 'GET' ? { Range: 'bytes=0-0' } : {})
+      },
+      timeout: IMAGE_CHECK_TIMEOUT,
+      maxRedirects: 0,
+      responseType: 'stream',
+      lookup: guardedLookup,
+      validateStatus: () => true
+    });
+    response.data?.destroy?.();
+
+    const location = response.headers.location;
+    if (response.status >= 300 && response.status < 400 && location) {
+      currentUrl = new URL(location, currentUrl).href;
+      continue;
+    }
+
+    if ((response.status === 405 || response.status === 501) && method === 'HEAD') {
+      method = 'GET';
+      hop--;
+      continue;
+    }
+
+    // A ranged GET reports the full size in Content-Range ("bytes 0-0/12345")
+    const range = /\/(\d+)$/.exec(response.headers['content-range'] || '');
+    const length = range ? range[1] : response.headers['content-length'];
+
+    return {
+      status: response.status,
+      contentType: getMediaType(response.headers['content-type']),
+      bytes: length !== undefined && length !== '' ? parseInt(length, 10) : null,
+      finalUrl: currentUrl
+    };
+  }
+
+  throw new Error('Too many redirects');
+};
+
+/**
+ * Check one candidate and adjust its score
+ * @param {object} candidate - { url, source, width, height, score }
+ * @returns {Promise<object>} Candidate with check results, or rejected with a reason
+ */
+const checkCandidate = async (candidate) => {
+  let probe;
+  try {
+    probe = await probeImage(candidate.url);
+  } catch (error) {
+    if (error instanceof BlockedUrlError || error.cause instanceof BlockedUrlError) {
+      return { ...candidate, checked: true, rejected: 'blocked' };
+    }
+    // Unreachable from here doesn't mean unreachable for the client
+    return { ...candidate, checked: false, error: error.code || error.message };
+  }
+
+  const result = { ...candidate, checked: true, contentType: probe.contentType || null, bytes: probe.bytes };
+
+  if (probe.status < 200 || probe.status >= 300) return { ...result, rejected: `status ${probe.status}` };
+  if (!probe.contentType.startsWith('image/')) return { ...result, rejected: `not an image (${probe.contentType || 'no content type'})` };
+  if (probe.bytes !== null && probe.bytes < IMAGE_MIN_BYTES) return { ...result, rejected: 'too small' };
+
+  let score = candidate.score + VERIFIED_BONUS;
+  if (probe.bytes !== null && probe.bytes > IMAGE_MAX_BYTES) score -= OVERSIZED_PENALTY;
+  if (probe.contentType === 'image/svg+xml' && !/\.svg($|\?)/i.test(candidate.url)) score -= SVG_PENALTY;
+
+  return { ...result, score };
+};
+
+/**
+ * Validate and rank image candidates
+ * @param {Array<object>} candidates - From extractMetadata (ordered by markup score)
+ * @param {string|null} ogImage - Current preview image (may come from a platform adapter)
+ * @returns {Promise<{ogImage: string|null, candidates: Array<object>, rejected: Array<object>}>}
+ */
+const rankImageCandidates = async (candidates = [], ogImage = null) => {
+  const pool = [...candidates];
+  if (ogImage && !pool.some(c => c.url === ogImage)) {
+    pool.unshift({ url: ogImage, source: 'platform', width: null, height: null, score: PLATFORM_SCORE });
+  }
+  if (!pool.length) return { ogImage, candidates: [], rejected: [] };
+
+  const toCheck = pool.slice(0, IMAGE_CHECK_LIMIT);
+  const settled = await mapWithConcurrency(toCheck, checkCandidate, { concurrency: IMAGE_CHECK_CONCURRENCY });
+  const checked = settled.map((outcome, i) => (outcome.status === 'fulfilled'
+    ? outcome.value
+    : { ...toCheck[i], checked: false, error: outcome.reason?.message }));
+
+  const rejected = checked.filter(c => c.rejected).map(c => ({ url: c.url, source: c.source, reason: c.rejected }));
+  const ranked = [
+    ...checked.filter(c => !c.rejected),
+    ...pool.slice(IMAGE_CHECK_LIMIT).map(c => ({ ...c, checked: false }))
+  ]
+    // Stable sort keeps markup order between equal scores; verified images win ties
+    .sort((a, b) => (b.score - a.score) || (b.checked - a.checked))
+    .slice(0, MAX_IMAGE_CANDIDATES)
+    .map(({ url, source, width, height, contentType, bytes, checked: verified, score }) => ({
+      url,
+      source,
+      width: width || null,
+      height: height || null,
+      contentType: contentType || null,
+      bytes: bytes ?? null,
+      checked: verified,
+      score
+    }));
+
+  console.log(`🖼️  Image candidates: ${toCheck.length} checked, ${rejected.length} rejected`);
+
+  return { ogImage: ranked[0]?.url || null, candidates: ranked, rejected };
+};
+
+module.exports = {
+  rankImageCandidates
+};
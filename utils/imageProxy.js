@@ -0,0 +1,377 @@
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+const axios = require('axios');
+const sharp = require('sharp');
+const { assertUrlAllowed, guardedLookup, BlockedUrlError } = require('./urlGuard');
+const { getRandomUserAgent } = require('./helpers');
+const { getMediaType } = require('./responseBody');
+const {
+  IMAGE_PROXY_SECRET,
+  IMAGE_CACHE_DIR,
+  IMAGE_CACHE_TTL,
+  IMAGE_CACHE_MAX_BYTES,
+  IMAGE_CACHE_SWEEP_INTERVAL,
+  IMAGE_MAX_BYTES,
+  IMAGE_MAX_PIXELS,
+  PUBLIC_BASE_URL,
+  THUMBNAIL_SIZES,
+  MAX_REDIRECTS,
+  REQUEST_TIMEOUT
+} = require('../config/constants');
+
+/**
+ * Image proxy and thumbnails
+ * Link preview images are served through /api/images/proxy instead of being
+ * hotlinked. Proxy URLs are HMAC-signed so the endpoint only fetches images we
+ * handed out, and every thumbnail is resized once and then served from disk.
+ * The disk cache is swept on a timer: thumbnails not served for IMAGE_CACHE_TTL
+ * are removed, then the least recently served ones until the cache fits in
+ * IMAGE_CACHE_MAX_BYTES.
+ */
+
+const PROXY_PATH = '/api/images/proxy';
+
+/**
+ * Key for image URL signatures
+ * Proxy URLs are public, so the JWT signing key is never used for them directly:
+ * without IMAGE_PROXY_SECRET a separate key is derived from JWT_SECRET with HKDF
+ * under its own label, and without either, proxied URLs are disabled.
+ * @returns {string|Buffer|null}
+ */
+const resolveProxySecret = () => {
+  if (IMAGE_PROXY_SECRET) return IMAGE_PROXY_SECRET;
+
+  if (process.env.JWT_SECRET) {
+    console.warn('⚠️  IMAGE_PROXY_SECRET is not set - deriving the image URL signing key from JWT_SECRET. Set a separate secret.');
+    return Buffer.from(crypto.hkdfSync('sha256', process.env.JWT_SECRET, '', 'linkextractor:image-proxy-url', 32));
+  }
+
+  console.warn('⚠️  IMAGE_PROXY_SECRET is not set - proxied image URLs are disabled');
+  return null;
+};
+
+const PROXY_SECRET = resolveProxySecret();
+
+// Which thumbnail each preview image uses
+const IMAGE_SIZES = {
+  ogImage: 'medium',
+  logo: 'small',
+  favicon: 'icon',
+  appleTouchIcon: 'icon'
+};
+
+// Thumbnails being generated, so concurrent requests share the work
+const inFlight = new Map();
+
+// Cache sweep state; cacheBytes is an estimate between sweeps
+let sweepTimer = null;
+let sweeping = null;
+let cacheBytes = 0;
+
+class ImageProxyError extends Error {
+  /**
+   * @param {string} message
+   * @param {string} code - Machine readable code
+   * @param {number} statusCode - HTTP status for the proxy response
+   */
+  constructor(message, code, statusCode = 502) {
+    super(message);
+    this.name = 'ImageProxyError';
+    this.code = code;
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * Sign an image URL and size
+ * @param {string} url - Original image URL
+ * @param {string} size - Thumbnail size name
+ * @returns {string} URL-safe base64 HMAC
+ */
+const signImageUrl = (url, size) =>
+  crypto.createHmac('sha256', PROXY_SECRET || '').update(`${size}:${url}`).digest('base64url');
+
+/**
+ * Check an image URL signature in constant time
+ * @param {string} url
+ * @param {string} size
+ * @param {string} signature
+ * @returns {boolean}
+ */
+const verifyImageSignature = (url, size, signature) => {
+  if (!PROXY_SECRET || typeof signature !== 'string') return false;
+  const expected = Buffer.from(signImageUrl(url, size));
+  const given = Buffer.from(signature);
+  return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+};
+
+/**
+ * Build the proxied URL of an image
+ * @param {string} url - Original image URL
+ * @param {string} size - Thumbnail size name
+ * @returns {string|null} Proxy URL, or null when the image can't be proxied
+ */
+const buildProxyUrl = (url, size = 'medium') => {
+  if (!url || !PROXY_SECRET || !THUMBNAIL_SIZES[size] || !/^https?:\/\//i.test(url)) return null;
+  const query = new URLSearchParams({ url, size, sig: signImageUrl(url, size) });
+  return `${PUBLIC_BASE_URL}${PROXY_PATH}?${query}`;
+};
+
+/**
+ * Build proxied URLs for a set of preview images
+ * @param {object} images - { logo, ogImage, favicon, appleTouchIcon }
+ * @returns {object} Same keys with proxy URLs (null where there is no image)
+ */
+const buildProxiedImages = (images = {}) => Object.fromEntries(
+  Object.entries(IMAGE_SIZES).map(([key, size]) => [key, buildProxyUrl(images?.[key], size)])
+);
+
+/**
+ * Download an image, following redirects through the outbound guard
+ * @param {string} url
+ * @returns {Promise<Buffer>}
+ */
+const downloadImage = async (url) => {
+  let currentUrl = url;
+
+  for (let hop = 0; hop <= MAX_REDIRECTS; hop++) {
+    await assertUrlAllowed(currentUrl);
+
+    let response;
+    try {
+      response = await axios.get(currentUrl, {
+        headers: { 'User-Agent': getRandomUserAgent(), Accept: 'image/avif,image/webp,image/*,*/*;q=0.8' },
+        timeout: REQUEST_TIMEOUT,
+        maxRedirects: 0,
+        responseType: 'stream',
+        lookup: guardedLookup,
+        validateStatus: () => true
+      });
+    } catch (error) {
+      if (error.cause instanceof BlockedUrlError) throw error.cause;
+      throw error;
+    }
+
+    const location = response.headers.location;
+    if (response.status >= 300 && response.status < 400 && location) {
+      response.data.destroy();
+      currentUrl = new URL(location, currentUrl).href;
+      continue;
+    }
+
+    if (response.status < 200 || response.status >= 300) {
+      response.data.destroy();
+      throw new ImageProxyError(`Image responded with ${response.status}`, 'IMAGE_UNAVAILABLE');
+    }
+
+    const mediaType = getMediaType(response.headers['content-type']);
+    if (!mediaType.startsWith('image/')) {
+      response.data.destroy();
+      throw new ImageProxyError(`Not an image (${mediaType || 'no content type'})`, 'NOT_AN_IMAGE', 415);
+    }
+
+    const declared = parseInt(response.headers['content-length'], 10);
+    if (declared > IMAGE_MAX_BYTES) {
+      response.data.destroy();
+      throw new ImageProxyError('Image is too large', 'IMAGE_TOO_LARGE', 413);
+    }
+
+    return new Promise((resolve, reject) => {
+      const chunks = [];
+      let bytes = 0;
+      const fail = (error) => {
+        clearTimeout(timer);
+        response.data.destroy();
+        reject(error);
+      };
+
+      // The axios timeout stops once headers arrive; bound the body read as well (slow or endless streams)
+      const timer = setTimeout(
+        () => fail(new ImageProxyError('Image download timed out', 'IMAGE_TIMEOUT', 504)),
+        REQUEST_TIMEOUT
+      );
+
+      response.data.on('data', (chunk) => {
+        bytes += chunk.length;
+        if (bytes > IMAGE_MAX_BYTES) {
+          fail(new ImageProxyError('Image is too large', 'IMAGE_TOO_LARGE', 413));
+          return;
+        }
+        chunks.push(chunk);
+      });
+      response.data.on('end', () => {
+        clearTimeout(timer);
+        resolve(Buffer.concat(chunks));
+      });
+      response.data.on('error', (error) => {
+        clearTimeout(timer);
+        reject(error);
+      });
+    });
+  }
+
+  throw new ImageProxyError('Too many redirects', 'IMAGE_UNAVAILABLE');
+};
+
+/**
+ * Resize an image to a thumbnail size
+ * @param {Buffer} input - Source image
+ * @param {string} size - Thumbnail size name
+ * @returns {Promise<Buffer>} WebP thumbnail
+ */
+const renderThumbnail = async (input, size) => {
+  const [width, height, fit] = THUMBNAIL_SIZES[size];
+  try {
+    return await sharp(input, { limitInputPixels: IMAGE_MAX_PIXELS, animated: false })
+      .rotate() // honor EXIF orientation
+      .resize({ width, height, fit, withoutEnlargement: true })
+      .webp({ quality: 80 })
+      .toBuffer();
+  } catch (error) {
+    throw new ImageProxyError(`Unsupported image: ${error.message}`, 'NOT_AN_IMAGE', 415);
+  }
+};
+
+/**
+ * Get a thumbnail, from the disk cache or by fetching and resizing the original
+ * @param {string} url - Original image URL
+ * @param {string} size - Thumbnail size name
+ * @returns {Promise<{buffer: Buffer, contentType: string, etag: string, cached: boolean}>}
+ */
+const getThumbnail = async (url, size) => {
+  const key = crypto.createHash('sha256').update(`${size}:${url}`).digest('hex');
+  const file = path.join(IMAGE_CACHE_DIR, key.slice(0, 2), `${key}.webp`);
+  const etag = `"${key.slice(0, 32)}"`;
+
+  try {
+    const buffer = await fs.readFile(file);
+    // Served thumbnails stay in the cache longest (the sweep evicts by mtime)
+    const now = new Date();
+    fs.utimes(file, now, now).catch(() => {});
+    return { buffer, contentType: 'image/webp', etag, cached: true };
+  } catch (error) {
+    if (error.code !== 'ENOENT') console.error('❌ Thumbnail cache read failed:', error.message);
+  }
+
+  if (!inFlight.has(key)) {
+    const task = (async () => {
+      const buffer = await renderThumbnail(await downloadImage(url), size);
+      try {
+        await fs.mkdir(path.dirname(file), { recursive: true });
+        // Write then rename so readers never see a partial file
+        const tmp = `${file}.${process.pid}.tmp`;
+        await fs.writeFile(tmp, buffer);
+        await fs.rename(tmp, file);
+        cacheBytes += buffer.length;
+        if (cacheBytes > IMAGE_CACHE_MAX_BYTES) sweepThumbnailCache();
+      } catch (error) {
+        console.error('❌ Thumbnail cache write failed:', error.message);
+      }
+      return buffer;
+    })().finally(() => inFlight.delete(key));
+    inFlight.set(key, task);
+  }
+
+  return { buffer: await inFlight.get(key), contentType: 'image/webp', etag, cached: false };
+};
+
+/**
+ * List the files in the thumbnail cache
+ * @returns {Promise<Array<{file: string, size: number, mtimeMs: number}>>}
+ */
+const listCacheFiles = async () => {
+  const files = [];
+  let dirs;
+  try {
+    dirs = await fs.readdir(IMAGE_CACHE_DIR, { withFileTypes: true });
+  } catch (error) {
+    if (error.code === 'ENOENT') return files;
+    throw error;
+  }
+
+  for (const dir of dirs.filter(entry => entry.isDirectory())) {
+    const dirPath = path.join(IMAGE_CACHE_DIR, dir.name);
+    for (const name of await fs.readdir(dirPath)) {
+      const file = path.join(dirPath, name);
+      try {
+        const { size, mtimeMs } = await fs.stat(file);
+        files.push({ file, size, mtimeMs });
+      } catch (error) {
+        // Removed while listing
+      }
+    }
+  }
+  return files;
+};
+
+/**
+ * Remove expired thumbnails (and leftover temp files), then the least recently
+ * served ones until the cache is under IMAGE_CACHE_MAX_BYTES
+ * Concurrent calls share one sweep.
+ * @returns {Promise<{removed: number, bytes: number}>} Files removed and bytes left
+ */
+const sweepThumbnailCache = () => {
+  if (sweeping) return sweeping;
+
+  sweeping = (async () => {
+    const expiredBefore = Date.now() - IMAGE_CACHE_TTL * 1000;
+    const files = (await listCacheFiles()).sort((a, b) => a.mtimeMs - b.mtimeMs);
+    let bytes = files.reduce((total, { size }) => total + size, 0);
+    let removed = 0;
+
+    for (const { file, size, mtimeMs } of files) {
+      const expired = mtimeMs < expiredBefore || (file.endsWith('.tmp') && mtimeMs < Date.now() - IMAGE_CACHE_SWEEP_INTERVAL);
+      if (!expired && bytes <= IMAGE_CACHE_MAX_BYTES) continue;
+      try {
+        await fs.unlink(file);
+        bytes -= size;
+        removed++;
+      } catch (error) {
+        if (error.code !== 'ENOENT') console.error('❌ Thumbnail cache cleanup failed:', error.message);
+      }
+    }
+
+    cacheBytes = bytes;
+    if (removed) console.log(`🧽 Removed ${removed} thumbnail(s) from the cache (${Math.round(bytes / 1024 / 1024)} MB left)`);
+    return { removed, bytes };
+  })()
+    .catch((error) => {
+      console.error('❌ Thumbnail cache sweep failed:', error.message);
+      return { removed: 0, bytes: cacheBytes };
+    })
+    .finally(() => { sweeping = null; });
+
+  return sweeping;
+};
+
+/**
+ * Sweep the thumbnail cache now and then every IMAGE_CACHE_SWEEP_INTERVAL
+ */
+const startThumbnailCacheSweep = () => {
+  if (sweepTimer) return;
+  sweepThumbnailCache();
+  sweepTimer = setInterval(sweepThumbnailCache, IMAGE_CACHE_SWEEP_INTERVAL);
+  // Don't keep the process alive just for the sweep
+  sweepTimer.unref();
+};
+
+/**
+ * Stop the scheduled cache sweep
+ */
+const stopThumbnailCacheSweep = () => {
+  clearInterval(sweepTimer);
+  sweepTimer = null;
+};
+
+module.exports = {
+  ImageProxyError,
+  IMAGE_SIZES,
+  buildProxyUrl,
+  buildProxiedImages,
+  verifyImageSignature,
+  getThumbnail,
+  sweepThumbnailCache,
+  startThumbnailCacheSweep,
+  stopThumbnailCacheSweep
+};
@@ -0,0 +1,91 @@
+/**
+ * Lightweight language detection for extracted page text
+ * Non-Latin scripts are recognised by Unicode range; Latin-script languages
+ * by counting common stopwords. Good enough to label content and pick a
+ * reading speed, not a general-purpose detector.
+ */
+
+// Share of letters a script needs to be considered the page's script
+const SCRIPT_THRESHOLD = 0.3;
+
+// Minimum stopword hits before a Latin-script guess is trusted
+const MIN_STOPWORD_HITS = 3;
+
+const SCRIPTS = [
+  { code: 'ja', pattern: /[぀-ヿ]/g }, // Hiragana/Katakana (checked before Han)
+  { code: 'ko', pattern: /[가-힯]/g },
+  { code: 'zh', pattern: /[一-鿿]/g },
+  { code: 'ru', pattern: /[Ѐ-ӿ]/g },
+  { code: 'ar', pattern: /[؀-ۿ]/g },
+  { code: 'he', pattern: /[֐-׿]/g },
+  { code: 'hi', pattern: /[ऀ-ॿ]/g },
+  { code: 'bn', pattern: /[ঀ-৿]/g },
+  { code: 'ta', pattern: /[஀-௿]/g },
+  { code: 'th', pattern: /[฀-๿]/g },
+  { code: 'el', pattern: /[Ͱ-Ͽ]/g }
+];
+
+const STOPWORDS = {
+  en: ['the', 'and', 'of', 'to', 'in', 'is', 'that', 'for', 'it', 'with', 'as', 'was', 'on', 'are', 'this', 'by', 'be', 'you'],
+  es: ['el', 'la', 'de', 'que', 'y', 'en', 'los', 'se', 'del', 'las', 'por', 'un', 'una', 'para', 'con', 'es', 'al', 'lo'],
+  fr: ['le', 'la', 'les', 'de', 'des', 'et', 'est', 'un', 'une', 'du', 'dans', 'que', 'qui', 'pour', 'pas', 'sur', 'au', 'avec'],
+  de: ['der', 'die', 'und', 'das', 'ist', 'nicht', 'ein', 'eine', 'zu', 'den', 'mit', 'sich', 'des', 'auf', 'für', 'im', 'dem', 'auch'],
+  pt: ['o', 'a', 'de', 'que', 'e', 'do', 'da', 'em', 'um', 'para', 'com', 'não', 'uma', 'os', 'no', 'se', 'na', 'por'],
+  it: ['il', 'di', 'che', 'e', 'la', 'per', 'un', 'in', 'è', 'del', 'non', 'sono', 'una', 'della', 'con', 'gli', 'le', 'si'],
+  nl: ['de', 'het', 'een', 'en', 'van', 'in', 'is', 'dat', 'op', 'te', 'zijn', 'met', 'voor', 'niet', 'die', 'aan', 'er', 'ook']
+};
+
+/**
+ * Normalize a language tag ("en-US", "en_GB") to its primary subtag
+ * @param {string} tag
+ * @returns {string|null}
+ */
+const normalizeLanguageTag = (tag) => {
+  if (!tag || typeof tag !== 'string') return null;
+  const primary = tag.trim().split(/[-_,;\s]/)[0].toLowerCase();
+  return /^[a-z]{2,3}$/.test(primary) ? primary : null;
+};
+
+/**
+ * Guess the language of a text
+ * @param {string} text
+ * @returns {{code: string, confidence: number}|null}
+ */
+const detectLanguage = (text) => {
+  if (!text || typeof text !== 'string') return null;
+  const sample = text.slice(0, 20000);
+  const letters = (sample.match(/\p{L}/gu) || []).length;
+  if (!letters) return null;
+
+  for (const { code, pattern } of SCRIPTS) {
+    const count = (sample.match(pattern) || []).length;
+    if (count / letters >= SCRIPT_THRESHOLD) {
+      return { code, confidence: Math.round(Math.min(1, count / letters + 0.2) * 100) / 100 };
+    }
+  }
+
+  const words = sample.toLowerCase().match(/\p{L}+/gu) || [];
+  const counts = {};
+  for (const word of words) counts[word] = (counts[word] || 0) + 1;
+
+  const scores = Object.entries(STOPWORDS)
+    .map(([code, stopwords]) => [code, stopwords.reduce((sum, w) => sum + (counts[w] || 0), 0)])
+    .sort((a, b) => b[1] - a[1]);
+
+  const [[bestCode, best], [, second]] = scores;
+  if (best < MIN_STOPWORD_HITS) return null;
+  return { code: bestCode, confidence: Math.round((best / (best + second)) * 100) / 100 };
+};
+
+/**
+ * Check whether a language is written without spaces between words
+ * @param {string} code
+ * @returns {boolean}
+ */
+const isCharacterCounted = (code) => ['zh', 'ja', 'th'].includes(code);
+
+module.exports = {
+  normalizeLanguageTag,
+  detectLanguage,
+  isCharacterCounted
+};
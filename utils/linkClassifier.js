@@ -0,0 +1,306 @@
+const mongoose = require('mongoose');
+const DomainRule = require('../models/DomainRule');
+const { LINK_TYPES, CLASSIFIER_MIN_SCORE, CLASSIFIER_RULES_TTL } = require('../config/constants');
+
+/**
+ * Scored link classification
+ * Every hint about a page (domain, URL path, og:type, schema.org types, keywords)
+ * adds weight to one or more link types. The highest total wins, and the
+ * signals behind it are returned so the result can be explained and tuned.
+ * Admins can add domain rules in the DomainRule collection without code changes.
+ */
+
+// Built-in domain rules; a domain also matches its subdomains
+const DOMAIN_RULES = [
+  ...['facebook.com', 'twitter.com', 'x.com', 'instagram.com', 'linkedin.com', 'snapchat.com',
+    'pinterest.com', 'discord.com', 'telegram.org', 'whatsapp.com', 'tumblr.com', 'flickr.com',
+    'threads.net', 'bsky.app', 'clubhouse.com', 'mastodon.social']
+    .map(domain => ({ domain, type: 'social', weight: 7 })),
+  ...['youtube.com', 'youtu.be', 'vimeo.com', 'dailymotion.com', 'wistia.com', 'brightcove.com',
+    'jwplayer.com', 'vine.co']
+    .map(domain => ({ domain, type: 'video', weight: 7 })),
+  { domain: 'youtube.com', type: 'social', weight: 2 },
+  { domain: 'tiktok.com', type: 'video', weight: 6 },
+  { domain: 'tiktok.com', type: 'social', weight: 4 },
+  { domain: 'twitch.tv', type: 'video', weight: 6 },
+  { domain: 'twitch.tv', type: 'social', weight: 2 },
+  ...['cnn.com', 'bbc.com', 'bbc.co.uk', 'reuters.com', 'apnews.com', 'ap.org', 'nytimes.com', 'wsj.com',
+    'theguardian.com', 'washingtonpost.com', 'forbes.com', 'bloomberg.com', 'techcrunch.com',
+    'theverge.com', 'engadget.com', 'wired.com', 'arstechnica.com', 'newsweek.com', 'time.com',
+    'npr.org', 'abcnews.go.com', 'cbsnews.com', 'aljazeera.com']
+    .map(domain => ({ domain, type: 'news', weight: 6 })),
+  ...['amazon.com', 'ebay.com', 'etsy.com', 'alibaba.com', 'aliexpress.com', 'walmart.com',
+    'target.com', 'bestbuy.com', 'store.google.com', 'nike.com', 'adidas.com', 'zalando.com',
+    'asos.com', 'flipkart.com', 'myshopify.com']
+    .map(domain => ({ domain, type: 'product', weight: 6 })),
+  { domain: 'apple.com', pathPrefix: '/store', type: 'product', weight: 6 },
+  { domain: 'apple.com', pathPrefix: '/shop', type: 'product', weight: 6 },
+  { domain: 'microsoft.com', pathPrefix: '/store', type: 'product', weight: 6 },
+  ...['coursera.org', 'edx.org', 'udemy.com', 'khanacademy.org', 'udacity.com', 'pluralsight.com',
+    'lynda.com', 'skillshare.com', 'masterclass.com', 'codecademy.com', 'freecodecamp.org']
+    .map(domain => ({ domain, type: 'education', weight: 6 })),
+  { domain: 'edu', type: 'education', weight: 3 },
+  ...['stackoverflow.com', 'stackexchange.com', 'superuser.com', 'serverfault.com', 'quora.com',
+    'discourse.org', 'news.ycombinator.com']
+    .map(domain => ({ domain, type: 'forum', weight: 7 })),
+  { domain: 'reddit.com', type: 'forum', weight: 6 },
+  { domain: 'reddit.com', type: 'social', weight: 3 },
+  ...['medium.com', 'substack.com', 'dev.to', 'hashnode.dev', 'wordpress.com', 'blogspot.com', 'ghost.io']
+    .map(domain => ({ domain, type: 'blog', weight: 5 })),
+  ...['behance.net', 'dribbble.com', 'artstation.com', 'carbonmade.com']
+    .map(domain => ({ domain, type: 'portfolio', weight: 6 })),
+  { domain: 'github.io', type: 'portfolio', weight: 3 },
+  { domain: 'github.com', type: 'portfolio', weight: 2 }
+];
+
+// URL path segments, matched as whole segments
+const PATH_PATTERNS = [
+  { type: 'product', weight: 3, pattern: /\/(?:products?|shop|store|buy|cart|checkout|dp|item|itm|p)(?:\/|$)/ },
+  { type: 'blog', weight: 3, pattern: /\/(?:blog|blogs|posts?|articles?|entry)(?:\/|$)/ },
+  { type: 'news', weight: 3, pattern: /\/(?:news|press|politics|world|breaking)(?:\/|$)/ },
+  { type: 'video', weight: 3, pattern: /\/(?:videos?|watch|embed|shorts|clips?|reel)(?:\/|$)/ },
+  { type: 'portfolio', weight: 3, pattern: /\/(?:portfolio|projects|work|case-studies)(?:\/|$)/ },
+  { type: 'education', weight: 3, pattern: /\/(?:courses?|learn|lessons?|tutorials?|training|education)(?:\/|$)/ },
+  { type: 'forum', weight: 3, pattern: /\/(?:forums?|questions|threads?|discussions?|community|topic)(?:\/|$)/ },
+  // Dated permalinks (/2024/05/...) are typical for both blogs and news sites
+  { type: 'blog', weight: 1, pattern: /\/(?:19|20)\d{2}\/(?:0?[1-9]|1[0-2])\// },
+  { type: 'news', weight: 1, pattern: /\/(?:19|20)\d{2}\/(?:0?[1-9]|1[0-2])\// }
+];
+
+// Leading host labels such as blog.example.com
+const SUBDOMAIN_TYPES = {
+  blog: 'blog',
+  shop: 'product',
+  store: 'product',
+  news: 'news',
+  forum: 'forum',
+  forums: 'forum',
+  community: 'forum',
+  learn: 'education',
+  academy: 'education',
+  video: 'video',
+  videos: 'video',
+  portfolio: 'portfolio'
+};
+
+// og:type values (prefix match, so "video.movie" matches "video")
+const OG_TYPES = [
+  { prefix: 'video', type: 'video', weight: 5 },
+  { prefix: 'product', type: 'product', weight: 5 },
+  { prefix: 'og:product', type: 'product', weight: 5 },
+  { prefix: 'article', type: 'blog', weight: 2 },
+  { prefix: 'article', type: 'news', weight: 2 },
+  { prefix: 'profile', type: 'social', weight: 3 },
+  { prefix: 'book', type: 'product', weight: 1 }
+];
+
+// schema.org types declared on the page
+const SCHEMA_TYPES = {
+  Product: [['product', 5]],
+  ProductGroup: [['product', 5]],
+  Offer: [['product', 3]],
+  AggregateOffer: [['product', 3]],
+  NewsArticle: [['news', 5]],
+  ReportageNewsArticle: [['news', 5]],
+  AnalysisNewsArticle: [['news', 5]],
+  OpinionNewsArticle: [['news', 4]],
+  LiveBlogPosting: [['news', 4]],
+  BlogPosting: [['blog', 5]],
+  Blog: [['blog', 4]],
+  Article: [['blog', 2], ['news', 2]],
+  TechArticle: [['blog', 3], ['education', 1]],
+  VideoObject: [['video', 5]],
+  Movie: [['video', 4]],
+  Episode: [['video', 3]],
+  TVEpisode: [['video', 4]],
+  Course: [['education', 5]],
+  CourseInstance: [['education', 4]],
+  LearningResource: [['education', 4]],
+  EducationalOrganization: [['education', 3]],
+  CollegeOrUniversity: [['education', 3]],
+  QAPage: [['forum', 5]],
+  Question: [['forum', 4]],
+  DiscussionForumPosting: [['forum', 5]],
+  SocialMediaPosting: [['social', 4]],
+  ProfilePage: [['social', 2], ['portfolio', 2]],
+  CreativeWork: [['portfolio', 1]],
+  Recipe: [['blog', 2]]
+};
+
+// Content keywords in title, description and meta keywords; weak signals
+const KEYWORDS = {
+  social: ['follow', 'followers', 'profile', 'posts', 'tweet', 'social network'],
+  product: ['buy', 'price', 'shop', 'add to cart', 'in stock', 'free shipping', 'discount', 'sale'],
+  news: ['breaking', 'news', 'reported', 'latest', 'headline', 'correspondent'],
+  video: ['video', 'watch', 'stream', 'episode', 'trailer', 'movie'],
+  portfolio: ['portfolio', 'projects', 'showcase', 'case study', 'my work', 'designer'],
+  blog: ['blog', 'article', 'written by', 'posted by', 'read more'],
+  education: ['course', 'learn', 'tutorial', 'lesson', 'training', 'university', 'curriculum'],
+  forum: ['forum', 'discussion', 'question', 'answers', 'thread', 'replies']
+};
+const KEYWORD_WEIGHT = 0.5;
+const KEYWORD_MAX_WEIGHT = 2;
+
+// Number of signals returned with a classification
+const TOP_SIGNALS = 5;
+
+// Scores at which a type is considered a certain match
+const CONFIDENT_SCORE = 8;
+
+/**
+ * Check whether a host matches a rule domain (subdomains included)
+ * @param {string} host - Lowercased host without "www."
+ * @param {string} domain - Rule domain
+ * @returns {boolean}
+ */
+const matchesDomain = (host, domain) => host === domain || host.endsWith(`.${domain}`);
+
+/**
+ * Escape a string for use in a regular expression
+ * @param {string} value
+ * @returns {string}
+ */
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+let rulesCache = { rules: [], loadedAt: 0 };
+
+/**
+ * Load active admin domain rules, cached for CLASSIFIER_RULES_TTL
+ * @returns {Promise<Array<object>>} Rules as { domain, pathPrefix, type, weight }
+ */
+const loadDomainRules = async () => {
+  if (Date.now() - rulesCache.loadedAt < CLASSIFIER_RULES_TTL) return rulesCache.rules;
+  if (mongoose.connection.readyState !== 1) return rulesCache.rules;
+
+  try {
+    const docs = await DomainRule.find({ isActive: true }).lean();
+    rulesCache = {
+      rules: docs.map(doc => ({
+        id: doc._id.toString(),
+        domain: doc.domain,
+        // Rules saved before pathPrefix was lowercased by the schema
+        pathPrefix: (doc.pathPrefix || '').toLowerCase(),
+        type: doc.linkType,
+        weight: doc.weight
+      })),
+      loadedAt: Date.now()
+    };
+  } catch (error) {
+    console.error('❌ Failed to load domain rules:', error.message);
+  }
+  return rulesCache.rules;
+};
+
+/**
+ * Drop cached admin rules so the next classification reloads them
+ */
+const clearDomainRulesCache = () => {
+  rulesCache = { rules: [], loadedAt: 0 };
+};
+
+/**
+ * Classify a link from its URL and extracted metadata
+ * @param {object} input - { url, title, description, keywords, ogType, schemaTypes }
+ * @param {object} options - { domainRules } extra rules (e.g. from loadDomainRules)
+ * @returns {{type: string, confidence: number, signals: Array<object>, scores: object}}
+ */
+const classifyLink = (input = {}, { domainRules = [] } = {}) => {
+  const { url, title, description, keywords, ogType, schemaTypes = [] } = input;
+  const signals = [];
+  const add = (type, source, value, weight) => {
+    if (LINK_TYPES.includes(type) && weight) signals.push({ type, source, value, weight });
+  };
+
+  let parsed = null;
+  try {
+    parsed = new URL(url);
+  } catch (_) {}
+
+  if (parsed) {
+    const host = parsed.hostname.toLowerCase().replace(/^www\./, '');
+    const path = parsed.pathname.toLowerCase();
+
+    for (const rule of DOMAIN_RULES) {
+      if (matchesDomain(host, rule.domain) && path.startsWith(rule.pathPrefix || '')) {
+        add(rule.type, 'domain', rule.domain + (rule.pathPrefix || ''), rule.weight);
+      }
+    }
+    for (const rule of domainRules) {
+      if (matchesDomain(host, rule.domain) && path.startsWith(rule.pathPrefix || '')) {
+        add(rule.type, 'rule', rule.domain + (rule.pathPrefix || ''), rule.weight);
+      }
+    }
+
+    const label = host.split('.')[0];
+    if (host.split('.').length > 2 && SUBDOMAIN_TYPES[label]) {
+      add(SUBDOMAIN_TYPES[label], 'subdomain', label, 2);
+    }
+
+    for (const { type, weight, pattern } of PATH_PATTERNS) {
+      const match = path.match(pattern);
+      if (match) add(type, 'path', match[0], weight);
+    }
+  }
+
+  const og = (ogType || '').toLowerCase();
+  if (og) {
+    for (const { prefix, type, weight } of OG_TYPES) {
+      if (og === prefix || og.startsWith(`${prefix}.`)) add(type, 'og:type', og, weight);
+    }
+  }
+
+  for (const schemaType of new Set(schemaTypes)) {
+    for (const [type, weight] of SCHEMA_TYPES[schemaType] || []) {
+      add(type, 'schema', schemaType, weight);
+    }
+  }
+
+  const text = [title, description, keywords].filter(Boolean).join(' ').toLowerCase();
+  if (text) {
+    for (const [type, words] of Object.entries(KEYWORDS)) {
+      const found = words.filter(word => new RegExp(`\\b${escapeRegExp(word)}\\b`).test(text));
+      if (found.length) {
+        add(type, 'keyword', found.join(', '), Math.min(found.length * KEYWORD_WEIGHT, KEYWORD_MAX_WEIGHT));
+      }
+    }
+  }
+
+  const scores = {};
+  for (const signal of signals) {
+    scores[signal.type] = (scores[signal.type] || 0) + signal.weight;
+  }
+
+  const ranked = Object.entries(scores).sort((a, b) => b[1] - a[1]);
+  const [bestType, bestScore = 0] = ranked[0] || [];
+  const positiveTotal = ranked.reduce((sum, [, score]) => sum + Math.max(score, 0), 0);
+  const round = (n) => Math.round(n * 100) / 100;
+
+  let type = 'other';
+  let confidence;
+  if (bestType && bestScore >= CLASSIFIER_MIN_SCORE) {
+    type = bestType;
+    // Share of the evidence, scaled down while the evidence itself is thin
+    confidence = (bestScore / positiveTotal) * Math.min(1, bestScore / CONFIDENT_SCORE);
+  } else {
+    confidence = 1 - Math.max(bestScore, 0) / CLASSIFIER_MIN_SCORE;
+  }
+
+  const topSignals = signals
+    .filter(signal => type === 'other' || signal.type === type)
+    .sort((a, b) => Math.abs(b.weight) - Math.abs(a.weight))
+    .slice(0, TOP_SIGNALS)
+    .map(signal => ({ ...signal, weight: round(signal.weight) }));
+
+  return {
+    type,
+    confidence: round(Math.max(0, Math.min(1, confidence))),
+    signals: topSignals,
+    scores: Object.fromEntries(ranked.map(([t, score]) => [t, round(score)]))
+  };
+};
+
+module.exports = {
+  classifyLink,
+  loadDomainRules,
+  clearDomainRulesCache
+};
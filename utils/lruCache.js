@@ -0,0 +1,59 @@
+/**
+ * Small in-process LRU cache built on Map insertion order
+ */
+class LruCache {
+  /**
+   * @param {number} maxSize - Maximum number of entries kept in memory
+   */
+  constructor(maxSize = 500) {
+    this.maxSize = maxSize;
+    this.map = new Map();
+  }
+
+  /**
+   * Get a value and mark it as most recently used
+   * @param {string} key
+   * @returns {any} Cached value or undefined
+   */
+  get(key) {
+    if (!this.map.has(key)) return undefined;
+    const value = this.map.get(key);
+    this.map.delete(key);
+    this.map.set(key, value);
+    return value;
+  }
+
+  /**
+   * Store a value, evicting the least recently used entry when full
+   * @param {string} key
+   * @param {any} value
+   */
+  set(key, value) {
+    if (this.map.has(key)) this.map.delete(key);
+    this.map.set(key, value);
+    if (this.map.size > this.maxSize) {
+      this.map.delete(this.map.keys().next().value);
+    }
+  }
+
+  /**
+   * Remove a value
+   * @param {string} key
+   */
+  delete(key) {
+    this.map.delete(key);
+  }
+
+  /**
+   * Remove all values
+   */
+  clear() {
+    this.map.clear();
+  }
+
+  get size() {
+    return this.map.size;
+  }
+}
+
+module.exports = LruCache;
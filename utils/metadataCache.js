@@ -0,0 +1,166 @@
+const mongoose = require('mongoose');
+const MetadataCache = require('../models/MetadataCache');
+const LruCache = require('./lruCache');
+const { normalizeUrl } = require('./url');
+const {
+  METADATA_CACHE_TTL,
+  METADATA_CACHE_STALE_TTL,
+  METADATA_CACHE_LRU_SIZE
+} = require('../config/constants');
+
+/**
+ * Shared metadata cache
+ * In-process LRU in front of a MongoDB collection, both keyed by normalizeUrl().
+ * Entries are fresh for METADATA_CACHE_TTL seconds, then kept for
+ * METADATA_CACHE_STALE_TTL seconds so they can be revalidated with ETag/Last-Modified.
+ */
+
+const lru = new LruCache(METADATA_CACHE_LRU_SIZE);
+
+// Upper bound on stored page text to keep documents small
+const MAX_CONTENT_CHARS = 50000;
+
+// Skip MongoDB when it isn't connected instead of waiting on buffered commands
+const isDbReady = () => mongoose.connection.readyState === 1;
+
+/**
+ * Get the cache key for a URL
+ * @param {string} url
+ * @returns {string} Normalized URL
+ */
+const getCacheKey = (url) => normalizeUrl(url);
+
+/**
+ * Check whether an entry can be served without revalidation
+ * @param {object} entry - Cache entry
+ * @returns {boolean}
+ */
+const isFresh = (entry) => !!entry && new Date(entry.freshUntil).getTime() > Date.now();
+
+/**
+ * Look up a cache entry, fresh or stale
+ * @param {string} url
+ * @returns {Promise<object|null>} Cache entry or null on miss
+ */
+const getCachedEntry = async (url) => {
+  const key = getCacheKey(url);
+  const cached = lru.get(key);
+  if (cached && new Date(cached.expiresAt).getTime() > Date.now()) {
+    return cached;
+  }
+  lru.delete(key);
+
+  if (!isDbReady()) return null;
+
+  try {
+    const entry = await MetadataCache.findOneAndUpdate(
+      { key, expiresAt: { $gt: new Date() } },
+      { $inc: { hitCount: 1 } },
+      { new: true }
+    ).lean();
+    if (entry) lru.set(key, entry);
+    return entry;
+  } catch (error) {
+    console.error('❌ Metadata cache lookup failed:', error.message);
+    return null;
+  }
+};
+
+/**
+ * Store an extraction result
+ * @param {string} url
+ * @param {object} value - { data, contentText, content, headers }
+ * @returns {Promise<object>} Stored cache entry
+ */
+const setCachedEntry = async (url, { data, contentText, content = null, headers = {} }) => {
+  const key = getCacheKey(url);
+  const now = Date.now();
+  const entry = {
+    key,
+    url,
+    data,
+    contentText: contentText ? contentText.slice(0, MAX_CONTENT_CHARS) : contentText,
+    // The text is already stored as contentText
+    content: content ? { ...content, text: undefined } : null,
+    etag: headers.etag || undefined,
+    lastModified: headers['last-modified'] || undefined,
+    fetchedAt: new Date(now),
+    freshUntil: new Date(now + METADATA_CACHE_TTL * 1000),
+    expiresAt: new Date(now + (METADATA_CACHE_TTL + METADATA_CACHE_STALE_TTL) * 1000)
+  };
+  lru.set(key, entry);
+
+  if (isDbReady()) {
+    try {
+      await MetadataCache.updateOne({ key }, { $set: entry }, { upsert: true });
+    } catch (error) {
+      console.error('❌ Metadata cache write failed:', error.message);
+    }
+  }
+
+  return entry;
+};
+
+/**
+ * Mark a stale entry as fresh again after a successful revalidation (304)
+ * @param {object} entry - Cache entry
+ * @returns {Promise<object>} Refreshed cache entry
+ */
+const refreshCachedEntry = async (entry) => {
+  const now = Date.now();
+  const refreshed = {
+    ...entry,
+    freshUntil: new Date(now + METADATA_CACHE_TTL * 1000),
+    expiresAt: new Date(now + (METADATA_CACHE_TTL + METADATA_CACHE_STALE_TTL) * 1000)
+  };
+  lru.set(entry.key, refreshed);
+
+  if (isDbReady()) {
+    try {
+      await MetadataCache.updateOne(
+        { key: entry.key },
+        { $set: { freshUntil: refreshed.freshUntil, expiresAt: refreshed.expiresAt } }
+      );
+    } catch (error) {
+      console.error('❌ Metadata cache refresh failed:', error.message);
+    }
+  }
+
+  return refreshed;
+};
+
+/**
+ * Build conditional request headers from an entry's validators
+ * @param {object} entry - Cache entry
+ * @returns {object} Headers (empty when the entry has no validators)
+ */
+const getRevalidationHeaders = (entry) => {
+  const headers = {};
+  if (entry?.etag) headers['If-None-Match'] = entry.etag;
+  if (entry?.lastModified) headers['If-Modified-Since'] = entry.lastModified;
+  return headers;
+};
+
+/**
+ * Describe a cache lookup for API responses
+ * @param {object|null} entry - Cache entry used or stored
+ * @param {object} info - { hit, revalidated }
+ * @returns {object} Cache info
+ */
+const describeCache = (entry, { hit = false, revalidated = false } = {}) => ({
+  hit,
+  revalidated,
+  key: entry?.key || null,
+  fetchedAt: entry?.fetchedAt || null,
+  freshUntil: entry?.freshUntil || null
+});
+
+module.exports = {
+  getCacheKey,
+  isFresh,
+  getCachedEntry,
+  setCachedEntry,
+  refreshCachedEntry,
+  getRevalidationHeaders,
+  describeCache
+};
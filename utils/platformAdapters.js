@@ -0,0 +1,354 @@
+const axios = require('axios');
+const cheerio = require('cheerio');
+const { getRandomUserAgent, resolveUrl } = require('./helpers');
+const { assertUrlAllowed, guardedLookup } = require('./urlGuard');
+
+/**
+ * Platform adapter registry
+ * Sites that serve generic or script-rendered HTML get their metadata from an
+ * official oEmbed/API endpoint instead. Each adapter has:
+ *   - name: platform identifier
+ *   - matches(url): whether the adapter handles the URL
+ *   - endpoint(url): URL of the oEmbed/API document to fetch
+ *   - normalize(data, url): pure mapping from the fetched JSON to
+ *     { title, description, author, images } (testable against recorded JSON)
+ *   - genericTitles / genericDescriptions: patterns of placeholder values the
+ *     platform serves to scrapers, which the adapter's data should replace
+ */
+
+const OEMBED_TIMEOUT = 8000;
+// oEmbed/API documents are small; discovered endpoints come from any page, so cap what is read
+const OEMBED_MAX_BYTES = 256 * 1024;
+
+/**
+ * Check whether a URL's host is one of the given domains or a subdomain of one
+ * @param {string} url
+ * @param {string[]} domains
+ * @returns {boolean}
+ */
+const hostIn = (url, domains) => {
+  try {
+    const host = new URL(url).hostname.toLowerCase();
+    return domains.some(d => host === d || host.endsWith(`.${d}`));
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Build the images block of normalized platform metadata
+ * @param {string|null} ogImage
+ * @param {string|null} favicon
+ * @returns {object}
+ */
+const platformImages = (ogImage, favicon) => ({
+  logo: null,
+  ogImage: ogImage || null,
+  favicon: favicon || null,
+  appleTouchIcon: null
+});
+
+/**
+ * Normalize a standard oEmbed response
+ * @param {object} data - oEmbed JSON
+ * @param {object} options - { favicon, describeAuthor }
+ * @returns {object} Normalized platform metadata
+ */
+const normalizeOEmbed = (data, { favicon = null, describeAuthor = (name) => name } = {}) => ({
+  title: data?.title || null,
+  description: data?.description || (data?.author_name ? describeAuthor(data.author_name) : null),
+  author: data?.author_name || null,
+  images: platformImages(data?.thumbnail_url, favicon)
+});
+
+const adapters = [
+  {
+    name: 'youtube',
+    matches: (url) => hostIn(url, ['youtube.com', 'youtu.be', 'youtube-nocookie.com']),
+    endpoint: (url) => `https://www.youtube.com/oembed?url=${encodeURIComponent(url)}&format=json`,
+    normalize: (data) => normalizeOEmbed(data, {
+      favicon: 'https://www.youtube.com/s/desktop/6f1c77b6/img/favicon_32x32.png',
+      describeAuthor: (name) => `By ${name}`
+    }),
+    genericTitles: [/^-?\s*youtube$/],
+    genericDescriptions: [/enjoy the videos and music you love/]
+  },
+  {
+    name: 'spotify',
+    matches: (url) => hostIn(url, ['spotify.com']),
+    endpoint: (url) => `https://open.spotify.com/oembed?url=${encodeURIComponent(url)}`,
+    normalize: (data) => normalizeOEmbed(data, {
+      favicon: 'https://open.spotifycdn.com/cdn/images/favicon32.8bbb0783.png'
+    }),
+    genericTitles: [/spotify.*web player/]
+  },
+  {
+    name: 'vimeo',
+    matches: (url) => hostIn(url, ['vimeo.com']),
+    endpoint: (url) => `https://vimeo.com/api/oembed.json?url=${encodeURIComponent(url)}`,
+    normalize: (data) => normalizeOEmbed(data, {
+      favicon: 'https://vimeo.com/favicon.ico',
+      describeAuthor: (name) => `By ${name}`
+    }),
+    genericTitles: [/^vimeo$/]
+  },
+  {
+    name: 'soundcloud',
+    matches: (url) => hostIn(url, ['soundcloud.com']),
+    endpoint: (url) => `https://soundcloud.com/oembed?format=json&url=${encodeURIComponent(url)}`,
+    normalize: (data) => normalizeOEmbed(data, {
+      favicon: 'https://soundcloud.com/favicon.ico',
+      describeAuthor: (name) => `By ${name}`
+    }),
+    genericTitles: [/^soundcloud\b/]
+  },
+  {
+    name: 'tiktok',
+    matches: (url) => hostIn(url, ['tiktok.com']),
+    endpoint: (url) => `https://www.tiktok.com/oembed?url=${encodeURIComponent(url)}`,
+    normalize: (data) => normalizeOEmbed(data, {
+      favicon: 'https://www.tiktok.com/favicon.ico',
+      describeAuthor: (name) => `By ${name}`
+    }),
+    genericTitles: [/^tiktok\b/],
+    genericDescriptions: [/make your day/]
+  },
+  {
+    name: 'reddit',
+    matches: (url) => hostIn(url, ['reddit.com', 'redd.it']),
+    // Reddit's oEmbed has no thumbnail; the listing JSON of the post does
+    endpoint: (url) => {
+      const u = new URL(url);
+      u.hostname = 'www.reddit.com';
+      u.pathname = `${u.pathname.replace(/\/+$/, '')}.json`;
+      u.search = '';
+      return u.href;
+    },
+    normalize: (data) => {
+      const post = Array.isArray(data) ? data[0]?.data?.children?.[0]?.data : data?.data?.children?.[0]?.data;
+      if (!post) return null;
+      const preview = post.preview?.images?.[0]?.source?.url;
+      const thumbnail = /^https?:\/\//.test(post.thumbnail || '') ? post.thumbnail : null;
+      return {
+        title: post.title || null,
+        description: (post.selftext || '').trim().slice(0, 500) ||
+          (post.subreddit_name_prefixed ? `Posted in ${post.subreddit_name_prefixed}` : null),
+        author: post.author ? `u/${post.author}` : null,
+        images: platformImages(
+          preview ? cheerio.load(preview).text() : thumbnail, // preview URLs are HTML-escaped
+          'https://www.reddit.com/favicon.ico'
+        )
+      };
+    },
+    genericTitles: [/^reddit\b/, /^blocked$/],
+    genericDescriptions: [/^reddit is a network of communities/]
+  },
+  {
+    name: 'x',
+    matches: (url) => hostIn(url, ['twitter.com', 'x.com']),
+    endpoint: (url) => `https://publish.twitter.com/oembed?omit_script=true&url=${encodeURIComponent(url)}`,
+    normalize: (data) => {
+      // The post text only exists inside the embed HTML
+      const text = data?.html ? cheerio.load(data.html)('blockquote p').first().text().trim() : '';
+      return {
+        title: data?.author_name ? `${data.author_name} on X` : null,
+        description: text || null,
+        author: data?.author_name || null,
+        images: platformImages(null, 'https://abs.twimg.com/favicons/twitter.3.ico')
+      };
+    },
+    genericTitles: [/^x$/, /^twitter$/, /javascript is not available/]
+  },
+  {
+    name: 'instagram',
+    matches: (url) => hostIn(url, ['instagram.com', 'instagr.am']),
+    // Meta's oEmbed requires an app token; without one the adapter is skipped
+    endpoint: (url) => process.env.INSTAGRAM_OEMBED_TOKEN
+      ? `https://graph.facebook.com/v18.0/instagram_oembed?url=${encodeURIComponent(url)}&access_token=${encodeURIComponent(process.env.INSTAGRAM_OEMBED_TOKEN)}`
+      : null,
+    normalize: (data) => normalizeOEmbed(data, {
+      favicon: 'https://www.instagram.com/favicon.ico',
+      describeAuthor: (name) => `By ${name}`
+    }),
+    genericTitles: [/^instagram$/, /^login • instagram$/]
+  }
+];
+
+/**
+ * Generic adapter: oEmbed discovery via
+ * <link rel="alternate" type="application/json+oembed" href="...">
+ */
+const discoveryAdapter = {
+  name: 'oembed',
+  matches: () => true,
+  endpoint: (url, html) => findOEmbedLink(html, url),
+  normalize: (data) => normalizeOEmbed(data, { describeAuthor: (name) => `By ${name}` }),
+  genericTitles: []
+};
+
+/**
+ * Find an advertised JSON oEmbed endpoint in a page
+ * @param {string} html - Page HTML
+ * @param {string} baseUrl - Page URL for resolving relative hrefs
+ * @returns {string|null} Absolute oEmbed URL
+ */
+function findOEmbedLink(html, baseUrl) {
+  if (!html || typeof html !== 'string') return null;
+  const $ = cheerio.load(html);
+  const href = $('link[rel="alternate"][type="application/json+oembed"], link[rel="alternate"][type="text/json+oembed"]')
+    .first()
+    .attr('href');
+  return href ? resolveUrl(href.trim(), baseUrl) : null;
+}
+
+/**
+ * Register an additional platform adapter (checked before built-in adapters)
+ * @param {object} adapter - { name, matches, endpoint, normalize, genericTitles, genericDescriptions }
+ */
+function registerPlatformAdapter(adapter) {
+  if (!adapter || typeof adapter.matches !== 'function' || typeof adapter.endpoint !== 'function' ||
+      typeof adapter.normalize !== 'function') {
+    throw new Error('Platform adapter requires matches, endpoint and normalize functions');
+  }
+  adapters.unshift(adapter);
+}
+
+/**
+ * Find the platform adapter for a URL
+ * @param {string} url
+ * @returns {object|null} Adapter, or null for non-platform URLs
+ */
+function findPlatformAdapter(url) {
+  if (!url) return null;
+  return adapters.find(adapter => adapter.matches(url)) || null;
+}
+
+/**
+ * Check a value against an adapter's placeholder patterns
+ * @param {string|null} value
+ * @param {RegExp[]} patterns
+ * @returns {boolean}
+ */
+const isGenericValue = (value, patterns = []) => {
+  const v = (value || '').trim().toLowerCase();
+  return patterns.some(re => re.test(v));
+};
+
+/**
+ * Fetch an adapter's JSON document through the outbound URL guard
+ * @param {string} endpoint
+ * @returns {Promise<object>}
+ */
+async function fetchJson(endpoint) {
+  await assertUrlAllowed(endpoint);
+  const { data } = await axios.get(endpoint, {
+    timeout: OEMBED_TIMEOUT,
+    maxRedirects: 0,
+    maxContentLength: OEMBED_MAX_BYTES,
+    maxBodyLength: OEMBED_MAX_BYTES,
+    lookup: guardedLookup,
+    headers: {
+      'Accept': 'application/json',
+      'User-Agent': getRandomUserAgent()
+    }
+  });
+  return typeof data === 'string' ? JSON.parse(data) : data;
+}
+
+/**
+ * Fetch platform-specific metadata via the matching adapter, falling back to
+ * oEmbed discovery in the page HTML
+ * @param {string} url
+ * @param {string} html - Page HTML (used for oEmbed discovery)
+ * @returns {Promise<{title:string|null, description:string|null, author:string|null, platform:string, images:{logo:string|null, ogImage:string|null, favicon:string|null, appleTouchIcon:string|null}}|null>}
+ */
+async function fetchPlatformMetadata(url, html = '') {
+  const adapter = findPlatformAdapter(url) || discoveryAdapter;
+  try {
+    const endpoint = adapter.endpoint(url, html);
+    if (!endpoint) return null;
+    const data = await fetchJson(endpoint);
+    const normalized = adapter.normalize(data, url);
+    return normalized ? { ...normalized, platform: adapter.name } : null;
+  } catch (err) {
+    console.log(`Platform metadata fallback (${adapter.name}) failed:`, err.message);
+    return null;
+  }
+}
+
+/**
+ * Check if scraped metadata is generic and should be replaced by platform data
+ * @param {string} url
+ * @param {{title:string|null, description:string|null, images:object}} metadata
+ * @param {string} html - Page HTML (used for oEmbed discovery)
+ * @returns {boolean}
+ */
+function needsPlatformFallback(url, metadata, html = '') {
+  if (!metadata) return true;
+  const missing = !metadata.title || !metadata.images?.ogImage;
+
+  const adapter = findPlatformAdapter(url);
+  if (adapter) {
+    return missing ||
+      isGenericValue(metadata.title, adapter.genericTitles) ||
+      isGenericValue(metadata.description, adapter.genericDescriptions);
+  }
+
+  // Other sites only when the page advertises oEmbed and something is missing
+  return missing && !!findOEmbedLink(html, url);
+}
+
+/**
+ * Merge base metadata with override from platform-specific sources.
+ * Replaces generic or missing fields; preserves existing meaningful values.
+ * @param {{title:string|null, description:string|null, images:object}} base
+ * @param {{title:string|null, description:string|null, images:object}} override
+ * @param {string} url
+ * @returns {{title:string|null, description:string|null, images:object}}
+ */
+function mergeMetadata(base, override, url = '') {
+  const result = {
+    ...base,
+    title: base?.title || null,
+    description: base?.description || null,
+    images: {
+      logo: base?.images?.logo || null,
+      ogImage: base?.images?.ogImage || null,
+      favicon: base?.images?.favicon || null,
+      appleTouchIcon: base?.images?.appleTouchIcon || null
+    },
+    canonicalUrl: base?.canonicalUrl || null
+  };
+
+  if (!override) return result;
+
+  const adapter = findPlatformAdapter(url) || discoveryAdapter;
+
+  if (!result.title || isGenericValue(result.title, adapter.genericTitles)) {
+    result.title = override.title ?? result.title;
+  }
+  if (!result.description || isGenericValue(result.description, adapter.genericDescriptions)) {
+    result.description = override.description ?? result.description;
+  }
+
+  // Fill missing images
+  for (const key of ['ogImage', 'logo', 'favicon', 'appleTouchIcon']) {
+    if (!result.images[key] && override.images?.[key]) {
+      result.images[key] = override.images[key];
+    }
+  }
+
+  result.platform = override.platform || null;
+
+  return result;
+}
+
+module.exports = {
+  discoveryAdapter,
+  registerPlatformAdapter,
+  findPlatformAdapter,
+  findOEmbedLink,
+  fetchPlatformMetadata,
+  needsPlatformFallback,
+  mergeMetadata
+};
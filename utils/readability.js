@@ -0,0 +1,256 @@
+const cheerio = require('cheerio');
+const { normalizeLanguageTag, detectLanguage, isCharacterCounted } = require('./language');
+
+/**
+ * Readability-style main content extraction
+ * Strips boilerplate (navigation, cookie banners, footers, share widgets...),
+ * picks the element holding the article body by paragraph scoring, and returns
+ * its headings, paragraphs, lists, quotes and code as structured blocks.
+ */
+
+// Reading speeds for reading time estimates
+const WORDS_PER_MINUTE = 230;
+const CHARACTERS_PER_MINUTE = 500; // languages written without spaces
+
+// A semantic container (article, main) is used as-is when it holds this much text
+const MIN_CONTAINER_TEXT = 250;
+
+// Paragraphs shorter than this don't count towards a container's score
+const MIN_PARAGRAPH_LENGTH = 25;
+
+// Blocks whose text is mostly links are navigation, not content
+const MAX_LINK_DENSITY = 0.5;
+
+const REMOVE_SELECTORS = [
+  'script', 'style', 'noscript', 'template', 'iframe', 'svg', 'canvas', 'form', 'button', 'input',
+  'select', 'textarea', 'nav', 'footer', 'aside', 'dialog',
+  '[role="navigation"]', '[role="banner"]', '[role="contentinfo"]', '[role="complementary"]',
+  '[role="dialog"]', '[role="alertdialog"]', '[aria-hidden="true"]', '[hidden]'
+].join(', ');
+
+// class/id patterns of boilerplate blocks, and of blocks likely to hold content
+const NEGATIVE_PATTERN = /(^|[\s_-])(comments?|cookie|consent|gdpr|banner|footer|masthead|menu|nav(bar|igation)?|sidebar|share|sharing|social|related|recommend(ed|ations)?|promo|sponsor|advert|ads?|popup|modal|newsletter|subscribe|signup|breadcrumbs?|pagination|toolbar|widget|outbrain|taboola)([\s_-]|$)/i;
+const POSITIVE_PATTERN = /(^|[\s_-])(article|content|main|post|entry|body|story|text|prose|markdown)([\s_-]|$)/i;
+
+const SEMANTIC_CONTAINERS = ['[itemprop="articleBody"]', 'article', '[role="main"]', 'main'];
+
+const BLOCK_SELECTOR = 'h1, h2, h3, h4, h5, h6, p, ul, ol, blockquote, pre';
+
+/**
+ * Collapse whitespace in a string
+ * @param {string} text
+ * @returns {string}
+ */
+const clean = (text) => (text || '').replace(/\s+/g, ' ').trim();
+
+/**
+ * Share of an element's text that sits inside links
+ * @param {Function} $ - Cheerio instance
+ * @param {object} el - Element
+ * @returns {number} 0..1
+ */
+const linkDensity = ($, el) => {
+  const length = clean($(el).text()).length;
+  if (!length) return 0;
+  let linkLength = 0;
+  $(el).find('a').each((_, a) => { linkLength += clean($(a).text()).length; });
+  return linkLength / length;
+};
+
+/**
+ * Remove boilerplate elements in place
+ * @param {Function} $ - Cheerio instance
+ */
+const removeBoilerplate = ($) => {
+  $(REMOVE_SELECTORS).remove();
+  // <header> inside an article usually holds the headline; page-level ones are chrome
+  $('header').filter((_, el) => !$(el).closest('article').length).remove();
+
+  $('[class], [id]').each((_, el) => {
+    if (['html', 'body', 'main', 'article'].includes(el.tagName)) return;
+    const attrs = `${$(el).attr('class') || ''} ${$(el).attr('id') || ''}`;
+    if (NEGATIVE_PATTERN.test(attrs) && !POSITIVE_PATTERN.test(attrs)) {
+      $(el).remove();
+    }
+  });
+};
+
+/**
+ * Find the element that holds the main content
+ * @param {Function} $ - Cheerio instance
+ * @returns {object} Cheerio selection
+ */
+const findContentRoot = ($) => {
+  for (const selector of SEMANTIC_CONTAINERS) {
+    const candidates = $(selector).toArray()
+      .map(el => ({ el, length: clean($(el).text()).length }))
+      .sort((a, b) => b.length - a.length);
+    if (candidates.length && candidates[0].length >= MIN_CONTAINER_TEXT) {
+      return $(candidates[0].el);
+    }
+  }
+
+  // Score the parents of paragraphs; the grandparent gets half
+  const scores = new Map();
+  const addScore = (el, value) => {
+    if (!el || el.type !== 'tag') return;
+    scores.set(el, (scores.get(el) || 0) + value);
+  };
+
+  $('p, pre, td').each((_, p) => {
+    const text = clean($(p).text());
+    if (text.length < MIN_PARAGRAPH_LENGTH) return;
+    const score = 1 + text.split(/[,，、]/).length + Math.min(Math.floor(text.length / 100), 3);
+    addScore(p.parent, score);
+    addScore(p.parent?.parent, score / 2);
+  });
+
+  let best = null;
+  let bestScore = 0;
+  for (const [el, score] of scores) {
+    const attrs = `${$(el).attr('class') || ''} ${$(el).attr('id') || ''}`;
+    const weighted = score * (1 - linkDensity($, el)) * (POSITIVE_PATTERN.test(attrs) ? 1.25 : 1);
+    if (weighted > bestScore) {
+      best = el;
+      bestScore = weighted;
+    }
+  }
+
+  return best ? $(best) : $('body');
+};
+
+/**
+ * Turn the content root into structured blocks
+ * @param {Function} $ - Cheerio instance
+ * @param {object} root - Cheerio selection
+ * @returns {Array<object>} Blocks: heading, paragraph, list, quote, code
+ */
+const collectBlocks = ($, root) => {
+  const blocks = [];
+
+  root.find(BLOCK_SELECTOR).each((_, el) => {
+    // Nested blocks are read through their outermost block (lists in quotes, p in li...)
+    if ($(el).parent().closest('p, ul, ol, blockquote, pre').length) return;
+
+    const tag = el.tagName;
+    const text = clean($(el).text());
+    if (!text) return;
+
+    if (/^h[1-6]$/.test(tag)) {
+      blocks.push({ type: 'heading', level: parseInt(tag[1], 10), text });
+      return;
+    }
+
+    if (linkDensity($, el) > MAX_LINK_DENSITY) return;
+
+    if (tag === 'ul' || tag === 'ol') {
+      const items = $(el).children('li').toArray().map(li => clean($(li).text())).filter(Boolean);
+      if (items.length) blocks.push({ type: 'list', ordered: tag === 'ol', items });
+    } else if (tag === 'blockquote') {
+      blocks.push({ type: 'quote', text });
+    } else if (tag === 'pre') {
+      blocks.push({ type: 'code', text: $(el).text().replace(/\s+$/, '') });
+    } else if (tag === 'p' && text.length >= MIN_PARAGRAPH_LENGTH / 2) {
+      blocks.push({ type: 'paragraph', text });
+    }
+  });
+
+  // Pages without block markup: fall back to the root's text
+  if (!blocks.length) {
+    const text = clean(root.text());
+    if (text) blocks.push({ type: 'paragraph', text });
+  }
+
+  return blocks;
+};
+
+/**
+ * Convert blocks to plain text, one block per paragraph
+ * @param {Array<object>} blocks
+ * @returns {string}
+ */
+const blocksToText = (blocks) => blocks
+  .map(block => (block.type === 'list' ? block.items.map(item => `- ${item}`).join('\n') : block.text))
+  .join('\n\n');
+
+/**
+ * Count words (or characters, for languages written without spaces)
+ * @param {string} text
+ * @param {string|null} language
+ * @returns {number}
+ */
+const countWords = (text, language) => {
+  if (isCharacterCounted(language)) {
+    return (text.match(/[\p{L}\p{N}]/gu) || []).length;
+  }
+  return (text.match(/[\p{L}\p{N}][\p{L}\p{N}'’-]*/gu) || []).length;
+};
+
+/**
+ * Estimate reading time
+ * @param {number} count - Words, or characters for character-counted languages
+ * @param {string|null} language
+ * @returns {number} Minutes, at least 1 for non-empty text
+ */
+const estimateReadingTime = (count, language) => {
+  if (!count) return 0;
+  const perMinute = isCharacterCounted(language) ? CHARACTERS_PER_MINUTE : WORDS_PER_MINUTE;
+  return Math.max(1, Math.round(count / perMinute));
+};
+
+/**
+ * Extract the readable main content of an HTML page
+ * @param {string} html - HTML content
+ * @returns {object|null} { title, byline, excerpt, language, blocks, text, wordCount, readingTimeMinutes }
+ */
+const extractReadableContent = (html) => {
+  if (typeof html !== 'string' || !html.trim()) return null;
+
+  try {
+    const $ = cheerio.load(html);
+
+    // Read document-level hints before boilerplate removal touches <head>/<header>
+    const declaredLanguage = normalizeLanguageTag($('html').attr('lang')) ||
+      normalizeLanguageTag($('meta[http-equiv="content-language" i]').attr('content')) ||
+      normalizeLanguageTag($('meta[property="og:locale"]').attr('content'));
+    const byline = clean(
+      $('meta[name="author"]').attr('content') ||
+      $('[rel="author"]').first().text() ||
+      $('[itemprop="author"]').first().text() ||
+      $('.byline, .author').first().text()
+    ) || null;
+    const headline = clean($('meta[property="og:title"]').attr('content') || $('h1').first().text() || $('title').text()) || null;
+
+    removeBoilerplate($);
+    const root = findContentRoot($);
+    const blocks = collectBlocks($, root);
+    const text = blocksToText(blocks);
+
+    const detected = detectLanguage(text);
+    const language = declaredLanguage
+      ? { code: declaredLanguage, source: 'document' }
+      : (detected ? { code: detected.code, source: 'detected', confidence: detected.confidence } : null);
+
+    const wordCount = countWords(text, language?.code);
+    const firstParagraph = blocks.find(block => block.type === 'paragraph');
+
+    return {
+      title: headline,
+      byline,
+      excerpt: firstParagraph ? firstParagraph.text.slice(0, 300) : null,
+      language,
+      blocks,
+      text,
+      wordCount,
+      readingTimeMinutes: estimateReadingTime(wordCount, language?.code)
+    };
+  } catch (error) {
+    console.error('Error extracting readable content:', error.message);
+    return null;
+  }
+};
+
+module.exports = {
+  extractReadableContent,
+  estimateReadingTime
+};
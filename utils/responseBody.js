@@ -0,0 +1,180 @@
+const { MAX_RESPONSE_BYTES, REQUEST_TIMEOUT, FILE_PROBE_BYTES } = require('../config/constants');
+const { detectCharset, decodeText } = require('./charset');
+const { getFileKind, sniffFileType } = require('./fileMetadata');
+
+/**
+ * Size-capped reading of streamed HTTP response bodies
+ * Pages are read until MAX_RESPONSE_BYTES (plenty for <head> metadata), PDFs and
+ * media files up to FILE_PROBE_BYTES for their metadata, other binary content is
+ * dropped without being downloaded, and the caller is told whether the body it
+ * got is complete.
+ */
+
+// Bytes inspected when the declared content type doesn't tell us what the body is
+const SNIFF_BYTES = 1024;
+
+const TEXT_CONTENT_TYPES = [
+  /^text\//,
+  /^application\/xhtml\+xml/,
+  /^application\/(?:[\w.+-]+\+)?json/,
+  /^application\/(?:[\w.+-]+\+)?xml/
+];
+
+// Content types that don't say anything useful and need sniffing
+const AMBIGUOUS_CONTENT_TYPES = ['', 'application/octet-stream', 'binary/octet-stream', 'application/unknown'];
+
+/**
+ * Get the bare media type of a content-type header
+ * @param {string} contentType - Content-Type header value
+ * @returns {string} Lowercased media type without parameters
+ */
+const getMediaType = (contentType) => (contentType || '').split(';')[0].trim().toLowerCase();
+
+/**
+ * Check whether a media type is worth reading as text
+ * @param {string} mediaType
+ * @returns {boolean}
+ */
+const isTextMediaType = (mediaType) => TEXT_CONTENT_TYPES.some(re => re.test(mediaType));
+
+/**
+ * Check whether the first bytes of a body look like HTML
+ * @param {Buffer} buffer - Leading bytes of the body
+ * @returns {boolean}
+ */
+const looksLikeHtml = (buffer) => {
+  const head = buffer.toString('latin1', 0, Math.min(buffer.length, SNIFF_BYTES))
+    .replace(/^(?:\uFEFF|\xEF\xBB\xBF)/, '')
+    .trimStart()
+    .toLowerCase();
+  return /^<(?:!doctype html|html|head|body|meta|title|!--)/.test(head);
+};
+
+/**
+ * Read a streamed axios response body with a byte budget
+ * @param {object} response - Axios response created with responseType 'stream'
+ * @param {object} options - { maxBytes, timeout }
+ * @returns {Promise<{buffer: Buffer|null, bytesRead: number, truncated: boolean, skipped: boolean, reason: string|null, sniffedType: string|null, fileKind: string|null}>}
+ */
+const readResponseBody = (response, { maxBytes = MAX_RESPONSE_BYTES, timeout = REQUEST_TIMEOUT } = {}) => {
+  const stream = response.data;
+  const mediaType = getMediaType(response.headers['content-type']);
+  const ambiguous = AMBIGUOUS_CONTENT_TYPES.includes(mediaType);
+  let fileKind = getFileKind(mediaType);
+  let sniffedType = null;
+
+  // Other binary content (archives, fonts, executables...) is never downloaded
+  if (!ambiguous && !fileKind && !isTextMediaType(mediaType)) {
+    if (stream && typeof stream.destroy === 'function') stream.destroy();
+    return Promise.resolve({ buffer: null, bytesRead: 0, truncated: false, skipped: true, reason: 'unsupported_content_type', sniffedType: null, fileKind: null });
+  }
+  if (fileKind) maxBytes = FILE_PROBE_BYTES[fileKind];
+
+  /**
+   * Decide what an ambiguous body is from its first bytes
+   * @param {Buffer} head - Leading bytes of the body
+   * @returns {boolean} Whether to keep reading
+   */
+  const sniff = (head) => {
+    if (looksLikeHtml(head)) {
+      // Ambiguous content that passes the HTML sniff is treated as HTML
+      sniffedType = 'text/html';
+      return true;
+    }
+    sniffedType = sniffFileType(head);
+    fileKind = getFileKind(sniffedType);
+    if (fileKind) maxBytes = FILE_PROBE_BYTES[fileKind];
+    return !!fileKind;
+  };
+
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let bytesRead = 0;
+    let sniffed = !ambiguous;
+    let settled = false;
+
+    const finish = (result) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      stream.removeAllListeners('data');
+      if (!stream.destroyed) stream.destroy();
+      resolve({
+        buffer: Buffer.concat(chunks),
+        bytesRead,
+        truncated: false,
+        skipped: false,
+        reason: null,
+        sniffedType,
+        fileKind,
+        ...result
+      });
+    };
+
+    // Bound the time spent reading as well as the size (slow or endless streams)
+    const timer = setTimeout(() => finish({ truncated: true, reason: 'timeout' }), timeout);
+
+    stream.on('data', (chunk) => {
+      if (settled) return;
+
+      const remaining = maxBytes - bytesRead;
+      const piece = chunk.length > remaining ? chunk.subarray(0, remaining) : chunk;
+      chunks.push(piece);
+      bytesRead += piece.length;
+
+      if (!sniffed && bytesRead >= Math.min(SNIFF_BYTES, maxBytes)) {
+        sniffed = true;
+        if (!sniff(Buffer.concat(chunks))) {
+          return finish({ buffer: null, skipped: true, reason: 'unsupported_content_type', sniffedType: null, fileKind: null });
+        }
+      }
+
+      if (bytesRead >= maxBytes) {
+        finish({ truncated: true, reason: 'max_bytes' });
+      }
+    });
+
+    stream.on('end', () => {
+      if (!sniffed && !sniff(Buffer.concat(chunks))) {
+        return finish({ buffer: null, skipped: true, reason: 'unsupported_content_type', sniffedType: null, fileKind: null });
+      }
+      finish({});
+    });
+
+    stream.on('error', (error) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      reject(error);
+    });
+  });
+};
+
+/**
+ * Decode a body buffer to text (or parsed JSON) in its own character encoding
+ * @param {Buffer|null} buffer - Raw body
+ * @param {string} contentType - Content-Type header value
+ * @param {boolean} complete - Whether the whole body was read
+ * @param {string} charset - Charset already detected with detectCharset (detected here when omitted)
+ * @returns {string|object|null} Text, parsed JSON, or null
+ */
+const decodeBody = (buffer, contentType, complete = true, charset = null) => {
+  if (!buffer) return null;
+  const text = decodeText(buffer, charset || detectCharset(buffer, contentType).charset);
+  if (complete && /json/.test(getMediaType(contentType))) {
+    try {
+      return JSON.parse(text);
+    } catch (error) {
+      return text;
+    }
+  }
+  return text;
+};
+
+module.exports = {
+  getMediaType,
+  isTextMediaType,
+  looksLikeHtml,
+  readResponseBody,
+  decodeBody
+};
@@ -0,0 +1,117 @@
+const { BlockedUrlError } = require('./urlGuard');
+const { RETRY_AFTER_MAX } = require('../config/constants');
+
+/**
+ * Retry policy for outbound fetches
+ * Sorts every failed attempt into a kind (network, timeout, rate_limited,
+ * server_error, client_error, dns, tls, ...) and decides whether another
+ * attempt could succeed.
+ */
+
+// Connection-level error codes that are usually transient
+const NETWORK_ERROR_CODES = [
+  'ECONNRESET', 'ECONNREFUSED', 'EPIPE', 'ENETUNREACH', 'EHOSTUNREACH', 'ENETDOWN',
+  'EAI_AGAIN', 'ERR_SOCKET_CONNECTION_TIMEOUT', 'ERR_STREAM_PREMATURE_CLOSE'
+];
+
+const TIMEOUT_ERROR_CODES = ['ECONNABORTED', 'ETIMEDOUT', 'ESOCKETTIMEDOUT', 'ERR_CANCELED'];
+
+// DNS answers that won't change between attempts
+const DNS_ERROR_CODES = ['ENOTFOUND', 'ENODATA', 'ESERVFAIL'];
+
+// Our status when the target couldn't be fetched at all, by error kind
+const UPSTREAM_ERROR_STATUSES = {
+  timeout: 504,
+  dns: 502,
+  network: 502,
+  tls: 502,
+  redirect: 502,
+  // Our own URL was validated up front, so this is an unusable redirect target
+  invalid_url: 502
+};
+
+/**
+ * Classify an HTTP status code
+ * @param {number} status
+ * @param {Array<number>} retryableStatuses - Statuses the fetch profile treats as transient
+ * @returns {{kind: string, retryable: boolean}}
+ */
+const classifyStatus = (status, retryableStatuses = []) => {
+  let kind = 'success';
+  if (status === 429) kind = 'rate_limited';
+  else if (status >= 500) kind = 'server_error';
+  else if (status >= 400) kind = 'client_error';
+  return { kind, retryable: retryableStatuses.includes(status) };
+};
+
+/**
+ * Classify a thrown fetch error
+ * @param {Error} error
+ * @returns {{kind: string, retryable: boolean}}
+ */
+const classifyError = (error) => {
+  const code = error?.code || error?.cause?.code;
+  const message = error?.message || '';
+
+  if (error instanceof BlockedUrlError) return { kind: 'blocked', retryable: false };
+  if (code === 'CIRCUIT_OPEN') return { kind: 'circuit_open', retryable: false };
+  if (code === 'OUTBOUND_RATE_LIMITED') return { kind: 'throttled', retryable: false };
+  if (DNS_ERROR_CODES.includes(code)) return { kind: 'dns', retryable: false };
+  if (TIMEOUT_ERROR_CODES.includes(code) || /timeout/i.test(message)) return { kind: 'timeout', retryable: true };
+  if (NETWORK_ERROR_CODES.includes(code) || /socket hang up/i.test(message)) return { kind: 'network', retryable: true };
+  if (/CERT|SSL|TLS/.test(code || '')) return { kind: 'tls', retryable: false };
+  if (/redirect/i.test(message)) return { kind: 'redirect', retryable: false };
+  if (code === 'ERR_INVALID_URL' || code === 'INVALID_URL') return { kind: 'invalid_url', retryable: false };
+  return { kind: 'unknown', retryable: false };
+};
+
+/**
+ * Our status and the `upstream` block when the target couldn't be fetched at all:
+ * 502, or 504 when it timed out (500 for unclassified errors and legacy clients)
+ * @param {Error} error - Fetch error
+ * @param {boolean} legacyStatus - Whether the caller wants the legacy contract
+ * @returns {{status: number, kind: string, upstream: object}}
+ */
+const describeFetchError = (error, legacyStatus = false) => {
+  const { kind } = classifyError(error);
+  return {
+    status: legacyStatus ? 500 : (UPSTREAM_ERROR_STATUSES[kind] || 500),
+    kind,
+    upstream: { status: null, ok: false, kind, code: error?.code || error?.cause?.code || null }
+  };
+};
+
+/**
+ * Parse a Retry-After header (delta seconds or HTTP date)
+ * @param {string} value - Header value
+ * @param {number} now - Current time in ms (for testing)
+ * @returns {number|null} Delay in ms, or null when absent/invalid
+ */
+const parseRetryAfter = (value, now = Date.now()) => {
+  if (value === undefined || value === null || value === '') return null;
+  const text = String(value).trim();
+
+  if (/^\d+$/.test(text)) return parseInt(text, 10) * 1000;
+
+  const date = Date.parse(text);
+  if (Number.isNaN(date)) return null;
+  return Math.max(0, date - now);
+};
+
+/**
+ * Get the delay a response asks for, if we are willing to wait that long
+ * @param {object} headers - Response headers
+ * @returns {{delay: number|null, tooLong: boolean}}
+ */
+const getRetryAfterDelay = (headers = {}) => {
+  const delay = parseRetryAfter(headers['retry-after']);
+  return { delay, tooLong: delay !== null && delay > RETRY_AFTER_MAX };
+};
+
+module.exports = {
+  getRetryAfterDelay,
+  classifyStatus,
+  classifyError,
+  describeFetchError,
+  parseRetryAfter
+};
@@ -0,0 +1,182 @@
+/**
+ * HTML pages for public shares (/s/:slug)
+ * Chat apps and social sites read the Open Graph tags to build a preview card,
+ * so every page carries og:* and twitter:* tags for the shared link or
+ * collection. Password-protected shares only expose a generic title until
+ * the password is entered.
+ */
+
+const HTML_ESCAPES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;'
+};
+
+/**
+ * Escape text for HTML content and attribute values
+ * @param {any} value
+ * @returns {string}
+ */
+const escapeHtml = (value) => String(value ?? '').replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+
+/**
+ * Only http(s) URLs are linked; anything else (javascript:, data:) is dropped
+ * @param {string} url
+ * @returns {string|null}
+ */
+const safeUrl = (url) => (typeof url === 'string' && /^https?:\/\//i.test(url) ? url : null);
+
+/**
+ * Shorten a description for meta tags
+ * @param {string} text
+ * @param {number} max - Maximum characters
+ * @returns {string}
+ */
+const truncate = (text, max = 200) => {
+  const clean = String(text || '').replace(/\s+/g, ' ').trim();
+  return clean.length > max ? `${clean.slice(0, max - 1).trimEnd()}…` : clean;
+};
+
+/**
+ * Open Graph and Twitter card tags
+ * @param {object} meta - { title, description, image, url, type }
+ * @returns {string}
+ */
+const renderMetaTags = ({ title, description, image, url, type = 'website' }) => {
+  const tags = [
+    ['property', 'og:title', title],
+    ['property', 'og:description', description],
+    ['property', 'og:type', type],
+    ['property', 'og:url', url],
+    ['property', 'og:image', image],
+    ['property', 'og:site_name', 'LinkExtractor'],
+    ['name', 'twitter:card', image ? 'summary_large_image' : 'summary'],
+    ['name', 'twitter:title', title],
+    ['name', 'twitter:description', description],
+    ['name', 'twitter:image', image],
+    ['name', 'description', description],
+    // Shares are unlisted: reachable by slug, never indexed
+    ['name', 'robots', 'noindex, nofollow']
+  ];
+
+  return tags
+    .filter(([, , content]) => content)
+    .map(([attribute, name, content]) => `<meta ${attribute}="${name}" content="${escapeHtml(content)}">`)
+    .join('\n    ');
+};
+
+/**
+ * Full HTML document
+ * @param {object} meta - For renderMetaTags
+ * @param {string} body - Escaped HTML
+ * @returns {string}
+ */
+const renderDocument = (meta, body) => `<!DOCTYPE html>
+<html lang="en">
+  <head>
+    <meta charset="utf-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1">
+    <title>${escapeHtml(meta.title)}</title>
+    ${renderMetaTags(meta)}
+    <style>
+      body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif; max-width: 720px; margin: 2rem auto; padding: 0 1rem; color: #1f2328; }
+      h1 { font-size: 1.6rem; margin-bottom: .25rem; }
+      .muted { color: #656d76; }
+      .card { display: flex; gap: 1rem; padding: 1rem 0; border-bottom: 1px solid #d0d7de; }
+      .card img { width: 120px; height: 80px; object-fit: cover; border-radius: 6px; flex-shrink: 0; }
+      .card a { font-weight: 600; color: #0969da; text-decoration: none; }
+      .cover { width: 100%; max-height: 320px; object-fit: cover; border-radius: 8px; }
+      form { display: flex; gap: .5rem; margin-top: 1rem; }
+      input, button { font-size: 1rem; padding: .5rem .75rem; }
+      .error { color: #cf222e; }
+    </style>
+  </head>
+  <body>
+    ${body}
+  </body>
+</html>`;
+
+/**
+ * One link as a card
+ * @param {object} link - Public link fields
+ * @returns {string}
+ */
+const renderLinkCard = (link) => {
+  const url = safeUrl(link.url);
+  const image = safeUrl(link.image);
+  const title = escapeHtml(link.title || link.url);
+
+  return `<div class="card">
+      ${image ? `<img src="${escapeHtml(image)}" alt="" loading="lazy">` : ''}
+      <div>
+        ${url ? `<a href="${escapeHtml(url)}" rel="noopener noreferrer nofollow">${title}</a>` : `<strong>${title}</strong>`}
+        ${link.description ? `<p class="muted">${escapeHtml(truncate(link.description, 300))}</p>` : ''}
+        <small class="muted">${escapeHtml(link.domain || '')}</small>
+      </div>
+    </div>`;
+};
+
+/**
+ * Page for a shared link or collection
+ * @param {object} content - From the shares controller: { type, link } or { type, collection, links }
+ * @param {object} options - { shareUrl, image, cover } (absolute when PUBLIC_BASE_URL is set; Open Graph needs that)
+ * @returns {string}
+ */
+const renderSharePage = (content, { shareUrl, image = null, cover = null }) => {
+  if (content.type === 'link') {
+    const { link } = content;
+    const title = link.title || link.domain || link.url;
+    return renderDocument(
+      { title, description: truncate(link.description), image, url: shareUrl, type: 'article' },
+      `<h1>${escapeHtml(title)}</h1>
+    ${renderLinkCard(link)}`
+    );
+  }
+
+  const { collection, links } = content;
+  const description = truncate(collection.description) || `${links.length} saved link${links.length === 1 ? '' : 's'}`;
+  return renderDocument(
+    { title: collection.name, description, image, url: shareUrl },
+    `${safeUrl(cover) ? `<img class="cover" src="${escapeHtml(cover)}" alt="">` : ''}
+    <h1>${escapeHtml(collection.name)}</h1>
+    ${collection.description ? `<p class="muted">${escapeHtml(collection.description)}</p>` : ''}
+    <p class="muted">${links.length} link${links.length === 1 ? '' : 's'}</p>
+    ${links.map(renderLinkCard).join('\n    ')}`
+  );
+};
+
+/**
+ * Password form for a protected share (reveals nothing about its content)
+ * @param {object} options - { shareUrl, error }
+ * @returns {string}
+ */
+const renderPasswordPage = ({ shareUrl, error = null }) => renderDocument(
+  { title: 'Protected share', description: 'This shared page is password protected.', url: shareUrl },
+  `<h1>Protected share</h1>
+    <p class="muted">Enter the password to view this page.</p>
+    ${error ? `<p class="error">${escapeHtml(error)}</p>` : ''}
+    <form method="post" action="${escapeHtml(shareUrl)}">
+      <input type="password" name="password" placeholder="Password" required autofocus>
+      <button type="submit">View</button>
+    </form>`
+);
+
+/**
+ * Page for a missing, expired or revoked share
+ * @param {string} message
+ * @returns {string}
+ */
+const renderUnavailablePage = (message) => renderDocument(
+  { title: 'Share unavailable', description: message },
+  `<h1>Share unavailable</h1>
+    <p class="muted">${escapeHtml(message)}</p>`
+);
+
+module.exports = {
+  escapeHtml,
+  renderSharePage,
+  renderPasswordPage,
+  renderUnavailablePage
+};
@@ -0,0 +1,360 @@
+const cheerio = require('cheerio');
+
+/**
+ * Structured data extraction
+ * Reads schema.org data from JSON-LD, microdata and RDFa (in that order of
+ * preference), plus Open Graph product/article tags, and maps the primary
+ * entity of the page to a flat, typed `richData` object for link cards.
+ */
+
+// schema.org types we understand, keyed by the base type they map to
+const SUPPORTED_TYPES = {
+  Product: ['Product', 'ProductGroup', 'IndividualProduct', 'ProductModel', 'Book', 'Vehicle'],
+  Article: ['Article', 'NewsArticle', 'BlogPosting', 'Report', 'ScholarlyArticle', 'TechArticle',
+    'SocialMediaPosting', 'LiveBlogPosting', 'AnalysisNewsArticle', 'OpinionNewsArticle', 'ReportageNewsArticle'],
+  VideoObject: ['VideoObject', 'Movie', 'Episode', 'TVEpisode', 'Clip'],
+  Recipe: ['Recipe'],
+  Event: ['Event', 'MusicEvent', 'SportsEvent', 'BusinessEvent', 'EducationEvent', 'Festival',
+    'TheaterEvent', 'ScreeningEvent', 'ExhibitionEvent', 'ComedyEvent', 'SocialEvent']
+};
+
+// Preference when a page describes several entities
+const TYPE_PRIORITY = ['Product', 'Recipe', 'Event', 'VideoObject', 'Article'];
+
+/**
+ * Map a schema.org type (name or URL) to one of the supported base types
+ * @param {string|string[]} type
+ * @returns {string|null}
+ */
+const getBaseType = (type) => {
+  const types = Array.isArray(type) ? type : [type];
+  for (const t of types) {
+    if (typeof t !== 'string') continue;
+    const name = t.replace(/^https?:\/\/schema\.org\//i, '').replace(/^schema:/i, '');
+    for (const [base, members] of Object.entries(SUPPORTED_TYPES)) {
+      if (members.includes(name)) return base;
+    }
+  }
+  return null;
+};
+
+/**
+ * Flatten JSON-LD documents (arrays, @graph) into a list of nodes
+ * @param {any} data
+ * @param {Array} out
+ * @returns {Array<object>}
+ */
+const flattenJsonLd = (data, out = []) => {
+  if (!data || typeof data !== 'object') return out;
+  if (Array.isArray(data)) {
+    for (const item of data) flattenJsonLd(item, out);
+    return out;
+  }
+  out.push(data);
+  if (Array.isArray(data['@graph'])) flattenJsonLd(data['@graph'], out);
+  // A WebPage often wraps the real entity in mainEntity
+  if (data.mainEntity && typeof data.mainEntity === 'object') flattenJsonLd(data.mainEntity, out);
+  return out;
+};
+
+/**
+ * Read all JSON-LD nodes of a page
+ * @param {Function} $ - Cheerio instance
+ * @returns {Array<object>}
+ */
+const readJsonLd = ($) => {
+  const nodes = [];
+  $('script[type="application/ld+json"]').each((_, el) => {
+    const txt = $(el).contents().text().trim();
+    if (!txt) return;
+    try {
+      flattenJsonLd(JSON.parse(txt), nodes);
+    } catch (_) {}
+  });
+  return nodes;
+};
+
+/**
+ * Read microdata or RDFa items as JSON-LD-like objects
+ * @param {Function} $ - Cheerio instance
+ * @param {object} attrs - { scope, type, prop } attribute names for the syntax
+ * @returns {Array<object>}
+ */
+const readItems = ($, { scope, type, prop }) => {
+  const readValue = (el) => {
+    const e = $(el);
+    if (e.is(`[${scope}]`) || (scope !== type && e.is(`[${type}]`))) return readItem(el);
+    return e.attr('content') ||
+      e.attr('datetime') ||
+      (e.is('a, link') ? e.attr('href') : null) ||
+      (e.is('img, audio, video, source') ? e.attr('src') : null) ||
+      (e.is('meta') ? null : e.text().replace(/\s+/g, ' ').trim()) ||
+      null;
+  };
+
+  const readItem = (root) => {
+    const item = { '@type': ($(root).attr(type) || '').split(/\s+/).filter(Boolean) };
+    // Properties of this item are descendants not owned by a nested item
+    $(root).find(`[${prop}]`).each((_, el) => {
+      const owner = $(el).parent().closest(`[${type}]`);
+      if (owner.length && owner[0] !== root) return;
+      const value = readValue(el);
+      if (value === null || value === '') return;
+      for (const name of $(el).attr(prop).split(/\s+/)) {
+        const key = name.replace(/^schema:/i, '');
+        if (item[key] === undefined) item[key] = value;
+        else item[key] = [].concat(item[key], value);
+      }
+    });
+    return item;
+  };
+
+  const items = [];
+  $(`[${type}]`).each((_, el) => {
+    // Only top-level items; nested ones are read through their parent
+    if ($(el).parent().closest(`[${type}]`).length) return;
+    items.push(readItem(el));
+  });
+  return items;
+};
+
+/**
+ * Get the first value of a possibly repeated property
+ * @param {any} value
+ * @returns {any}
+ */
+const first = (value) => (Array.isArray(value) ? value[0] : value);
+
+/**
+ * Get a display name from a string, a { name } object, or a list of either
+ * @param {any} value
+ * @returns {string|null}
+ */
+const nameOf = (value) => {
+  if (!value) return null;
+  const names = (Array.isArray(value) ? value : [value])
+    .map(v => (typeof v === 'string' ? v : v?.name))
+    .map(v => (typeof first(v) === 'string' ? first(v).trim() : null))
+    .filter(Boolean);
+  return names.length ? [...new Set(names)].join(', ') : null;
+};
+
+/**
+ * Parse a number from schema.org values like "4.5", "1,299.00" or 12
+ * @param {any} value
+ * @returns {number|null}
+ */
+const toNumber = (value) => {
+  const v = first(value);
+  if (typeof v === 'number') return Number.isFinite(v) ? v : null;
+  if (typeof v !== 'string') return null;
+  const n = parseFloat(v.replace(/[^\d.,-]/g, '').replace(/,(?=\d{3}\b)/g, '').replace(',', '.'));
+  return Number.isFinite(n) ? n : null;
+};
+
+/**
+ * Normalize a date to ISO 8601 when it can be parsed
+ * @param {any} value
+ * @returns {string|null}
+ */
+const toDate = (value) => {
+  const v = first(value);
+  if (!v || typeof v !== 'string') return null;
+  const d = new Date(v);
+  return Number.isNaN(d.getTime()) ? v.trim() : d.toISOString();
+};
+
+/**
+ * Strip the schema.org prefix from enumeration values (https://schema.org/InStock -> InStock)
+ * @param {any} value
+ * @returns {string|null}
+ */
+const toEnum = (value) => {
+  const v = first(value);
+  if (!v || typeof v !== 'string') return null;
+  return v.replace(/^https?:\/\/schema\.org\//i, '').trim() || null;
+};
+
+/**
+ * Convert an ISO 8601 duration (PT1H2M3S) to seconds
+ * @param {string} duration
+ * @returns {number|null}
+ */
+const parseDuration = (duration) => {
+  const v = first(duration);
+  if (!v || typeof v !== 'string') return null;
+  const m = v.trim().match(/^P(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+(?:\.\d+)?)S)?)?$/i);
+  if (!m) return null;
+  const [, d = 0, h = 0, min = 0, s = 0] = m;
+  return Math.round(Number(d) * 86400 + Number(h) * 3600 + Number(min) * 60 + Number(s));
+};
+
+/**
+ * Drop null/empty fields so stored documents stay small
+ * @param {object} obj
+ * @returns {object}
+ */
+const compact = (obj) => Object.fromEntries(
+  Object.entries(obj).filter(([, v]) => v !== null && v !== undefined && v !== '' &&
+    !(typeof v === 'object' && !Array.isArray(v) && Object.values(v).every(x => x === null || x === undefined)))
+);
+
+/**
+ * Map a schema.org entity to richData fields
+ * @param {object} node - JSON-LD-like entity
+ * @param {string} baseType - Supported base type of the entity
+ * @returns {object}
+ */
+const normalizeEntity = (node, baseType) => {
+  const data = {
+    type: baseType,
+    name: nameOf(node.name) || nameOf(node.headline),
+    author: nameOf(node.author) || nameOf(node.creator),
+    siteName: nameOf(node.publisher),
+    brand: nameOf(node.brand),
+    publishedAt: toDate(node.datePublished) || toDate(node.uploadDate) || toDate(node.dateCreated),
+    modifiedAt: toDate(node.dateModified)
+  };
+
+  const offers = first(node.offers);
+  if (offers && typeof offers === 'object') {
+    data.price = toNumber(offers.price) ?? toNumber(offers.lowPrice) ?? toNumber(first(offers.priceSpecification)?.price);
+    data.currency = first(offers.priceCurrency) || first(first(offers.priceSpecification)?.priceCurrency) || null;
+    data.availability = toEnum(offers.availability);
+  }
+
+  const rating = first(node.aggregateRating);
+  if (rating && typeof rating === 'object') {
+    data.rating = compact({
+      value: toNumber(rating.ratingValue),
+      count: toNumber(rating.reviewCount) ?? toNumber(rating.ratingCount),
+      best: toNumber(rating.bestRating)
+    });
+  }
+
+  const duration = first(node.duration) || first(node.totalTime);
+  if (duration) {
+    data.duration = duration;
+    data.durationSeconds = parseDuration(duration);
+  }
+
+  if (baseType === 'Recipe') {
+    data.prepTime = first(node.prepTime) || null;
+    data.cookTime = first(node.cookTime) || null;
+    data.recipeYield = nameOf(node.recipeYield);
+  }
+
+  if (baseType === 'Event') {
+    data.startDate = toDate(node.startDate);
+    data.endDate = toDate(node.endDate);
+    const location = first(node.location);
+    data.location = nameOf(location) ||
+      (typeof location?.address === 'string' ? location.address : nameOf(location?.address?.addressLocality));
+  }
+
+  return data;
+};
+
+/**
+ * Read Open Graph / product meta tags as a last-resort source
+ * @param {Function} $ - Cheerio instance
+ * @returns {object}
+ */
+const readMetaTags = ($) => {
+  const meta = (...names) => {
+    for (const n of names) {
+      const v = $(`meta[property="${n}"]`).attr('content') || $(`meta[name="${n}"]`).attr('content');
+      if (v) return v.trim();
+    }
+    return null;
+  };
+
+  const ogType = (meta('og:type') || '').toLowerCase();
+  let type = null;
+  if (ogType.startsWith('product') || meta('product:price:amount', 'og:price:amount')) type = 'Product';
+  else if (ogType === 'article') type = 'Article';
+  else if (ogType.startsWith('video')) type = 'VideoObject';
+
+  const durationSeconds = toNumber(meta('video:duration', 'og:video:duration'));
+
+  return {
+    type,
+    siteName: meta('og:site_name', 'application-name'),
+    author: meta('article:author', 'author'),
+    publishedAt: toDate(meta('article:published_time', 'datePublished')),
+    modifiedAt: toDate(meta('article:modified_time', 'og:updated_time')),
+    price: toNumber(meta('product:price:amount', 'og:price:amount')),
+    currency: meta('product:price:currency', 'og:price:currency'),
+    availability: meta('product:availability', 'og:availability'),
+    durationSeconds
+  };
+};
+
+/**
+ * List every schema.org type declared on a page (JSON-LD and microdata)
+ * @param {string|Function} htmlOrCheerio - HTML string or loaded cheerio instance
+ * @returns {string[]} Unique type names without the schema.org prefix
+ */
+const readSchemaTypes = (htmlOrCheerio) => {
+  const $ = typeof htmlOrCheerio === 'string' ? cheerio.load(htmlOrCheerio) : htmlOrCheerio;
+  const types = new Set();
+  const add = (type) => {
+    for (const t of [].concat(type || [])) {
+      if (typeof t !== 'string') continue;
+      const name = t.trim().replace(/^https?:\/\/schema\.org\//i, '').replace(/^schema:/i, '');
+      if (name) types.add(name);
+    }
+  };
+
+  try {
+    readJsonLd($).forEach(node => add(node['@type']));
+    $('[itemtype]').each((_, el) => add(($(el).attr('itemtype') || '').split(/\s+/)));
+  } catch (error) {
+    console.error('Error reading schema types:', error.message);
+  }
+  return [...types];
+};
+
+/**
+ * Extract typed rich data (product, article, video, recipe, event) from a page
+ * @param {string|Function} htmlOrCheerio - HTML string or loaded cheerio instance
+ * @returns {object|null} richData, or null when the page has no usable structured data
+ */
+const extractStructuredData = (htmlOrCheerio) => {
+  const $ = typeof htmlOrCheerio === 'string' ? cheerio.load(htmlOrCheerio) : htmlOrCheerio;
+
+  try {
+    const sources = [
+      { source: 'json-ld', nodes: readJsonLd($) },
+      { source: 'microdata', nodes: readItems($, { scope: 'itemscope', type: 'itemtype', prop: 'itemprop' }) },
+      { source: 'rdfa', nodes: readItems($, { scope: 'typeof', type: 'typeof', prop: 'property' }) }
+    ];
+
+    let entity = null;
+    for (const { source, nodes } of sources) {
+      const typed = nodes
+        .map(node => ({ node, baseType: getBaseType(node['@type']) }))
+        .filter(n => n.baseType)
+        .sort((a, b) => TYPE_PRIORITY.indexOf(a.baseType) - TYPE_PRIORITY.indexOf(b.baseType));
+      if (typed.length) {
+        entity = { ...normalizeEntity(typed[0].node, typed[0].baseType), source };
+        break;
+      }
+    }
+
+    const fromMeta = readMetaTags($);
+    const richData = compact({ ...compact(fromMeta), ...(entity ? compact(entity) : {}) });
+    if (!entity && fromMeta.type) richData.source = 'meta';
+
+    return Object.keys(richData).length ? richData : null;
+  } catch (error) {
+    console.error('Error extracting structured data:', error.message);
+    return null;
+  }
+};
+
+module.exports = {
+  extractStructuredData,
+  readSchemaTypes,
+  parseDuration
+};
@@ -0,0 +1,83 @@
+const { OUTBOUND_RATE_PER_SECOND, OUTBOUND_BURST, OUTBOUND_MAX_WAIT } = require('../config/constants');
+const { sleep } = require('./helpers');
+
+/**
+ * Outbound rate limiting per host (token bucket)
+ * Each host gets OUTBOUND_BURST tokens refilled at OUTBOUND_RATE_PER_SECOND.
+ * A request without a token waits for one, up to OUTBOUND_MAX_WAIT.
+ */
+
+// Buckets kept before idle, full ones are dropped
+const MAX_TRACKED_HOSTS = 1000;
+
+class OutboundRateLimitError extends Error {
+  /**
+   * @param {string} host - Throttled host
+   * @param {number} retryAfter - Milliseconds until a token is available
+   */
+  constructor(host, retryAfter) {
+    super(`Outbound rate limit reached for ${host}`);
+    this.name = 'OutboundRateLimitError';
+    this.code = 'OUTBOUND_RATE_LIMITED';
+    this.statusCode = 429;
+    this.host = host;
+    this.retryAfter = retryAfter;
+  }
+}
+
+const buckets = new Map();
+
+/**
+ * Get a host's bucket with its tokens refilled up to now
+ * @param {string} host
+ * @returns {{tokens: number, updatedAt: number}}
+ */
+const refill = (host) => {
+  const now = Date.now();
+  const bucket = buckets.get(host) || { tokens: OUTBOUND_BURST, updatedAt: now };
+  bucket.tokens = Math.min(OUTBOUND_BURST, bucket.tokens + ((now - bucket.updatedAt) / 1000) * OUTBOUND_RATE_PER_SECOND);
+  bucket.updatedAt = now;
+  buckets.set(host, bucket);
+  return bucket;
+};
+
+/**
+ * Drop buckets that are full again (idle hosts)
+ */
+const prune = () => {
+  if (buckets.size <= MAX_TRACKED_HOSTS) return;
+  for (const host of [...buckets.keys()]) {
+    if (refill(host).tokens >= OUTBOUND_BURST) buckets.delete(host);
+  }
+};
+
+/**
+ * Take a token for a request to a host, waiting for one if needed
+ * @param {string} host
+ * @returns {Promise<number>} Milliseconds waited
+ * @throws {OutboundRateLimitError} When the wait would exceed OUTBOUND_MAX_WAIT
+ */
+const acquireToken = async (host) => {
+  prune();
+  const bucket = refill(host);
+
+  if (bucket.tokens >= 1) {
+    bucket.tokens -= 1;
+    return 0;
+  }
+
+  const wait = Math.ceil(((1 - bucket.tokens) / OUTBOUND_RATE_PER_SECOND) * 1000);
+  if (wait > OUTBOUND_MAX_WAIT) {
+    throw new OutboundRateLimitError(host, wait);
+  }
+
+  // Reserve the token now so queued requests line up behind each other
+  bucket.tokens -= 1;
+  await sleep(wait);
+  return wait;
+};
+
+module.exports = {
+  OutboundRateLimitError,
+  acquireToken
+};
@@ -0,0 +1,140 @@
+const mongoose = require('mongoose');
+const Link = require('../models/Links');
+const Fav = require('../models/Favs');
+const CollectionLink = require('../models/CollectionLink');
+const Share = require('../models/Share');
+const {
+  TRASH_RETENTION,
+  TRASH_PURGE_INTERVAL,
+  TRASH_PURGE_BATCH
+} = require('../config/constants');
+
+/**
+ * Trash purge
+ * Deleted links stay in the trash (isActive: false) for TRASH_RETENTION and are
+ * then removed for good, together with their favorites, collection memberships
+ * and shares. Runs on a timer in every server process; purging is idempotent,
+ * so processes racing over the same links is harmless.
+ */
+
+let stopped = true;
+let timer = null;
+let purging = false;
+
+/**
+ * When a trashed link will be purged
+ * Links deleted before deletedAt existed count from their last update.
+ * @param {object} link - Link document
+ * @returns {Date|null}
+ */
+const getPurgeDate = (link) => {
+  if (link.isActive) return null;
+  const deletedAt = link.deletedAt || link.updatedAt;
+  return deletedAt ? new Date(new Date(deletedAt).getTime() + TRASH_RETENTION * 1000) : null;
+};
+
+/**
+ * Permanently delete links and the documents that reference them
+ * Links are deleted first and only the ones actually removed lose their
+ * dependents, so a link restored in the meantime keeps its favorites,
+ * collection memberships and shares.
+ * @param {Array} linkIds
+ * @returns {Promise<number>} Links deleted
+ */
+const purgeLinks = async (linkIds) => {
+  if (!linkIds.length) return 0;
+
+  const trashedIds = (await Link.find({ _id: { $in: linkIds }, isActive: false }).select('_id')).map(link => link._id);
+  if (!trashedIds.length) return 0;
+
+  await Link.deleteMany({ _id: { $in: trashedIds }, isActive: false });
+  // Whatever is still there was restored between the find and the delete
+  const kept = new Set((await Link.find({ _id: { $in: trashedIds } }).select('_id')).map(link => String(link._id)));
+  const removedIds = trashedIds.filter(id => !kept.has(String(id)));
+  if (!removedIds.length) return 0;
+
+  await Promise.all([
+    Fav.deleteMany({ linkId: { $in: removedIds } }),
+    CollectionLink.deleteMany({ linkId: { $in: removedIds } }),
+    Share.deleteMany({ resourceType: 'link', linkId: { $in: removedIds } })
+  ]);
+  return removedIds.length;
+};
+
+/**
+ * Purge every link that has been in the trash longer than TRASH_RETENTION
+ * @returns {Promise<number>} Links purged
+ */
+const purgeExpiredTrash = async () => {
+  const cutoff = new Date(Date.now() - TRASH_RETENTION * 1000);
+  const filter = {
+    isActive: false,
+    $or: [
+      { deletedAt: { $lt: cutoff } },
+      { deletedAt: null, updatedAt: { $lt: cutoff } }
+    ]
+  };
+
+  let purged = 0;
+  for (;;) {
+    const batch = await Link.find(filter).select('_id').limit(TRASH_PURGE_BATCH);
+    if (!batch.length) break;
+    purged += await purgeLinks(batch.map(link => link._id));
+    if (batch.length < TRASH_PURGE_BATCH) break;
+  }
+
+  if (purged) console.log(`🗑️  Purged ${purged} link(s) from the trash`);
+  return purged;
+};
+
+/**
+ * Run one scheduled purge and schedule the next
+ */
+const run = async () => {
+  timer = null;
+  if (stopped || purging) return;
+  purging = true;
+
+  try {
+    if (mongoose.connection.readyState === 1) {
+      await purgeExpiredTrash();
+    }
+  } catch (error) {
+    console.error('❌ Trash purge failed:', error.message);
+  } finally {
+    purging = false;
+    if (!stopped) {
+      timer = setTimeout(run, TRASH_PURGE_INTERVAL);
+      // Don't keep the process alive just for the purge
+      timer.unref();
+    }
+  }
+};
+
+/**
+ * Start purging expired trash on a timer
+ */
+const startTrashPurge = () => {
+  if (!stopped) return;
+  stopped = false;
+  console.log(`🗑️  Trash purge scheduled (retention ${Math.round(TRASH_RETENTION / 86400)} days)`);
+  timer = setTimeout(run, 0);
+  timer.unref();
+};
+
+/**
+ * Stop the scheduled purge
+ */
+const stopTrashPurge = () => {
+  stopped = true;
+  clearTimeout(timer);
+  timer = null;
+};
+
+module.exports = {
+  getPurgeDate,
+  purgeLinks,
+  purgeExpiredTrash,
+  startTrashPurge,
+  stopTrashPurge
+};
@@ -0,0 +1,234 @@
+const dns = require('dns').promises;
+const net = require('net');
+const { OUTBOUND_ALLOWED_HOSTS, OUTBOUND_DENIED_HOSTS } = require('../config/constants');
+
+/**
+ * Outbound request guard (SSRF protection)
+ * Every URL the extractor fetches on behalf of a caller - including each
+ * redirect hop - must pass through assertUrlAllowed before it is requested.
+ */
+
+const ALLOWED_PROTOCOLS = ['http:', 'https:'];
+
+// Hostnames that resolve to cloud metadata services on some providers
+const METADATA_HOSTS = ['metadata.google.internal', 'metadata', 'instance-data'];
+
+const BLOCKED_IPV4_RANGES = [
+  ['0.0.0.0', 8],        // "This" network
+  ['10.0.0.0', 8],       // Private
+  ['100.64.0.0', 10],    // Carrier-grade NAT
+  ['127.0.0.0', 8],      // Loopback
+  ['169.254.0.0', 16],   // Link-local (includes 169.254.169.254 metadata)
+  ['172.16.0.0', 12],    // Private
+  ['192.0.0.0', 24],     // IETF protocol assignments
+  ['192.0.2.0', 24],     // Documentation
+  ['192.88.99.0', 24],   // 6to4 relay anycast
+  ['192.168.0.0', 16],   // Private
+  ['198.18.0.0', 15],    // Benchmarking
+  ['198.51.100.0', 24],  // Documentation
+  ['203.0.113.0', 24],   // Documentation
+  ['224.0.0.0', 4],      // Multicast
+  ['240.0.0.0', 4]       // Reserved + broadcast
+];
+
+const BLOCKED_IPV6_RANGES = [
+  ['::', 128],           // Unspecified
+  ['::1', 128],          // Loopback
+  ['64:ff9b::', 96],     // NAT64
+  ['100::', 64],         // Discard-only
+  ['2001::', 32],        // Teredo (tunnels to an obfuscated IPv4 address)
+  ['2001:db8::', 32],    // Documentation
+  ['fc00::', 7],         // Unique local (includes fd00:ec2::254 metadata)
+  ['fe80::', 10],        // Link-local
+  ['ff00::', 8]          // Multicast
+];
+
+const blockList = new net.BlockList();
+for (const [address, prefix] of BLOCKED_IPV4_RANGES) blockList.addSubnet(address, prefix, 'ipv4');
+for (const [address, prefix] of BLOCKED_IPV6_RANGES) blockList.addSubnet(address, prefix, 'ipv6');
+
+/**
+ * Error thrown when an outbound URL is rejected by the guard
+ */
+class BlockedUrlError extends Error {
+  /**
+   * @param {string} message - Human-readable reason
+   * @param {string} reason - Machine-readable reason (e.g. PRIVATE_ADDRESS)
+   * @param {string} url - The rejected URL
+   */
+  constructor(message, reason, url) {
+    super(message);
+    this.name = 'BlockedUrlError';
+    this.code = 'URL_BLOCKED';
+    this.statusCode = 403;
+    this.reason = reason;
+    this.url = url;
+  }
+}
+
+/**
+ * Check whether a host matches an entry of a host list.
+ * Entries match the host itself and any of its subdomains.
+ * @param {string} host - Lowercased hostname
+ * @param {string[]} list - Host list from config
+ * @returns {boolean}
+ */
+const hostMatches = (host, list) => {
+  return list.some(entry => {
+    const domain = entry.replace(/^\*\./, '');
+    return host === domain || host.endsWith(`.${domain}`);
+  });
+};
+
+/**
+ * Expand a valid IPv6 address into its eight 16-bit groups
+ * @param {string} address - IPv6 address (may end in a dotted IPv4 part)
+ * @returns {number[]}
+ */
+const toHextets = (address) => {
+  let text = address.toLowerCase();
+  const dotted = text.match(/(\d+)\.(\d+)\.(\d+)\.(\d+)$/);
+  if (dotted) {
+    const [a, b, c, d] = dotted.slice(1).map(Number);
+    text = text.slice(0, dotted.index) + `${((a << 8) | b).toString(16)}:${((c << 8) | d).toString(16)}`;
+  }
+
+  const [head, tail] = text.split('::');
+  const left = head ? head.split(':') : [];
+  const right = tail ? tail.split(':') : [];
+  const fill = tail === undefined ? [] : new Array(8 - left.length - right.length).fill('0');
+  return [...left, ...fill, ...right].map(group => parseInt(group, 16));
+};
+
+/**
+ * Get the IPv4 address an IPv6 address carries, for the forms that reach it:
+ * IPv4-mapped (::ffff:a.b.c.d), the deprecated IPv4-compatible form (::a.b.c.d),
+ * both in dotted or hex notation, and 6to4 (2002:aabb:ccdd::/48)
+ * @param {string} address - IPv6 address
+ * @returns {string|null} Embedded IPv4 address
+ */
+const getEmbeddedIPv4 = (address) => {
+  const groups = toHextets(address);
+  const toIPv4 = (high, low) => [high >> 8, high & 0xff, low >> 8, low & 0xff].join('.');
+
+  // :: itself is left to the IPv6 ranges
+  const lowBits = groups[6] || groups[7];
+  if (groups.slice(0, 5).every(group => group === 0) &&
+      (groups[5] === 0xffff || (groups[5] === 0 && lowBits))) {
+    return toIPv4(groups[6], groups[7]);
+  }
+  if (groups[0] === 0x2002) return toIPv4(groups[1], groups[2]);
+  return null;
+};
+
+/**
+ * Check whether an IP address is private, loopback, link-local or otherwise
+ * not routable on the public internet
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean} True if the address must not be contacted
+ */
+const isBlockedAddress = (address) => {
+  const family = net.isIP(address);
+  if (family === 4) return blockList.check(address, 'ipv4');
+  if (family === 6) {
+    // IPv6 addresses that embed an IPv4 address are checked against the IPv4 ranges
+    const embedded = getEmbeddedIPv4(address);
+    if (embedded) return blockList.check(embedded, 'ipv4');
+    return blockList.check(address, 'ipv6');
+  }
+  return true;
+};
+
+/**
+ * Validate the scheme and host of a URL against config, without DNS
+ * @param {string} url - URL to validate
+ * @returns {URL} Parsed URL
+ * @throws {BlockedUrlError}
+ */
+const assertHostAllowed = (url) => {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    throw new BlockedUrlError('Invalid URL', 'INVALID_URL', url);
+  }
+
+  if (!ALLOWED_PROTOCOLS.includes(parsed.protocol)) {
+    throw new BlockedUrlError(`Protocol ${parsed.protocol} is not allowed`, 'PROTOCOL_NOT_ALLOWED', url);
+  }
+
+  if (parsed.username || parsed.password) {
+    throw new BlockedUrlError('URLs with embedded credentials are not allowed', 'CREDENTIALS_NOT_ALLOWED', url);
+  }
+
+  const host = parsed.hostname.toLowerCase().replace(/^\[|\]$/g, '').replace(/\.$/, '');
+
+  if (METADATA_HOSTS.includes(host)) {
+    throw new BlockedUrlError('Metadata service hosts are not allowed', 'METADATA_HOST', url);
+  }
+
+  if (host === 'localhost' || host.endsWith('.localhost')) {
+    throw new BlockedUrlError('Loopback hosts are not allowed', 'PRIVATE_ADDRESS', url);
+  }
+
+  if (hostMatches(host, OUTBOUND_DENIED_HOSTS)) {
+    throw new BlockedUrlError(`Host ${host} is on the deny list`, 'HOST_DENIED', url);
+  }
+
+  if (OUTBOUND_ALLOWED_HOSTS.length > 0 && !hostMatches(host, OUTBOUND_ALLOWED_HOSTS)) {
+    throw new BlockedUrlError(`Host ${host} is not on the allow list`, 'HOST_NOT_ALLOWED', url);
+  }
+
+  if (net.isIP(host) && isBlockedAddress(host)) {
+    throw new BlockedUrlError('Private or reserved addresses are not allowed', 'PRIVATE_ADDRESS', url);
+  }
+
+  return parsed;
+};
+
+/**
+ * Validate a URL before fetching it: scheme, allow/deny lists, and every
+ * address its hostname resolves to
+ * @param {string} url - URL to validate
+ * @returns {Promise<URL>} Parsed URL
+ * @throws {BlockedUrlError} When the URL must not be fetched
+ */
+const assertUrlAllowed = async (url) => {
+  const parsed = assertHostAllowed(url);
+  const host = parsed.hostname.replace(/^\[|\]$/g, '');
+
+  if (net.isIP(host)) return parsed;
+
+  // DNS errors (ENOTFOUND etc.) propagate as-is: the host is unreachable, not blocked
+  const addresses = await dns.lookup(host, { all: true, verbatim: true });
+  if (addresses.some(({ address }) => isBlockedAddress(address))) {
+    throw new BlockedUrlError(`Host ${host} resolves to a private or reserved address`, 'PRIVATE_ADDRESS', url);
+  }
+
+  return parsed;
+};
+
+/**
+ * DNS lookup for axios that refuses to connect to blocked addresses.
+ * Re-validating at connect time closes the gap between assertUrlAllowed and
+ * the actual connection (DNS rebinding).
+ * @param {string} hostname - Hostname to resolve
+ * @param {object} options - Lookup options passed by the HTTP agent
+ * @returns {Promise<[string, number]>} Address and family
+ */
+const guardedLookup = async (hostname, options = {}) => {
+  const addresses = await dns.lookup(hostname, { all: true, verbatim: true, family: options.family || 0 });
+  const allowed = addresses.filter(({ address }) => !isBlockedAddress(address));
+  if (!addresses.length || allowed.length !== addresses.length) {
+    throw new BlockedUrlError(`Host ${hostname} resolves to a private or reserved address`, 'PRIVATE_ADDRESS', hostname);
+  }
+  return [allowed[0].address, allowed[0].family];
+};
+
+module.exports = {
+  BlockedUrlError,
+  isBlockedAddress,
+  assertHostAllowed,
+  assertUrlAllowed,
+  guardedLookup
+};
@@ -0,0 +1,88 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const { assertUrlAllowed, guardedLookup } = require('./urlGuard');
+const { sleep, calculateBackoffDelay } = require('./helpers');
+const {
+  JOB_WEBHOOK_SECRET,
+  JOB_WEBHOOK_TIMEOUT,
+  JOB_WEBHOOK_MAX_ATTEMPTS
+} = require('../config/constants');
+
+/**
+ * Signed webhook delivery
+ * Receivers verify `X-Webhook-Signature: sha256=<hex>`, an HMAC-SHA256 with
+ * JOB_WEBHOOK_SECRET over `${X-Webhook-Timestamp}.${raw body}`, and should
+ * reject old timestamps to prevent replays.
+ */
+
+/**
+ * Sign a webhook body
+ * @param {string} body - Raw JSON body
+ * @param {string} timestamp - Unix timestamp in seconds
+ * @param {string} secret - Shared secret
+ * @returns {string} Hex HMAC-SHA256
+ */
+const signPayload = (body, timestamp, secret = JOB_WEBHOOK_SECRET) =>
+  crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+
+/**
+ * POST a signed JSON event to a callback URL, retrying failed deliveries
+ * Callback URLs go through the same outbound guard as extracted pages.
+ * @param {string} url - Callback URL
+ * @param {string} event - Event name (e.g. "job.completed")
+ * @param {object} payload - Event data
+ * @returns {Promise<{delivered: boolean, attempts: number, status: number|null, error: string|null}>}
+ */
+const deliverWebhook = async (url, event, payload) => {
+  const body = JSON.stringify({ event, data: payload, sentAt: new Date().toISOString() });
+  let status = null;
+  let error = null;
+
+  for (let attempt = 0; attempt < JOB_WEBHOOK_MAX_ATTEMPTS; attempt++) {
+    try {
+      await assertUrlAllowed(url);
+
+      const timestamp = Math.floor(Date.now() / 1000).toString();
+      const response = await axios.post(url, body, {
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'LinkExtractor-Webhook/1.0',
+          'X-Webhook-Event': event,
+          'X-Webhook-Timestamp': timestamp,
+          'X-Webhook-Signature': `sha256=${signPayload(body, timestamp)}`
+        },
+        timeout: JOB_WEBHOOK_TIMEOUT,
+        maxRedirects: 0,
+        lookup: guardedLookup,
+        validateStatus: () => true
+      });
+
+      status = response.status;
+      if (status >= 200 && status < 300) {
+        return { delivered: true, attempts: attempt + 1, status, error: null };
+      }
+      error = `Callback responded with ${status}`;
+
+      // The receiver rejected the event; sending it again won't help
+      if (status >= 400 && status < 500 && status !== 408 && status !== 429) {
+        return { delivered: false, attempts: attempt + 1, status, error };
+      }
+    } catch (err) {
+      error = err.cause?.message || err.message;
+      if (err.code === 'URL_BLOCKED' || err.cause?.code === 'URL_BLOCKED') {
+        return { delivered: false, attempts: attempt + 1, status, error };
+      }
+    }
+
+    if (attempt < JOB_WEBHOOK_MAX_ATTEMPTS - 1) {
+      await sleep(calculateBackoffDelay(attempt));
+    }
+  }
+
+  return { delivered: false, attempts: JOB_WEBHOOK_MAX_ATTEMPTS, status, error };
+};
+
+module.exports = {
+  signPayload,
+  deliverWebhook
+};